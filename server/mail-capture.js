@@ -0,0 +1,90 @@
+/* ====================== KPB MAIL CAPTURE SERVER ======================
+   Accepts SMTP on a local port and saves every message as an .eml file
+   instead of delivering it. Stands in for a real mail server in development
+   and tests: start with `npm run mail`, then run the API with
+   KPB_SMTP_URL=smtp://localhost:2525. Port and folder come from
+   KPB_MAIL_PORT (default 2525) and KPB_MAIL_DIR (default server/.data/mail).
+*/
+import net from "node:net";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PORT = Number(process.env.KPB_MAIL_PORT) || 2525;
+const MAIL_DIR = process.env.KPB_MAIL_DIR || path.join(__dirname, ".data", "mail");
+
+fs.mkdirSync(MAIL_DIR, { recursive: true });
+
+/* Decodes RFC 2047 encoded-words so the log shows readable subjects */
+const decodeHeader = (v) =>
+  v.replace(/=\?UTF-8\?B\?([^?]+)\?=/gi, (_, b64) => Buffer.from(b64, "base64").toString("utf8"));
+
+function save(envelope, data) {
+  const file = path.join(MAIL_DIR, `${new Date().toISOString().replace(/[:.]/g, "-")}-${envelope.count}.eml`);
+  fs.writeFileSync(file, data);
+  const subject = decodeHeader(data.match(/^Subject: (.*)$/im)?.[1] || "(no subject)");
+  console.log(`mail to ${envelope.to.join(", ")}: ${subject} -> ${path.basename(file)}`);
+}
+
+let count = 0;
+const server = net.createServer((socket) => {
+  const reply = (line) => socket.write(`${line}\r\n`);
+  let envelope = { from: null, to: [] };
+  let data = null; // collecting lines between DATA and "."
+  let buffer = "";
+
+  socket.on("data", (chunk) => {
+    buffer += chunk.toString("utf8");
+    for (let i = buffer.indexOf("\n"); i >= 0; i = buffer.indexOf("\n")) {
+      const line = buffer.slice(0, i).replace(/\r$/, "");
+      buffer = buffer.slice(i + 1);
+      if (data) {
+        if (line === ".") {
+          count += 1;
+          save({ ...envelope, count }, data.join("\r\n"));
+          data = null;
+          envelope = { from: null, to: [] };
+          reply("250 OK: message saved");
+        } else {
+          data.push(line.startsWith("..") ? line.slice(1) : line);
+        }
+        continue;
+      }
+      const verb = line.split(" ")[0].toUpperCase();
+      if (verb === "EHLO") {
+        reply("250-kpb-mail-capture");
+        reply("250-AUTH PLAIN");
+        reply("250 8BITMIME");
+      } else if (verb === "HELO") reply("250 kpb-mail-capture");
+      else if (verb === "AUTH") reply("235 Accepted"); // any credentials will do
+      else if (verb === "MAIL") {
+        envelope = { from: line.match(/<([^>]*)>/)?.[1] ?? "", to: [] };
+        reply("250 OK");
+      } else if (verb === "RCPT") {
+        if (envelope.from === null) reply("503 MAIL first");
+        else {
+          envelope.to.push(line.match(/<([^>]*)>/)?.[1] ?? "");
+          reply("250 OK");
+        }
+      } else if (verb === "DATA") {
+        if (!envelope.to.length) reply("503 RCPT first");
+        else {
+          data = [];
+          reply("354 End data with <CR><LF>.<CR><LF>");
+        }
+      } else if (verb === "RSET") {
+        envelope = { from: null, to: [] };
+        reply("250 OK");
+      } else if (verb === "NOOP") reply("250 OK");
+      else if (verb === "QUIT") {
+        reply("221 Bye");
+        socket.end();
+      } else reply("502 Command not implemented");
+    }
+  });
+  socket.on("error", () => {});
+  reply("220 kpb-mail-capture ESMTP");
+});
+
+server.listen(PORT, () => console.log(`KPB mail capture on smtp://localhost:${PORT}, saving to ${MAIL_DIR}`));
@@ -0,0 +1,26 @@
+/* ====================== AGENTS SEED ======================
+   The agent directory loaded the first time the API starts with no
+   agents. Staff add and edit agents from the admin area after that.
+   The primary agent takes listings that have no (active) agent assigned.
+*/
+export const AGENTS = [
+  {
+    id: "agent-kinglaw",
+    name: "Oko Isu Ogbonna Kinglaw",
+    role: "Principal Agent • RC 1647808",
+    photo: "/assets/AgentProfile.jpg",
+    bio: "Specialist in land verification, sales, rentals, materials supply, drawings, and full construction.",
+    areas: ["GRA", "Ugbowo", "Sapele Road", "Ekehuan Road", "Airport Road", "Ugbor"],
+    languages: ["English", "Pidgin"],
+    phone: "+2348022340940",
+    whatsapp: "+2348092382323",
+    email: "kinglawparadisebuildersltd@gmail.com",
+    socials: {
+      facebook: "https://www.facebook.com/share/1Azkcv81sm/",
+      tiktok: "https://www.tiktok.com/@kinglaw.paradise.b?_t=ZM-8yvlrqaLH0S&_r=1",
+      x: "https://x.com/KinglawLtd?s=09",
+    },
+    active: true,
+    primary: true,
+  },
+];
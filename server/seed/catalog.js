@@ -0,0 +1,96 @@
+/* ====================== CATALOG SEED ======================
+   Sample listings loaded into the content store the first time the API
+   starts with an empty database. After that, staff manage listings from
+   the admin area and this file is not read again.
+*/
+const onRequest = (period = "outright", { negotiable = false } = {}) => ({
+  amountKobo: null,
+  currency: "NGN",
+  onRequest: true,
+  negotiable,
+  period,
+});
+
+const fixedPrice = (naira, period = "outright") => ({
+  amountKobo: naira * 100,
+  currency: "NGN",
+  onRequest: false,
+  negotiable: false,
+  period,
+});
+
+// installment options offered on plots and houses
+const LAND_INSTALLMENTS = [
+  { id: "30-6-5", depositPct: 30, months: 6, markupPct: 5 },
+  { id: "40-12-10", depositPct: 40, months: 12, markupPct: 10 },
+];
+const HOUSE_INSTALLMENTS = [{ id: "50-12-8", depositPct: 50, months: 12, markupPct: 8 }];
+
+export const CATALOG = {
+  properties: [
+    { id: "pr-0001", ref: "KPB-PR-0001", agentId: "agent-kinglaw", src: "/assets/property1.jpg", title: "4-Bed Duplex • Benin City", meta: "4 Beds • 3 Baths • 450 m²", price: onRequest("outright", { negotiable: true }), beds: 4, desc: "Modern finishes, good access road, steady power. Title: C of O.", size: 450, baths: 3, titleDocument: "C of O", location: "GRA, Benin City", amenities: ["Good access road", "Steady power", "Parking", "Fenced compound"], listedAt: "2025-06-02", installments: HOUSE_INSTALLMENTS, tags: ["duplex", "detached", "c of o"] },
+    { id: "pr-0002", ref: "KPB-PR-0002", agentId: "agent-kinglaw", src: "/assets/property2.jpg", title: "3-Bed Terrace • Benin City", meta: "3 Beds • 2 Baths • 300 m²", price: onRequest("outright", { negotiable: true }), beds: 3, size: 300, baths: 2, titleDocument: "Survey & Deed", location: "Sapele Road, Benin City", amenities: ["Parking", "Borehole", "Family estate"], listedAt: "2025-07-14", installments: HOUSE_INSTALLMENTS, tags: ["terrace", "family home"] },
+    { id: "pr-0003", ref: "KPB-PR-0003", agentId: "agent-kinglaw", src: "/assets/property4.jpg", images: ["/assets/upstair1.jpg", "/assets/upstair2.jpg"], title: "Upstairs Appartment • Benin City", meta: "5 Beds • 5 Baths • 600 m²", price: onRequest("outright", { negotiable: true }), beds: 5, size: 600, baths: 5, titleDocument: "C of O", location: "Ugbowo, Benin City", amenities: ["Parking", "Borehole", "Upstairs balcony", "Fenced compound"], listedAt: "2025-08-20", tags: ["apartment", "upstairs", "storey"] },
+  ],
+  lands: [
+    { id: "ld-0001", ref: "KPB-LD-0001", agentId: "agent-kinglaw", src: "/assets/land.jpg", coords: { lat: 6.3215, lng: 5.6128 }, boundary: { type: "Polygon", coordinates: [[[5.612761, 6.321352], [5.612896, 6.321380], [5.612839, 6.321648], [5.612704, 6.321620], [5.612761, 6.321352]]] }, title: "Benin City", meta: "Survey & Deed", price: onRequest("per-plot", { negotiable: true }), titleDocument: "Survey & Deed", location: "Ekehuan Road, Benin City", amenities: ["Good access road", "Dry land"], listedAt: "2025-03-10", installments: LAND_INSTALLMENTS, tags: ["plot", "residential"] },
+    { id: "ld-0002", ref: "KPB-LD-0002", agentId: "agent-kinglaw", src: "/assets/land1.jpg", coords: { lat: 6.3992, lng: 5.6041 }, boundary: { type: "Polygon", coordinates: [[[5.603944, 6.399083], [5.604217, 6.399045], [5.604256, 6.399317], [5.603983, 6.399355], [5.603944, 6.399083]]] }, title: "Benin City", meta: "C of O", price: onRequest("per-plot", { negotiable: true }), titleDocument: "C of O", location: "Ugbor, Benin City", amenities: ["Good access road", "Dry land", "Electricity nearby"], listedAt: "2025-04-22", installments: LAND_INSTALLMENTS, tags: ["plot", "certificate of occupancy"] },
+    { id: "ld-0003", ref: "KPB-LD-0003", agentId: "agent-kinglaw", src: "/assets/land3.jpg", coords: { lat: 6.3051, lng: 5.6183 }, boundary: { type: "Polygon", coordinates: [[[5.618309, 6.304947], [5.618429, 6.305016], [5.618291, 6.305253], [5.618171, 6.305184], [5.618309, 6.304947]]] }, title: "Benin City", meta: "Survey & Deed", price: onRequest("per-plot", { negotiable: true }), titleDocument: "Survey & Deed", location: "Airport Road, Benin City", amenities: ["Dry land", "Electricity nearby"], listedAt: "2025-05-05", installments: LAND_INSTALLMENTS, tags: ["plot", "residential"] },
+    { id: "ld-0004", ref: "KPB-LD-0004", agentId: "agent-kinglaw", src: "/assets/land4.jpg", coords: { lat: 6.3236, lng: 5.6007 }, boundary: { type: "Polygon", coordinates: [[[5.600633, 6.323432], [5.600795, 6.323446], [5.600767, 6.323768], [5.600605, 6.323754], [5.600633, 6.323432]]] }, title: "Benin City", meta: "Survey & Deed", price: onRequest("per-plot", { negotiable: true }), titleDocument: "Survey & Deed", location: "Ekehuan Road, Benin City", amenities: ["Good access road"], listedAt: "2025-06-18", installments: LAND_INSTALLMENTS, tags: ["plot", "residential"] },
+    { id: "ld-0005", ref: "KPB-LD-0005", agentId: "agent-kinglaw", src: "/assets/land5.jpg", coords: { lat: 6.3348, lng: 5.5902 }, boundary: { type: "Polygon", coordinates: [[[5.590088, 6.334695], [5.590218, 6.334648], [5.590312, 6.334905], [5.590182, 6.334952], [5.590088, 6.334695]]] }, title: "Benin City", meta: "Survey & Deed", price: onRequest("per-plot", { negotiable: true }), titleDocument: "Survey & Deed", location: "Ugbowo, Benin City", amenities: ["Dry land"], listedAt: "2025-07-01", installments: LAND_INSTALLMENTS, tags: ["plot", "residential"] },
+    { id: "ld-0006", ref: "KPB-LD-0006", agentId: "agent-kinglaw", src: "/assets/llland.jpg", coords: { lat: 6.3198, lng: 5.6452 }, boundary: { type: "Polygon", coordinates: [[[5.645138, 6.319500], [5.645405, 6.319571], [5.645262, 6.320100], [5.644995, 6.320029], [5.645138, 6.319500]]] }, title: "Benin City", meta: "Survey & Deed", price: onRequest("per-plot", { negotiable: true }), titleDocument: "Survey & Deed", location: "Ikpoba Hill, Benin City", amenities: ["Gated estate", "Good access road", "Dry land"], listedAt: "2025-08-09", installments: LAND_INSTALLMENTS, tags: ["plot", "estate"] },
+    { id: "ld-0007", ref: "KPB-LD-0007", agentId: "agent-kinglaw", src: "/assets/llandp.jpg", coords: { lat: 6.3403, lng: 5.6581 }, boundary: { type: "Polygon", coordinates: [[[5.658031, 6.340163], [5.658169, 6.340163], [5.658169, 6.340437], [5.658031, 6.340437], [5.658031, 6.340163]]] }, title: "Benin City", meta: "Survey & Deed", price: onRequest("per-plot", { negotiable: true }), titleDocument: "Survey & Deed", location: "Ikpoba Hill, Benin City", amenities: ["Gated estate", "Dry land"], listedAt: "2025-08-13", installments: LAND_INSTALLMENTS, tags: ["plot", "estate"] },
+  ],
+  rentals: [
+    { id: "rn-0001", ref: "KPB-RN-0001", agentId: "agent-kinglaw", src: "/assets/rent1.jpg", images: ["/assets/rent2.jpg", "/assets/rent3.jpg", "/assets/rent4.jpg"], title: "2-Bedroom Apartment • Benin City", meta: "Space • Parking", price: onRequest("per-year"), beds: 2, baths: 2, location: "Benin City", amenities: ["Parking", "Spacious rooms"], listedAt: "2025-05-12", tags: ["flat", "apartment", "to let"] },
+    { id: "rn-0002", ref: "KPB-RN-0002", agentId: "agent-kinglaw", src: "/assets/rent2.jpg", title: "Flats-Bedroom Apartment • Benin City", meta: "Upstairs • Parking", price: onRequest("per-year"), beds: 2, baths: 2, location: "Benin City", amenities: ["Parking", "Upstairs"], listedAt: "2025-06-03", tags: ["flat", "apartment", "to let"] },
+    { id: "rn-0003", ref: "KPB-RN-0003", agentId: "agent-kinglaw", src: "/assets/rent3.jpg", title: "2Each-Bed Apartment • Benin city", meta: "Upstairs • Parking", price: onRequest("per-year"), beds: 2, baths: 2, location: "Benin City", amenities: ["Parking", "Upstairs"], listedAt: "2025-07-21", tags: ["flat", "apartment", "to let"] },
+    { id: "rn-0004", ref: "KPB-RN-0004", agentId: "agent-kinglaw", src: "/assets/rent4.jpg", title: "2-Bed Apartment • Sapele Road", meta: "Self-Contain • Parking", price: onRequest("per-year"), beds: 2, baths: 1, location: "Sapele Road, Benin City", amenities: ["Parking", "Self-contained"], listedAt: "2025-08-02", tags: ["self contain", "to let"] },
+    { id: "rn-0005", ref: "KPB-RN-0005", agentId: "agent-kinglaw", src: "/assets/rentage1.jpg", title: "Flat-Beds Apartment • Benin City", meta: "Upstairs • Parking", price: onRequest("per-year"), beds: 2, baths: 2, location: "Benin City", amenities: ["Parking", "Upstairs"], listedAt: "2025-08-15", tags: ["flat", "to let"] },
+  ],
+  materials: [
+    { id: "mt-0001", ref: "KPB-MT-0001", src: "/assets/material-cement.jpg", title: "Dangote Cement 50kg", unit: "bag", price: onRequest("per-unit"), tags: ["cement", "dangote", "bags"] },
+    { id: "mt-0002", ref: "KPB-MT-0002", src: "/assets/material-BRC Rods(wire).jpg", title: "BRC Rods (Wire)", unit: "roll", price: onRequest("per-unit"), tags: ["mesh", "reinforcement", "wire"] },
+    { id: "mt-0003", ref: "KPB-MT-0003", src: "/assets/material-woods.jpg", title: "Hardwood (Assorted)", unit: "piece", price: onRequest("per-unit"), tags: ["timber", "wood", "planks"] },
+    { id: "mt-0004", ref: "KPB-MT-0004", src: "/assets/material-blocks.jpg", title: `Hollow Blocks 9"`, unit: "block", price: onRequest("per-unit"), tags: ["blocks", "sandcrete", "9 inch"] },
+    { id: "mt-0005", ref: "KPB-MT-0005", src: "/assets/material-granite.jpg", title: "Granite (30 Tons)", unit: "ton", price: onRequest("per-unit"), tags: ["granite", "chippings", "stone"] },
+    { id: "mt-0006", ref: "KPB-MT-0006", src: "/assets/materialRod.jpg", title: "Rods", unit: "length", price: onRequest("per-unit"), tags: ["iron rods", "reinforcement", "steel"] },
+    { id: "mt-0007", ref: "KPB-MT-0007", src: "/assets/material-blocksm.jpg", title: "Moulding", unit: "piece", price: onRequest("per-unit"), tags: ["mould", "block moulding"] },
+  ],
+  artifacts: [
+    { id: "af-0001", ref: "KPB-AF-0001", src: "/assets/material-blocksm.jpg", title: "Block Production Yard" },
+    { id: "af-0002", ref: "KPB-AF-0002", src: "/assets/0ngoingpit.jpg", title: "Ongoing Soakaway" },
+    { id: "af-0003", ref: "KPB-AF-0003", src: "/assets/AAfact.jpg", title: "From Foundation Forming" },
+    { id: "af-0004", ref: "KPB-AF-0004", src: "/assets/Afact.jpg", title: "WC Level" },
+    { id: "af-0005", ref: "KPB-AF-0005", src: "/assets/IMG-20250813-WA0004.jpg", title: "Formin" },
+    { id: "af-0006", ref: "KPB-AF-0006", src: "/assets/llland.jpg", title: "Land for Sale" },
+    { id: "af-0007", ref: "KPB-AF-0007", src: "/assets/material-BRC Rods(wire).jpg", title: "BRC Rods(wire)" },
+    { id: "af-0008", ref: "KPB-AF-0008", src: "/assets/sitework1.jpg", title: "Sitework" },
+    { id: "af-0009", ref: "KPB-AF-0009", src: "/assets/sand and gravel.jpg", title: "sand and Gravel"},
+    { id: "af-0010", ref: "KPB-AF-0010", src: "/assets/logo.jpg", title: "Company Flyer" },
+  ],
+  plans: [
+    { id: "pl-0001", ref: "KPB-PL-0001", src: "/api/plans/pl-0001/preview", title: "Residential Plan A", price: fixedPrice(150000), beds: 4, floors: 1, plotSize: "15 × 21 m", sheets: [{ title: "Floor plan and roof section", file: "plan-1.jpg" }], preview: null, spec: { buildingType: "bungalow", floorArea: 150, floors: 1, wallLength: 95 }, tags: ["floor plan", "residential"] },
+    { id: "pl-0002", ref: "KPB-PL-0002", src: "/api/plans/pl-0002/preview", title: "5-Bedroom Plan", price: fixedPrice(250000), beds: 5, floors: 2, plotSize: "16 × 25 m", sheets: [{ title: "Ground floor plan (A.03)", file: "plan-2.jpg" }], preview: null, spec: { buildingType: "duplex", floorArea: 180, floors: 2, wallLength: 110 }, tags: ["floor plan", "5 bedroom"] },
+    { id: "pl-0003", ref: "KPB-PL-0003", src: "/api/plans/pl-0003/preview", title: "Bedroom Plan", price: fixedPrice(80000), beds: 3, floors: 1, plotSize: "15 × 30 m", sheets: [{ title: "Front elevation sketch", file: "DrawingP3.jpg" }], preview: null, spec: { buildingType: "bungalow", floorArea: 120, floors: 1, wallLength: 80 }, tags: ["floor plan", "drawing"] },
+    { id: "pl-0004", ref: "KPB-PL-0004", src: "/api/plans/pl-0004/preview", title: "5-Bedroom Plan", price: fixedPrice(120000), beds: 5, floors: 2, plotSize: "18 × 30 m", sheets: [{ title: "3D floor layout", file: "DrawingP2.jpg" }], preview: null, spec: { buildingType: "duplex", floorArea: 200, floors: 2, wallLength: 120 }, tags: ["floor plan", "5 bedroom"] },
+  ],
+  designs: [
+    { id: "ds-0001", ref: "KPB-DS-0001", src: "/assets/desiggn.jpg", title: "Modern Elevation", tags: ["elevation", "modern", "3d"] },
+    { id: "ds-0002", ref: "KPB-DS-0002", src: "/assets/ddesign.jpg", title: "Classic Elevation", tags: ["elevation", "classic", "3d"] },
+    { id: "ds-0003", ref: "KPB-DS-0003", src: "/assets/design1.jpg", title: "Classic Design", tags: ["classic", "3d"] },
+    { id: "ds-0004", ref: "KPB-DS-0004", src: "/assets/design3.jpg", title: "Modern Design", tags: ["modern", "3d"] },
+    { id: "ds-0005", ref: "KPB-DS-0005", src: "/assets/design4.jpg", title: "Classic Elevation", tags: ["elevation", "classic"] },
+  ],
+  construction: [
+    { id: "cn-0001", ref: "KPB-CN-0001", src: "/assets/foundation1.jpg", title: "Ongoing Site — Foundation", tags: ["foundation", "site"] },
+    { id: "cn-0002", ref: "KPB-CN-0002", src: "/assets/Finishing.jpg", title: "Ongoing Site — Finishing", tags: ["finishing", "site"] },
+    { id: "cn-0003", ref: "KPB-CN-0003", src: "/assets/sitework1.jpg", images: ["/assets/sitework2.jpg", "/assets/sitework3.jpg", "/assets/sitework4.jpg"], title: "Ongoing Site — WC level", tags: ["wc level", "dpc", "site"] },
+    { id: "cn-0004", ref: "KPB-CN-0004", src: "/assets/sitework2.jpg", title: "Ongoing Site — Men at Work", tags: ["workers", "site"] },
+    { id: "cn-0005", ref: "KPB-CN-0005", src: "/assets/sitework3.jpg", title: "Ongoing Site — Finishing", tags: ["finishing", "site"] },
+    { id: "cn-0006", ref: "KPB-CN-0006", src: "/assets/sitework4.jpg", title: "Ongoing Site — Finishing", tags: ["finishing", "site"] },
+    { id: "cn-0007", ref: "KPB-CN-0007", src: "/assets/0ngoingpit.jpg", title: "Ongoing Site — Soakaway", tags: ["soakaway", "septic", "site"] },
+    { id: "cn-0008", ref: "KPB-CN-0008", src: "/assets/upstair1.jpg", images: ["/assets/upstair2.jpg"], title: "Ongoing Site — Upstairs", tags: ["upstairs", "storey", "site"] },
+    { id: "cn-0009", ref: "KPB-CN-0009", src: "/assets/upstair2.jpg", title: "Ongoing Site — Finishing", tags: ["finishing", "site"] },
+  ],
+};
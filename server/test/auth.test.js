@@ -0,0 +1,144 @@
+/* Auth flow and request-error tests for the local API server.
+   Run with `npm test`; the store is kept in memory. */
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.KPB_DB = ":memory:";
+process.env.KPB_STAFF_EMAILS = "staff@example.ng";
+const { createServer } = await import("../index.js");
+
+let server;
+let base;
+
+before(async () => {
+  server = createServer();
+  await new Promise((resolve) => server.listen(0, resolve));
+  base = `http://localhost:${server.address().port}/api`;
+});
+
+after(() => server.close());
+
+/* Sends JSON (or a raw string) and resolves to { status, data } */
+async function call(path, { method = "GET", body, token } = {}) {
+  const headers = {};
+  if (body !== undefined) headers["Content-Type"] = "application/json";
+  if (token) headers.Authorization = `Bearer ${token}`;
+  const res = await fetch(`${base}${path}`, {
+    method,
+    headers,
+    body: body === undefined ? undefined : typeof body === "string" ? body : JSON.stringify(body),
+  });
+  return { status: res.status, data: await res.json().catch(() => null) };
+}
+
+const account = {
+  firstName: "Ada",
+  lastName: "Obi",
+  email: "ada@example.ng",
+  password: "correct-horse",
+};
+
+test("register creates a client account and signs it in", async () => {
+  const { status, data } = await call("/auth/register", { method: "POST", body: account });
+  assert.equal(status, 201);
+  assert.equal(data.user.email, account.email);
+  assert.equal(data.user.role, "client");
+  assert.ok(data.accessToken && data.refreshToken);
+  assert.equal(data.user.passwordHash, undefined);
+
+  const me = await call("/auth/me", { token: data.accessToken });
+  assert.equal(me.status, 200);
+  assert.equal(me.data.user.id, data.user.id);
+});
+
+test("register rejects duplicates, weak passwords and missing fields", async () => {
+  const dup = await call("/auth/register", { method: "POST", body: { ...account, email: "ADA@example.ng" } });
+  assert.equal(dup.status, 409);
+
+  const weak = await call("/auth/register", { method: "POST", body: { ...account, email: "b@example.ng", password: "short" } });
+  assert.equal(weak.status, 422);
+  assert.equal(weak.data.fields.password, "Too short");
+
+  const missing = await call("/auth/register", { method: "POST", body: { email: "c@example.ng" } });
+  assert.equal(missing.status, 422);
+  assert.deepEqual(Object.keys(missing.data.fields).sort(), ["firstName", "lastName", "password"]);
+});
+
+test("login checks the password", async () => {
+  const ok = await call("/auth/login", { method: "POST", body: { email: account.email, password: account.password } });
+  assert.equal(ok.status, 200);
+  assert.ok(ok.data.accessToken);
+
+  const wrong = await call("/auth/login", { method: "POST", body: { email: account.email, password: "nope-nope" } });
+  assert.equal(wrong.status, 401);
+
+  const unknown = await call("/auth/login", { method: "POST", body: { email: "who@example.ng", password: "whatever1" } });
+  assert.equal(unknown.status, 401);
+});
+
+test("refresh rotates tokens and the old refresh token stops working", async () => {
+  const login = await call("/auth/login", { method: "POST", body: { email: account.email, password: account.password } });
+  const { refreshToken } = login.data;
+
+  const first = await call("/auth/refresh", { method: "POST", body: { refreshToken } });
+  assert.equal(first.status, 200);
+  assert.notEqual(first.data.refreshToken, refreshToken);
+  assert.equal((await call("/auth/me", { token: first.data.accessToken })).status, 200);
+
+  const replay = await call("/auth/refresh", { method: "POST", body: { refreshToken } });
+  assert.equal(replay.status, 401);
+});
+
+test("logout revokes the session", async () => {
+  const login = await call("/auth/login", { method: "POST", body: { email: account.email, password: account.password } });
+  const { accessToken, refreshToken } = login.data;
+
+  const out = await call("/auth/logout", { method: "POST", token: accessToken });
+  assert.equal(out.status, 200);
+
+  const me = await call("/auth/me", { token: accessToken });
+  assert.equal(me.status, 401);
+  assert.equal(me.data.error, "Session expired");
+  assert.equal((await call("/auth/refresh", { method: "POST", body: { refreshToken } })).status, 401);
+  assert.equal((await call("/auth/logout", { method: "POST" })).status, 401);
+});
+
+test("bad request bodies get a 400, not a 500", async () => {
+  for (const body of ["null", "[]", "42", '"text"']) {
+    const res = await call("/auth/login", { method: "POST", body });
+    assert.equal(res.status, 400, `body ${body}`);
+    assert.equal(res.data.error, "Request body must be a JSON object");
+  }
+  const broken = await call("/auth/login", { method: "POST", body: "{nope" });
+  assert.equal(broken.status, 400);
+  assert.equal(broken.data.error, "Malformed JSON body");
+});
+
+test("a malformed %-escape in the path gets a 400", async () => {
+  const { data } = await call("/auth/login", { method: "POST", body: account });
+  const res = await call("/orders/%E0%A4%A", { token: data.accessToken });
+  assert.equal(res.status, 400);
+  assert.equal(res.data.error, "Malformed URL");
+});
+
+test("unknown routes and missing sessions", async () => {
+  assert.equal((await call("/nothing-here")).status, 404);
+  assert.equal((await call("/auth/me")).data.error, "Sign in required");
+  assert.equal((await call("/auth/me", { token: "forged" })).status, 401);
+});
+
+test("names that are object prototype keys are unknown, not a 500", async () => {
+  const { data } = await call("/auth/login", { method: "POST", body: { email: account.email, password: account.password } });
+  for (const service of ["constructor", "__proto__", "toString"]) {
+    const res = await call("/quotes", { method: "POST", token: data.accessToken, body: { service, phone: "08012345678" } });
+    assert.equal(res.status, 422, service);
+    assert.equal(res.data.error, "Unknown service");
+  }
+
+  const staff = await call("/auth/register", { method: "POST", body: { ...account, email: "staff@example.ng" } });
+  for (const category of ["constructor", "__proto__", "toString"]) {
+    const res = await call("/admin/listings", { method: "POST", token: staff.data.accessToken, body: { category, title: "Plot" } });
+    assert.equal(res.status, 422, category);
+    assert.equal(res.data.fields.category, "Unknown category");
+  }
+});
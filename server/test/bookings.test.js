@@ -0,0 +1,119 @@
+/* Inspection bookings: slots follow the agent's hours in Benin City time, and
+   an agent can never be booked twice for the same slot. */
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.KPB_DB = ":memory:";
+process.env.KPB_STAFF_EMAILS = "staff@example.ng";
+const { createServer } = await import("../index.js");
+
+let server;
+let base;
+const tokens = {};
+
+/* Sends JSON and resolves to { status, data } */
+async function call(path, { method = "GET", body, token } = {}) {
+  const headers = {};
+  if (body !== undefined) headers["Content-Type"] = "application/json";
+  if (token) headers.Authorization = `Bearer ${token}`;
+  const res = await fetch(`${base}${path}`, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+  return { status: res.status, data: await res.json().catch(() => null) };
+}
+
+/* The next `count` days from tomorrow (UTC dates) that are weekdays */
+function weekdays(count) {
+  const out = [];
+  for (let d = 1; out.length < count; d += 1) {
+    const date = new Date(Date.now() + d * 86400000);
+    if (date.getUTCDay() >= 1 && date.getUTCDay() <= 5) out.push(date.toISOString().slice(0, 10));
+  }
+  return out;
+}
+
+const book = (token, start, listingId = "pr-0001") =>
+  call("/bookings", { method: "POST", token, body: { listingId, start, phone: "08012345678" } });
+
+before(async () => {
+  server = createServer();
+  await new Promise((resolve) => server.listen(0, resolve));
+  base = `http://localhost:${server.address().port}/api`;
+  for (const name of ["staff", "ada", "bayo"]) {
+    const body = { firstName: name, lastName: "Test", email: `${name}@example.ng`, password: "correct-horse" };
+    tokens[name] = (await call("/auth/register", { method: "POST", body })).data.accessToken;
+  }
+});
+
+after(() => server.close());
+
+test("weekday slots run 9am to 5pm Benin City time, hourly", async () => {
+  const [date] = weekdays(1);
+  const { status, data } = await call(`/bookings/slots?date=${date}&listingId=pr-0001`);
+  assert.equal(status, 200);
+  assert.equal(data.slots.length, 8);
+  assert.equal(data.slots[0].start, `${date}T08:00:00.000Z`);
+  assert.equal(data.slots[7].start, `${date}T15:00:00.000Z`);
+  assert.ok(data.slots.every((s) => s.available));
+  assert.equal((await call("/bookings/slots?date=soon&listingId=pr-0001")).status, 422);
+});
+
+test("a slot can be booked once per agent, across that agent's listings", async () => {
+  const [date] = weekdays(1);
+  const start = `${date}T09:00:00.000Z`;
+  const first = await book(tokens.ada, start);
+  assert.equal(first.status, 201);
+  assert.equal(first.data.booking.status, "booked");
+  assert.equal(first.data.booking.listingRef, "KPB-PR-0001");
+  assert.equal(first.data.booking.end, `${date}T10:00:00.000Z`);
+
+  const again = await book(tokens.bayo, start);
+  assert.equal(again.status, 409);
+  assert.equal(again.data.fields.start, "Taken");
+  assert.equal((await book(tokens.bayo, start, "pr-0002")).status, 409, "same agent, other listing");
+
+  const { data } = await call(`/bookings/slots?date=${date}&listingId=pr-0001`);
+  assert.equal(data.slots.find((s) => s.start === start).available, false);
+
+  // cancelling frees the slot
+  const cancelled = await call(`/bookings/${first.data.booking.id}/status`, { method: "POST", token: tokens.ada, body: { status: "cancelled" } });
+  assert.equal(cancelled.status, 200);
+  assert.equal((await book(tokens.bayo, start)).status, 201);
+});
+
+test("times outside the agent's hours, in the past or too far ahead are refused", async () => {
+  const [date] = weekdays(1);
+  for (const start of [`${date}T07:00:00.000Z`, `${date}T09:30:00.000Z`, `${date}T16:00:00.000Z`, "2020-01-06T09:00:00.000Z"]) {
+    const res = await book(tokens.ada, start);
+    assert.equal(res.status, 422, start);
+    assert.equal(res.data.fields.start, "Unavailable");
+  }
+  const far = new Date(Date.now() + 60 * 86400000).toISOString().slice(0, 10);
+  assert.equal((await book(tokens.ada, `${far}T10:00:00.000Z`)).status, 422);
+});
+
+test("only published properties and rentals can be booked", async () => {
+  const [date] = weekdays(1);
+  assert.equal((await book(tokens.ada, `${date}T12:00:00.000Z`, "ld-0001")).status, 422);
+  assert.equal((await book(tokens.ada, `${date}T12:00:00.000Z`, "pr-9999")).status, 404);
+  assert.equal((await book(undefined, `${date}T12:00:00.000Z`)).status, 401);
+});
+
+test("rescheduling checks the new slot and needs confirming again", async () => {
+  const [, date] = weekdays(2);
+  const mine = (await book(tokens.ada, `${date}T10:00:00.000Z`)).data.booking;
+  await book(tokens.bayo, `${date}T11:00:00.000Z`);
+  const confirmed = await call(`/bookings/${mine.id}/status`, { method: "POST", token: tokens.staff, body: { status: "confirmed" } });
+  assert.equal(confirmed.data.booking.status, "confirmed");
+
+  const clash = await call(`/bookings/${mine.id}/reschedule`, { method: "POST", token: tokens.ada, body: { start: `${date}T11:00:00.000Z` } });
+  assert.equal(clash.status, 409);
+  // its own slot is not a clash
+  const moved = await call(`/bookings/${mine.id}/reschedule`, { method: "POST", token: tokens.ada, body: { start: `${date}T13:00:00.000Z` } });
+  assert.equal(moved.status, 200);
+  assert.equal(moved.data.booking.status, "booked");
+  assert.equal(moved.data.booking.start, `${date}T13:00:00.000Z`);
+
+  const other = await call(`/bookings/${mine.id}/reschedule`, { method: "POST", token: tokens.bayo, body: { start: `${date}T14:00:00.000Z` } });
+  assert.equal(other.status, 404, "someone else's booking");
+  const selfConfirm = await call(`/bookings/${mine.id}/status`, { method: "POST", token: tokens.ada, body: { status: "confirmed" } });
+  assert.equal(selfConfirm.status, 403);
+});
@@ -0,0 +1,56 @@
+/* Enquiry click counting: repeat clicks count once per visitor, and clicks
+   are written to the store in batches that are flushed when the server closes. */
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "kpb-enquiries-"));
+const dbFile = path.join(dir, "db.json");
+process.env.KPB_DB = dbFile;
+const { createServer } = await import("../index.js");
+
+let server;
+let base;
+let listingId;
+
+before(async () => {
+  server = createServer();
+  await new Promise((resolve) => server.listen(0, resolve));
+  base = `http://localhost:${server.address().port}/api`;
+  const { catalog } = await (await fetch(`${base}/catalog`)).json();
+  listingId = catalog.lands[0].id;
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const click = (body) =>
+  fetch(`${base}/enquiries`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ listingId, channel: "whatsapp", ...body }),
+  });
+
+const stored = () => (fs.existsSync(dbFile) ? JSON.parse(fs.readFileSync(dbFile, "utf8")).enquiries : []);
+
+test("repeat clicks count once per visitor, not once per address", async () => {
+  for (let i = 0; i < 3; i += 1) assert.equal((await click({ visitorId: "visitor-aaaa" })).status, 204);
+  await click({ visitorId: "visitor-bbbb" });
+  await click({ visitorId: "visitor-bbbb", channel: "call" });
+  await click({}); // no visitor id: every click counts
+  await click({});
+  assert.equal((await click({ channel: "fax" })).status, 422);
+});
+
+test("clicks are saved in a batch that is flushed when the server closes", async () => {
+  assert.equal(stored().length, 0, "nothing is written per click");
+  await new Promise((resolve) => server.close(resolve));
+  const enquiries = stored();
+  assert.equal(enquiries.length, 5);
+  assert.deepEqual(
+    enquiries.map((e) => e.channel),
+    ["whatsapp", "whatsapp", "call", "whatsapp", "whatsapp"],
+  );
+  assert.ok(enquiries.every((e) => e.listingId === listingId));
+});
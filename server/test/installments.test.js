@@ -0,0 +1,97 @@
+/* Installment plans: the schedule the calculator shows comes from the API,
+   and a sign-up is billed on exactly the plan that was picked. */
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.KPB_DB = ":memory:";
+process.env.KPB_STAFF_EMAILS = "staff@example.ng";
+const { createServer } = await import("../index.js");
+
+let server;
+let base;
+let staff;
+let client;
+
+/* Sends JSON and resolves to { status, data } */
+async function call(path, { method = "GET", body, token } = {}) {
+  const headers = {};
+  if (body !== undefined) headers["Content-Type"] = "application/json";
+  if (token) headers.Authorization = `Bearer ${token}`;
+  const res = await fetch(`${base}${path}`, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+  return { status: res.status, data: await res.json().catch(() => null) };
+}
+
+const register = async (email) =>
+  (await call("/auth/register", { method: "POST", body: { firstName: "Test", lastName: "User", email, password: "correct-horse" } }))
+    .data.accessToken;
+
+before(async () => {
+  server = createServer();
+  await new Promise((resolve) => server.listen(0, resolve));
+  base = `http://localhost:${server.address().port}/api`;
+  staff = await register("staff@example.ng");
+  client = await register("buyer@example.ng");
+});
+
+after(() => server.close());
+
+const preview = (params) => call(`/installments/preview?${new URLSearchParams(params)}`);
+
+test("the preview schedule is the deposit, then the marked-up balance by month", async () => {
+  const { status, data } = await preview({ listingId: "ld-0001", planId: "30-6-5", amount: "1000000" });
+  assert.equal(status, 200);
+  assert.equal(data.priceKobo, 100_000_000);
+  const [deposit, ...months] = data.schedule;
+  assert.equal(deposit.n, 0);
+  assert.equal(deposit.amountKobo, 30_000_000);
+  assert.equal(deposit.dueDate, new Date().toISOString().slice(0, 10));
+  assert.equal(months.length, 6);
+  assert.equal(months.reduce((sum, r) => sum + r.amountKobo, 0), 73_500_000); // 70% plus 5%
+  const dates = data.schedule.map((r) => r.dueDate);
+  assert.deepEqual([...dates].sort(), dates);
+  assert.equal(new Set(dates).size, dates.length);
+});
+
+test("the last month absorbs the rounding", async () => {
+  const { data } = await preview({ listingId: "ld-0001", planId: "40-12-10", amount: "1234567" });
+  const rows = data.schedule.slice(1);
+  const financed = Math.round(((123_456_700 - Math.round(123_456_700 * 0.4)) * 110) / 100);
+  assert.equal(rows.reduce((sum, r) => sum + r.amountKobo, 0), financed);
+  assert.ok(rows.slice(0, -1).every((r) => r.amountKobo === rows[0].amountKobo));
+});
+
+test("the preview rejects unknown plans and missing prices", async () => {
+  assert.equal((await preview({ listingId: "ld-0001", planId: "99-1-0", amount: "1000" })).status, 422);
+  assert.equal((await preview({ listingId: "nope", planId: "30-6-5", amount: "1000" })).status, 422);
+  const noPrice = await preview({ listingId: "ld-0001", planId: "30-6-5", amount: "" });
+  assert.equal(noPrice.status, 422);
+  assert.equal(noPrice.data.fields.amount, "Required");
+});
+
+test("a sign-up gets the schedule the preview showed", async () => {
+  const terms = { listingId: "ld-0002", planId: "30-6-5", amount: 2500000 };
+  const shown = (await preview(terms)).data.schedule;
+  const { status, data } = await call("/installments", { method: "POST", token: client, body: terms });
+  assert.equal(status, 201);
+  assert.deepEqual(data.installment.schedule, shown);
+  assert.equal(data.installment.status, "pending");
+});
+
+test("plans that differ only in markup get their own ids; identical plans are refused", async () => {
+  const plans = [
+    { depositPct: 20, months: 12, markupPct: 5 },
+    { depositPct: 20, months: 12, markupPct: 15 },
+  ];
+  const saved = await call("/admin/listings/ld-0003", { method: "PATCH", token: staff, body: { installments: plans } });
+  assert.equal(saved.status, 200);
+  const ids = saved.data.listing.installments.map((p) => p.id);
+  assert.equal(new Set(ids).size, 2);
+
+  const body = { listingId: "ld-0003", planId: ids[1], amount: 1000000 };
+  const { data } = await call("/installments", { method: "POST", token: client, body });
+  assert.equal(data.installment.plan.markupPct, 15);
+
+  const dup = await call("/admin/listings/ld-0003", { method: "PATCH", token: staff, body: { installments: [plans[0], plans[0]] } });
+  assert.equal(dup.status, 422);
+  assert.equal(dup.data.fields.installments, "Duplicate plan");
+});
@@ -0,0 +1,42 @@
+/* Plan preview tests: the public preview must never be a paid sheet. */
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import jpeg from "jpeg-js";
+
+process.env.KPB_DB = ":memory:";
+const { createServer } = await import("../index.js");
+const PLAN_FILES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "private", "plans");
+
+let server;
+let base;
+
+before(async () => {
+  server = createServer();
+  await new Promise((resolve) => server.listen(0, resolve));
+  base = `http://localhost:${server.address().port}/api`;
+});
+
+after(() => server.close());
+
+test("previews are re-rendered JPEGs at most half the sheet's width", async () => {
+  const { catalog } = await (await fetch(`${base}/catalog`)).json();
+  const seeded = { "pl-0001": "plan-1.jpg", "pl-0002": "plan-2.jpg", "pl-0003": "DrawingP3.jpg", "pl-0004": "DrawingP2.jpg" };
+  for (const [id, file] of Object.entries(seeded)) {
+    const plan = catalog.plans.find((p) => p.id === id);
+    assert.equal(plan.preview, undefined, "the preview source stays private");
+    const res = await fetch(`${base}/plans/${id}/preview`);
+    assert.equal(res.headers.get("content-type"), "image/jpeg");
+    const body = Buffer.from(await res.arrayBuffer());
+    const sheet = fs.readFileSync(path.join(PLAN_FILES_DIR, file));
+    assert.ok(!body.includes(sheet.subarray(0, 4096)), `${id} preview embeds its sheet`);
+    const [shown, original] = [jpeg.decode(body), jpeg.decode(sheet)];
+    assert.ok(shown.width <= Math.ceil(original.width / 2), `${id} preview is ${shown.width}px wide`);
+  }
+});
+
+test("unknown plans are a 404", async () => {
+  assert.equal((await fetch(`${base}/plans/pl-9999/preview`)).status, 404);
+});
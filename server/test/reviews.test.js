@@ -0,0 +1,112 @@
+/* Review eligibility: only a finished booking, delivered order or completed
+   build earns a review, once per subject. */
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.KPB_DB = ":memory:";
+process.env.KPB_STAFF_EMAILS = "staff@example.ng";
+const { createServer } = await import("../index.js");
+
+let server;
+let base;
+const tokens = {};
+
+/* Sends JSON and resolves to { status, data } */
+async function call(path, { method = "GET", body, token } = {}) {
+  const headers = {};
+  if (body !== undefined) headers["Content-Type"] = "application/json";
+  if (token) headers.Authorization = `Bearer ${token}`;
+  const res = await fetch(`${base}${path}`, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+  return { status: res.status, data: await res.json().catch(() => null) };
+}
+
+const staffPost = (path, body) => call(path, { method: "POST", token: tokens.staff, body });
+const eligible = async (token) => (await call("/reviews/eligible", { token })).data.eligible.map((r) => `${r.type}:${r.id}`);
+const review = (token, type, id) =>
+  call("/reviews", { method: "POST", token, body: { type, id, rating: 4, text: "Quick and honest throughout." } });
+
+/* Books the first free slot with the listing's agent, from tomorrow on */
+async function bookInspection(token) {
+  for (let d = 1; d < 14; d += 1) {
+    const date = new Date(Date.now() + d * 86400000).toISOString().slice(0, 10);
+    const { slots } = (await call(`/bookings/slots?date=${date}&listingId=pr-0001`)).data;
+    const free = slots.find((s) => s.available);
+    if (free) {
+      const body = { listingId: "pr-0001", start: free.start, phone: "08012345678" };
+      return (await call("/bookings", { method: "POST", token, body })).data.booking;
+    }
+  }
+  throw new Error("no free slot");
+}
+
+before(async () => {
+  server = createServer();
+  await new Promise((resolve) => server.listen(0, resolve));
+  base = `http://localhost:${server.address().port}/api`;
+  for (const name of ["staff", "ada", "bayo"]) {
+    const body = { firstName: name, lastName: "Test", email: `${name}@example.ng`, password: "correct-horse" };
+    tokens[name] = (await call("/auth/register", { method: "POST", body })).data.accessToken;
+  }
+});
+
+after(() => server.close());
+
+test("an agent can be reviewed after a completed inspection, not before", async () => {
+  const booking = await bookInspection(tokens.ada);
+  assert.deepEqual(await eligible(tokens.ada), []);
+  assert.equal((await review(tokens.ada, "agent", booking.agentId)).status, 403);
+
+  await staffPost(`/bookings/${booking.id}/status`, { status: "confirmed" });
+  assert.deepEqual(await eligible(tokens.ada), [], "confirmed is not finished");
+  await staffPost(`/bookings/${booking.id}/status`, { status: "completed" });
+  assert.deepEqual(await eligible(tokens.ada), [`agent:${booking.agentId}`]);
+  assert.deepEqual(await eligible(tokens.bayo), [], "someone else's booking earns nothing");
+
+  const first = await review(tokens.ada, "agent", booking.agentId);
+  assert.equal(first.status, 201);
+  assert.equal(first.data.review.source.kind, "booking");
+  assert.equal((await review(tokens.ada, "agent", booking.agentId)).status, 409, "one review per subject");
+  assert.deepEqual(await eligible(tokens.ada), []);
+});
+
+test("a delivered materials order earns a Materials Supply review", async () => {
+  const order = (
+    await call("/orders", {
+      method: "POST",
+      token: tokens.bayo,
+      body: { address: "12 Airport Road", phone: "08012345678", items: [{ listingId: "mt-0001", qty: 2 }] },
+    })
+  ).data.order;
+  for (const status of ["confirmed", "dispatched"]) await staffPost(`/orders/${order.id}/status`, { status });
+  assert.deepEqual(await eligible(tokens.bayo), []);
+  await staffPost(`/orders/${order.id}/status`, { status: "delivered" });
+  assert.deepEqual(await eligible(tokens.bayo), ["service:materials-supply"]);
+});
+
+test("a build is reviewable once every stage is at 100%", async () => {
+  const { project } = (await staffPost("/projects", { clientEmail: "bayo@example.ng", title: "Bungalow", site: "Ugbowo" })).data;
+  const stages = project.stages.map((st) => st.id);
+  for (const stage of stages.slice(0, -1)) await staffPost(`/projects/${project.id}/updates`, { stage, percent: 100, note: "Done" });
+  assert.ok(!(await eligible(tokens.bayo)).includes(`project:${project.id}`));
+
+  await staffPost(`/projects/${project.id}/updates`, { stage: stages.at(-1), percent: 100, note: "Handed over" });
+  const list = await eligible(tokens.bayo);
+  assert.ok(list.includes(`project:${project.id}`));
+  assert.ok(list.includes("service:general-construction"));
+});
+
+test("ratings and text are checked, and hidden reviews leave the public list", async () => {
+  const { data } = await call("/reviews/eligible", { token: tokens.bayo });
+  const { type, id } = data.eligible.find((r) => r.type === "service" && r.id === "materials-supply");
+  const bad = await call("/reviews", { method: "POST", token: tokens.bayo, body: { type, id, rating: 6, text: "Quick and honest." } });
+  assert.equal(bad.status, 422);
+  const short = await call("/reviews", { method: "POST", token: tokens.bayo, body: { type, id, rating: 5, text: "ok" } });
+  assert.equal(short.status, 422);
+
+  const posted = (await review(tokens.bayo, type, id)).data.review;
+  const listed = async () => (await call(`/reviews?type=service&id=${id}`)).data;
+  assert.equal((await listed()).summary.count, 1);
+  assert.equal((await listed()).reviews[0].userId, undefined, "no user ids in public reviews");
+  await staffPost(`/reviews/${posted.id}/status`, { status: "hidden" });
+  assert.equal((await listed()).summary.count, 0);
+});
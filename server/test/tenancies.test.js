@@ -0,0 +1,99 @@
+/* Tenancies: letting takes a flat off the Rentals page, renewal reminders go
+   out once per step as the lease end nears, and expired leases end on their own. */
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.KPB_DB = ":memory:";
+process.env.KPB_STAFF_EMAILS = "staff@example.ng";
+const { createServer, runJobs } = await import("../index.js");
+
+let server;
+let base;
+const tokens = {};
+
+/* Sends JSON and resolves to { status, data } */
+async function call(path, { method = "GET", body, token } = {}) {
+  const headers = {};
+  if (body !== undefined) headers["Content-Type"] = "application/json";
+  if (token) headers.Authorization = `Bearer ${token}`;
+  const res = await fetch(`${base}${path}`, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+  return { status: res.status, data: await res.json().catch(() => null) };
+}
+
+/* YYYY-MM-DD `days` from today (UTC, as the server counts) */
+const day = (days) => new Date(Date.now() + days * 86400000).toISOString().slice(0, 10);
+
+const letFlat = (listingId, leaseStart, leaseEnd) =>
+  call("/tenancies", {
+    method: "POST",
+    token: tokens.staff,
+    body: { listingId, tenantName: "Tayo Test", tenantPhone: "08012345678", tenantEmail: "tenant@example.ng", leaseStart, leaseEnd, annualRent: 1200000 },
+  });
+
+const rentalIds = async () => (await call("/catalog")).data.catalog.rentals.map((l) => l.id);
+const leaseNotices = async () =>
+  (await call("/notifications", { token: tokens.tenant })).data.notifications.filter((n) => n.type === "tenancies");
+
+before(async () => {
+  server = createServer();
+  await new Promise((resolve) => server.listen(0, resolve));
+  base = `http://localhost:${server.address().port}/api`;
+  for (const name of ["staff", "tenant"]) {
+    const body = { firstName: name, lastName: "Test", email: `${name}@example.ng`, password: "correct-horse" };
+    tokens[name] = (await call("/auth/register", { method: "POST", body })).data.accessToken;
+  }
+});
+
+after(() => server.close());
+
+test("a lease ending soon gets one reminder per step, and letting hides the flat", async () => {
+  const { status, data } = await letFlat("rn-0001", day(-345), day(20));
+  assert.equal(status, 201);
+  const { tenancy } = data;
+  assert.equal(tenancy.status, "active");
+  assert.deepEqual(tenancy.reminders.map((r) => r.daysBefore), [30]);
+  assert.ok(!(await rentalIds()).includes("rn-0001"), "a let flat is off the Rentals page");
+
+  const notices = await leaseNotices();
+  assert.equal(notices.length, 1);
+  assert.equal(notices[0].title, "Your lease ends in 20 days");
+
+  await runJobs();
+  await runJobs();
+  assert.equal((await leaseNotices()).length, 1, "the same reminder is not sent twice");
+  assert.equal((await call("/tenancies", { token: tokens.tenant })).data.tenancies[0].reminders.length, 1);
+
+  assert.equal((await letFlat("rn-0001", day(0), day(365))).status, 409, "one active tenancy per flat");
+});
+
+test("renewing adds a term from the day after the lease ends", async () => {
+  const [mine] = (await call("/tenancies", { token: tokens.tenant })).data.tenancies;
+  const early = await call(`/tenancies/${mine.id}/renew`, { method: "POST", token: tokens.staff, body: { leaseEnd: day(20) } });
+  assert.equal(early.status, 422);
+
+  const { status, data } = await call(`/tenancies/${mine.id}/renew`, { method: "POST", token: tokens.staff, body: { leaseEnd: day(385) } });
+  assert.equal(status, 200);
+  assert.deepEqual(data.tenancy.terms.at(-1), { start: day(21), end: day(385), rentKobo: 120_000_000, serviceChargeKobo: 0 });
+  await runJobs();
+  assert.equal((await leaseNotices()).length, 1, "no reminder for a lease a year away");
+
+  const tenantRenew = await call(`/tenancies/${mine.id}/renew`, { method: "POST", token: tokens.tenant, body: { leaseEnd: day(800) } });
+  assert.equal(tenantRenew.status, 403);
+});
+
+test("an expired lease ends on its own and the flat goes back on the Rentals page", async () => {
+  const { data } = await letFlat("rn-0002", day(-400), day(-1));
+  assert.equal(data.tenancy.status, "ended");
+  assert.equal(data.tenancy.endedAt, day(-1));
+  assert.equal(data.tenancy.history.at(-1).note, "Lease expired");
+  assert.ok((await rentalIds()).includes("rn-0002"));
+});
+
+test("staff can end a tenancy by hand, once", async () => {
+  const [mine] = (await call("/tenancies", { token: tokens.tenant })).data.tenancies.filter((t) => t.listingId === "rn-0001");
+  const ended = await call(`/tenancies/${mine.id}/end`, { method: "POST", token: tokens.staff, body: {} });
+  assert.equal(ended.status, 200);
+  assert.equal(ended.data.tenancy.status, "ended");
+  assert.ok((await rentalIds()).includes("rn-0001"));
+  assert.equal((await call(`/tenancies/${mine.id}/end`, { method: "POST", token: tokens.staff, body: {} })).status, 409);
+});
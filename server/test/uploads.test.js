@@ -0,0 +1,105 @@
+/* Upload access: listing photos are public; documents and attachments are
+   only served to the uploader, staff and the client a file was posted for. */
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.KPB_DB = ":memory:";
+process.env.KPB_STAFF_EMAILS = "staff@example.ng";
+const { createServer } = await import("../index.js");
+
+let server;
+let base;
+const sessions = {};
+
+/* Sends JSON and resolves to { status, data } */
+async function call(path, { method = "GET", body, token } = {}) {
+  const headers = {};
+  if (body !== undefined) headers["Content-Type"] = "application/json";
+  if (token) headers.Authorization = `Bearer ${token}`;
+  const res = await fetch(`${base}${path}`, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+  return { status: res.status, data: await res.json().catch(() => null) };
+}
+
+async function upload(token, type = "application/pdf") {
+  const res = await fetch(`${base}/uploads`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${token}`, "Content-Type": type, "X-Filename": "deed.pdf" },
+    body: Buffer.from("%PDF-1.4 title deed"),
+  });
+  return (await res.json()).upload;
+}
+
+/* Status of a plain GET, as an <img> or link would make it */
+const fetchFile = async (id, key) => (await fetch(`${base}/uploads/${id}${key ? `?key=${key}` : ""}`)).status;
+
+before(async () => {
+  server = createServer();
+  await new Promise((resolve) => server.listen(0, resolve));
+  base = `http://localhost:${server.address().port}/api`;
+  for (const name of ["staff", "owner", "other"]) {
+    const body = { firstName: name, lastName: "Test", email: `${name}@example.ng`, password: "correct-horse" };
+    sessions[name] = (await call("/auth/register", { method: "POST", body })).data;
+  }
+});
+
+after(() => server.close());
+
+test("a quote attachment is only served to its uploader and staff", async () => {
+  const { owner, other, staff } = sessions;
+  const file = await upload(owner.accessToken);
+  const quote = await call("/quotes", {
+    method: "POST",
+    token: owner.accessToken,
+    body: { service: "land-verification", phone: "08012345678", details: { location: "Ugbor", titleDocument: "C of O" }, attachments: [file.id] },
+  });
+  assert.equal(quote.status, 201);
+
+  assert.equal(await fetchFile(file.id), 404, "anonymous");
+  assert.equal(await fetchFile(file.id, owner.fileKey), 200, "uploader");
+  assert.equal(await fetchFile(file.id, staff.fileKey), 200, "staff");
+  assert.equal(await fetchFile(file.id, other.fileKey), 404, "another client");
+  assert.equal(await fetchFile(file.id, other.accessToken), 404, "an access token is not a file key");
+  const res = await fetch(`${base}/uploads/${file.id}`, { headers: { Authorization: `Bearer ${owner.accessToken}` } });
+  assert.equal(res.status, 200, "bearer token");
+  assert.equal(res.headers.get("cache-control"), "private, no-store");
+});
+
+test("a file key stops working when its session ends", async () => {
+  const login = await call("/auth/login", { method: "POST", body: { email: "owner@example.ng", password: "correct-horse" } });
+  const file = await upload(login.data.accessToken);
+  assert.equal(await fetchFile(file.id, login.data.fileKey), 200);
+  await call("/auth/logout", { method: "POST", token: login.data.accessToken });
+  assert.equal(await fetchFile(file.id, login.data.fileKey), 404);
+});
+
+test("project photos are shared with the project's client", async () => {
+  const { owner, other, staff } = sessions;
+  const project = await call("/projects", {
+    method: "POST",
+    token: staff.accessToken,
+    body: { clientEmail: "owner@example.ng", title: "Duplex", site: "GRA" },
+  });
+  const photo = await upload(staff.accessToken, "image/jpeg");
+  assert.equal(await fetchFile(photo.id, owner.fileKey), 404, "not before it is posted");
+  const posted = await call(`/projects/${project.data.project.id}/updates`, {
+    method: "POST",
+    token: staff.accessToken,
+    body: { stage: "foundation", percent: 40, photos: [photo.id] },
+  });
+  assert.equal(posted.status, 201);
+  assert.equal(await fetchFile(photo.id, owner.fileKey), 200);
+  assert.equal(await fetchFile(photo.id, other.fileKey), 404);
+});
+
+test("listing photos are public", async () => {
+  const { staff } = sessions;
+  const photo = await upload(staff.accessToken, "image/jpeg");
+  assert.equal(await fetchFile(photo.id), 404);
+  const saved = await call("/admin/listings/ld-0001", {
+    method: "PATCH",
+    token: staff.accessToken,
+    body: { images: [`/api/uploads/${photo.id}`] },
+  });
+  assert.equal(saved.status, 200);
+  assert.equal(await fetchFile(photo.id), 200);
+});
@@ -1,5 +1,6 @@
 import React, {
   createContext,
+  useCallback,
   useContext,
   useEffect,
   useMemo,
@@ -13,88 +14,391 @@ import {
   Link,
   Navigate,
   useLocation,
+  useNavigate,
+  useParams,
+  useSearchParams,
 } from "react-router-dom";
 import { motion } from "framer-motion";
 
-/* ====================== AUTH (MOCK) ====================== */
+/* ====================== API CLIENT ====================== */
+/* Talks to the local API server (server/index.js). In dev Vite proxies /api. */
+const API_BASE = import.meta.env.VITE_API_URL || "/api";
+const SESSION_KEY = "auth:session";
+
+class ApiError extends Error {
+  constructor(message, status, fields) {
+    super(message);
+    this.status = status;
+    this.fields = fields || {};
+  }
+}
+
+/* A JSON value kept in localStorage. A missing, corrupt or hand-edited entry
+   gives `fallback` instead of crashing the app on load. */
+function readStored(key, fallback, isValid = (v) => v !== null && typeof v === "object") {
+  try {
+    const value = JSON.parse(localStorage.getItem(key));
+    return isValid(value) ? value : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+// the session lives outside React so api() can refresh tokens on its own
+const sessionListeners = new Set();
+const readSession = () => readStored(SESSION_KEY, null, (v) => typeof v?.accessToken === "string");
+function writeSession(session) {
+  if (session) localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+  else localStorage.removeItem(SESSION_KEY);
+  sessionListeners.forEach((fn) => fn(session));
+}
+
+let refreshing = null;
+function refreshSession(refreshToken) {
+  // concurrent 401s share one refresh call
+  refreshing ??= fetch(`${API_BASE}/auth/refresh`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ refreshToken }),
+  })
+    .then(async (res) => {
+      if (!res.ok) {
+        writeSession(null);
+        return false;
+      }
+      writeSession(await res.json());
+      return true;
+    })
+    .catch(() => false)
+    .finally(() => {
+      refreshing = null;
+    });
+  return refreshing;
+}
+
+async function api(path, { method = "GET", body, headers: extra, auth = true, retry = true, blob = false } = {}) {
+  const session = auth ? readSession() : null;
+  const raw = body instanceof Blob; // file uploads go up as-is
+  const headers = { ...extra };
+  if (body !== undefined) headers["Content-Type"] = raw ? body.type : "application/json";
+  if (session?.accessToken) headers.Authorization = `Bearer ${session.accessToken}`;
+
+  let res;
+  try {
+    res = await fetch(`${API_BASE}${path}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : raw ? body : JSON.stringify(body),
+    });
+  } catch {
+    throw new ApiError("Cannot reach the server. Check your connection and try again.", 0);
+  }
+
+  if (res.status === 401 && retry && session?.refreshToken) {
+    if (await refreshSession(session.refreshToken)) {
+      return api(path, { method, body, headers: extra, auth, retry: false, blob });
+    }
+  }
+  if (blob && res.ok) return res.blob(); // file downloads
+  const data = res.status === 204 ? null : await res.json().catch(() => null);
+  if (!res.ok) throw new ApiError(data?.error || `Request failed (${res.status})`, res.status, data?.fields);
+  return data;
+}
+
+/* Uploads one File; resolves to { id, name, type, size, url } */
+async function uploadFile(file) {
+  const { upload } = await api("/uploads", {
+    method: "POST",
+    body: file,
+    headers: { "X-Filename": encodeURIComponent(file.name) },
+  });
+  return { ...upload, url: `${API_BASE}/uploads/${upload.id}` };
+}
+
+/* Link to an uploaded file. Private ones (documents, attachments, project
+   photos) are opened with the session's short-lived file key, because <img>
+   and plain links cannot send the access token. */
+function fileLink(url) {
+  const key = readSession()?.fileKey;
+  return key && url.includes("/uploads/") ? `${url}${url.includes("?") ? "&" : "?"}key=${key}` : url;
+}
+const uploadUrl = (id) => fileLink(`${API_BASE}/uploads/${id}`);
+
+/* Loads a GET endpoint; pass a null path to skip. reload() refetches. */
+function useApi(path) {
+  const [state, setState] = useState({ data: null, error: null, loading: !!path });
+  const [tick, setTick] = useState(0);
+  useEffect(() => {
+    if (!path) return;
+    let alive = true;
+    setState((st) => ({ ...st, loading: true }));
+    api(path)
+      .then((data) => alive && setState({ data, error: null, loading: false }))
+      .catch((error) => alive && setState({ data: null, error, loading: false }));
+    return () => {
+      alive = false;
+    };
+  }, [path, tick]);
+  const reload = useCallback(() => setTick((t) => t + 1), []);
+  return { ...state, reload };
+}
+
+/* `value` once it has stopped changing for `delay` ms, e.g. a price being typed */
+function useDebouncedValue(value, delay) {
+  const [settled, setSettled] = useState(value);
+  useEffect(() => {
+    const timer = setTimeout(() => setSettled(value), delay);
+    return () => clearTimeout(timer);
+  }, [value, delay]);
+  return settled;
+}
+
+/* ====================== AUTH ====================== */
 const AuthContext = createContext(null);
 const useAuth = () => useContext(AuthContext);
 
 function AuthProvider({ children }) {
-  const [user, setUser] = useState(() => {
-    const raw = localStorage.getItem("auth:user");
-    return raw ? JSON.parse(raw) : null;
-  });
+  const [session, setSession] = useState(readSession);
+  // with a stored session we wait for /auth/me before trusting it
+  const [ready, setReady] = useState(() => !readSession());
+
+  useEffect(() => {
+    localStorage.removeItem("auth:user"); // left over from the old mock login
+    sessionListeners.add(setSession);
+    return () => sessionListeners.delete(setSession);
+  }, []);
+
   useEffect(() => {
-    if (user) localStorage.setItem("auth:user", JSON.stringify(user));
-    else localStorage.removeItem("auth:user");
-  }, [user]);
+    if (!readSession()) return;
+    api("/auth/me")
+      .then(({ user }) => {
+        const current = readSession();
+        if (current) writeSession({ ...current, user });
+      })
+      .catch((err) => {
+        if (err.status === 401) writeSession(null);
+      })
+      .finally(() => setReady(true));
+  }, []);
+
   const value = useMemo(
-    () => ({ user, login: (u) => setUser(u), logout: () => setUser(null) }),
-    [user]
+    () => ({
+      user: session?.user || null,
+      ready,
+      async login(email, password) {
+        const data = await api("/auth/login", { method: "POST", body: { email, password }, auth: false });
+        writeSession(data);
+        return data.user;
+      },
+      async register(fields) {
+        const data = await api("/auth/register", { method: "POST", body: fields, auth: false });
+        writeSession(data);
+        return data.user;
+      },
+      async logout() {
+        try {
+          await api("/auth/logout", { method: "POST", retry: false });
+        } catch {
+          // the local session is dropped either way
+        } finally {
+          writeSession(null);
+        }
+      },
+    }),
+    [session, ready]
   );
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
 }
 
-function ProtectedRoute({ children }) {
+/* Wraps an action so guests are sent to sign in (and back) instead */
+function useSignInFirst() {
   const { user } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  return (fn) => (user ? fn() : navigate("/auth/login", { state: { from: location } }));
+}
+
+function ProtectedRoute({ children }) {
+  const { user, ready } = useAuth();
   const location = useLocation();
+  if (!ready) return null;
   if (!user) return <Navigate to="/auth/login" replace state={{ from: location }} />;
   return children;
 }
 
+/* Signed-in staff only; everyone else gets the 404 page */
+function StaffRoute({ children }) {
+  const { user } = useAuth();
+  return <ProtectedRoute>{user?.role === "staff" ? children : <NotFound />}</ProtectedRoute>;
+}
+
 /* ====================== LIGHTBOX (GLOBAL) ====================== */
 const LightboxContext = createContext(null);
 const useLightbox = () => useContext(LightboxContext);
 
+/* Slides are { src, caption }; show(src, caption) is the one-image shorthand */
 function LightboxProvider({ children }) {
-  const [open, setOpen] = useState(false);
-  const [img, setImg] = useState(null);
-  const [caption, setCaption] = useState("");
+  const [gallery, setGallery] = useState(null); // { slides, start }
 
-  function show(src, cap = "") {
-    setImg(src);
-    setCaption(cap);
-    setOpen(true);
-  }
-  function hide() {
-    setOpen(false);
-    setImg(null);
-    setCaption("");
-  }
+  const showSet = useCallback((slides, start = 0) => {
+    if (slides.length) setGallery({ slides, start: Math.min(Math.max(start, 0), slides.length - 1) });
+  }, []);
+  const show = useCallback((src, cap = "") => showSet([{ src, caption: cap }]), [showSet]);
+  const hide = useCallback(() => setGallery(null), []);
+
+  return (
+    <LightboxContext.Provider value={{ show, showSet, hide }}>
+      {children}
+      {gallery && <LightboxViewer key={gallery.slides.map((s) => s.src).join("|")} {...gallery} onClose={hide} />}
+    </LightboxContext.Provider>
+  );
+}
+
+const MAX_ZOOM = 4;
+const SWIPE_PX = 50;
+const clampZoom = (z) => Math.min(Math.max(z, 1), MAX_ZOOM);
 
-  // close on ESC
+function LightboxViewer({ slides, start, onClose }) {
+  const [index, setIndex] = useState(start);
+  const [view, setView] = useState({ zoom: 1, x: 0, y: 0 });
+  const pointers = useRef(new Map()); // pointerId -> { x, y }
+  const gesture = useRef(null);
+  const count = slides.length;
+  const slide = slides[index];
+
+  const go = useCallback((step) => setIndex((i) => (i + step + count) % count), [count]);
+
+  useEffect(() => setView({ zoom: 1, x: 0, y: 0 }), [index]);
+
+  // ESC closes, arrows step through the set
   useEffect(() => {
     function onKey(e) {
-      if (e.key === "Escape") hide();
+      if (e.key === "Escape") onClose();
+      if (count > 1 && e.key === "ArrowLeft") go(-1);
+      if (count > 1 && e.key === "ArrowRight") go(1);
     }
     document.addEventListener("keydown", onKey);
     return () => document.removeEventListener("keydown", onKey);
-  }, []);
+  }, [count, go, onClose]);
+
+  const spread = () => {
+    const [a, b] = [...pointers.current.values()];
+    return Math.hypot(a.x - b.x, a.y - b.y);
+  };
+
+  function onPointerDown(e) {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    pointers.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    gesture.current =
+      pointers.current.size === 2
+        ? { pinch: spread(), zoom: view.zoom }
+        : { x: e.clientX, y: e.clientY, view };
+  }
+
+  function onPointerMove(e) {
+    if (!pointers.current.has(e.pointerId) || !gesture.current) return;
+    pointers.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    const g = gesture.current;
+    if (g.pinch && pointers.current.size === 2) {
+      const zoom = clampZoom((g.zoom * spread()) / g.pinch);
+      setView((v) => (zoom === 1 ? { zoom, x: 0, y: 0 } : { ...v, zoom }));
+    } else if (g.view && g.view.zoom > 1) {
+      setView({ ...g.view, x: g.view.x + e.clientX - g.x, y: g.view.y + e.clientY - g.y });
+    }
+  }
+
+  function onPointerUp(e) {
+    const g = gesture.current;
+    pointers.current.delete(e.pointerId);
+    // an unzoomed horizontal drag is a swipe
+    if (g?.view && g.view.zoom === 1 && count > 1) {
+      const dx = e.clientX - g.x;
+      if (Math.abs(dx) > SWIPE_PX && Math.abs(dx) > Math.abs(e.clientY - g.y)) go(dx < 0 ? 1 : -1);
+    }
+    gesture.current = null;
+  }
+
+  function onDoubleClick(e) {
+    if (view.zoom > 1) return setView({ zoom: 1, x: 0, y: 0 });
+    // zoom in towards the clicked point
+    const r = e.currentTarget.getBoundingClientRect();
+    const zoom = 2.5;
+    setView({
+      zoom,
+      x: (r.left + r.width / 2 - e.clientX) * (zoom - 1),
+      y: (r.top + r.height / 2 - e.clientY) * (zoom - 1),
+    });
+  }
 
+  const navBtn = "absolute top-1/2 -translate-y-1/2 rounded-full bg-white/90 px-3 py-2 text-sm font-semibold";
   return (
-    <LightboxContext.Provider value={{ show, hide }}>
-      {children}
-      {open && (
-        <div className="fixed inset-0 z-[100] flex items-center justify-center bg-black/70 p-4" onClick={hide}>
-          <div className="max-w-5xl w-full" onClick={(e)=>e.stopPropagation()}>
-            <img src={img || ""} alt={caption} className="w-full rounded-xl object-contain max-h-[80vh]" />
-            {caption ? (
-              <div className="mt-2 text-center text-white/90 text-sm">{caption}</div>
-            ) : null}
-          </div>
-          <button
-            className="absolute right-4 top-4 rounded-full bg-white/90 px-3 py-1 text-xs font-semibold"
-            onClick={hide}
-          >
-            Close
-          </button>
+    <div className="fixed inset-0 z-[100] flex flex-col items-center justify-center bg-black/80 p-4" onClick={onClose}>
+      <div className="relative w-full max-w-5xl" onClick={(e) => e.stopPropagation()}>
+        <div
+          className="flex max-h-[75vh] touch-none select-none items-center justify-center overflow-hidden rounded-xl"
+          onPointerDown={onPointerDown}
+          onPointerMove={onPointerMove}
+          onPointerUp={onPointerUp}
+          onPointerCancel={onPointerUp}
+          onDoubleClick={onDoubleClick}
+        >
+          <img
+            src={slide.src}
+            alt={slide.caption || ""}
+            draggable={false}
+            className={`max-h-[75vh] w-full object-contain ${view.zoom > 1 ? "cursor-grab" : "cursor-zoom-in"}`}
+            style={{
+              transform: `translate(${view.x}px, ${view.y}px) scale(${view.zoom})`,
+              transition: gesture.current ? "none" : "transform 150ms ease-out",
+            }}
+          />
         </div>
-      )}
-    </LightboxContext.Provider>
+        {count > 1 && (
+          <>
+            <button className={`${navBtn} left-2`} onClick={() => go(-1)} aria-label="Previous image">‹</button>
+            <button className={`${navBtn} right-2`} onClick={() => go(1)} aria-label="Next image">›</button>
+          </>
+        )}
+        <div className="mt-2 flex items-center justify-center gap-3 text-sm text-white/90">
+          {slide.caption && <span>{slide.caption}</span>}
+          {count > 1 && <span className="text-white/60">{index + 1} of {count}</span>}
+        </div>
+        {count > 1 && (
+          <div className="mt-3 flex justify-center gap-2 overflow-x-auto pb-1">
+            {slides.map((s, i) => (
+              <button
+                key={`${s.src}-${i}`}
+                onClick={() => setIndex(i)}
+                className={`h-14 w-20 shrink-0 overflow-hidden rounded-lg border-2 ${i === index ? "border-white" : "border-transparent opacity-60"}`}
+                aria-label={`Show image ${i + 1}`}
+              >
+                <img src={s.src} alt="" className="h-full w-full object-cover" />
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+      <button
+        className="absolute right-4 top-4 rounded-full bg-white/90 px-3 py-1 text-xs font-semibold"
+        onClick={onClose}
+      >
+        Close
+      </button>
+    </div>
   );
 }
 
+/* Every photo of a listing: the cover first, then any extra images */
+const listingPhotos = (it) => [...new Set([it.src, ...(it.images || [])].filter(Boolean))];
+
+/* Slides for a clicked card: the item's own photos when it has several,
+   otherwise the whole grid starting at that item */
+function gallerySlides(item, grid = [item]) {
+  const own = listingPhotos(item);
+  if (own.length > 1) return [own.map((src) => ({ src, caption: item.title })), 0];
+  return [grid.map((it) => ({ src: it.src, caption: it.title })), Math.max(grid.indexOf(item), 0)];
+}
+
 /* ====================== UI PRIMITIVES ====================== */
 const Container = ({ children, className = "" }) => (
   <div className={`mx-auto w-full max-w-7xl px-4 sm:px-6 lg:px-8 ${className}`}>
@@ -136,6 +440,201 @@ const Badge = ({ children }) => (
   </span>
 );
 
+/* Coloured pill for workflow statuses (orders, bookings, quotes...) */
+const STATUS_TONES = {
+  green: "border-green-200 bg-green-50 text-green-700",
+  amber: "border-amber-200 bg-amber-50 text-amber-700",
+  blue: "border-blue-200 bg-blue-50 text-blue-700",
+  red: "border-red-200 bg-red-50 text-red-700",
+  gray: "border-gray-200 bg-gray-50 text-gray-600",
+};
+const STATUS_TONE = {
+  placed: "amber",
+  confirmed: "blue",
+  dispatched: "blue",
+  delivered: "green",
+  cancelled: "gray",
+  booked: "amber",
+  completed: "green",
+  submitted: "amber",
+  reviewed: "blue",
+  priced: "blue",
+  accepted: "green",
+  declined: "red",
+  draft: "amber",
+  published: "green",
+  archived: "gray",
+  open: "amber",
+  "in-review": "blue",
+  verified: "green",
+  failed: "red",
+  passed: "green",
+  inconclusive: "amber",
+  due: "amber",
+  paid: "green",
+  overdue: "red",
+  pending: "amber",
+  active: "blue",
+  let: "blue",
+  ended: "gray",
+  revising: "amber",
+  approved: "green",
+  inactive: "gray",
+  hidden: "gray",
+  new: "amber",
+  contacted: "blue",
+  qualified: "blue",
+  won: "green",
+  lost: "red",
+};
+const StatusBadge = ({ status }) => (
+  <span
+    className={`rounded-full border px-2 py-0.5 text-[11px] font-semibold capitalize ${
+      STATUS_TONES[STATUS_TONE[status] || "gray"]
+    }`}
+  >
+    {status}
+  </span>
+);
+
+/* Land title badge, shown once a verification case has passed */
+const VerifiedBadge = ({ verification }) =>
+  verification?.status === "verified" ? (
+    <span
+      title={`Verification case ${verification.caseRef}`}
+      className={`inline-block rounded-full border px-2 py-0.5 text-[11px] font-semibold ${STATUS_TONES.green}`}
+    >
+      ✓ Title verified • {formatDate(verification.verifiedAt, false)}
+    </span>
+  ) : null;
+
+/* Centered dialog over a dimmed page; click outside or Close to dismiss */
+function Modal({ title, onClose, children }) {
+  useEffect(() => {
+    function onKey(e) {
+      if (e.key === "Escape") onClose();
+    }
+    document.addEventListener("keydown", onKey);
+    return () => document.removeEventListener("keydown", onKey);
+  }, [onClose]);
+  return (
+    <div className="fixed inset-0 z-[90] flex items-center justify-center bg-black/50 p-4" onClick={onClose}>
+      <div
+        role="dialog"
+        aria-label={title}
+        className="max-h-[90vh] w-full max-w-lg overflow-y-auto rounded-2xl bg-white p-5 shadow-xl"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="mb-4 flex items-center justify-between gap-4">
+          <div className="text-lg font-bold">{title}</div>
+          <button onClick={onClose} className="rounded-xl border px-3 py-1 text-xs font-semibold">
+            Close
+          </button>
+        </div>
+        {children}
+      </div>
+    </div>
+  );
+}
+
+/* Inline error banner for forms */
+const FormError = ({ message }) =>
+  message ? (
+    <div role="alert" className="rounded-xl border border-red-200 bg-red-50 px-3 py-2 text-sm text-red-700">
+      {message}
+    </div>
+  ) : null;
+
+/* Field-level error, or a muted hint when there is none */
+const FieldHint = ({ error, hint }) =>
+  error ? (
+    <div className="mt-1 text-xs text-red-600">{error}</div>
+  ) : hint ? (
+    <div className="mt-1 text-xs text-gray-500">{hint}</div>
+  ) : null;
+
+/* Renders one field from a config: { name, label, type, options, required, hint, min, max, defaultValue } */
+function FormField({ field, error }) {
+  const cls = "mt-1 w-full rounded-xl border px-3 py-2 text-sm";
+  const common = { name: field.name, required: field.required, placeholder: field.placeholder, defaultValue: field.defaultValue };
+  return (
+    <div>
+      <label className="text-sm font-medium">
+        {field.label}
+        {!field.required && <span className="font-normal text-gray-500"> (optional)</span>}
+      </label>
+      {field.type === "textarea" ? (
+        <textarea {...common} rows={4} className={cls} />
+      ) : field.type === "select" ? (
+        <select {...common} defaultValue={field.defaultValue ?? ""} className={cls}>
+          <option value="" disabled>Choose...</option>
+          {field.options.map((o) => <option key={o}>{o}</option>)}
+        </select>
+      ) : (
+        <input {...common} type={field.type || "text"} min={field.min} max={field.max} className={cls} />
+      )}
+      <FieldHint error={error} hint={field.hint} />
+    </div>
+  );
+}
+
+/* Uploads files as soon as they are picked; value is the list of uploaded files */
+function FileUploadField({ label, hint, accept = "image/*", max = 6, value, onChange }) {
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  async function pick(e) {
+    const files = Array.from(e.target.files || []).slice(0, max - value.length);
+    e.target.value = "";
+    if (!files.length) return;
+    setBusy(true);
+    setError("");
+    try {
+      const uploaded = [];
+      for (const f of files) uploaded.push(await uploadFile(f));
+      onChange([...value, ...uploaded]);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div>
+      <label className="text-sm font-medium">{label}</label>
+      <div className="mt-1 flex flex-wrap gap-2">
+        {value.map((f) => (
+          <div key={f.id} className="relative">
+            {f.type.startsWith("image/") ? (
+              <img src={fileLink(f.url)} alt={f.name} className="h-16 w-16 rounded-lg border object-cover" />
+            ) : (
+              <div className="flex h-16 w-16 items-center justify-center rounded-lg border p-1 text-center text-[10px]">
+                {f.name}
+              </div>
+            )}
+            <button
+              type="button"
+              onClick={() => onChange(value.filter((x) => x.id !== f.id))}
+              className="absolute -right-1 -top-1 h-5 w-5 rounded-full bg-black text-[10px] text-white"
+              aria-label={`Remove ${f.name}`}
+            >
+              ×
+            </button>
+          </div>
+        ))}
+        {value.length < max && (
+          <label className="flex h-16 w-16 cursor-pointer items-center justify-center rounded-lg border border-dashed text-xs text-gray-500">
+            {busy ? "..." : "+ Add"}
+            <input type="file" accept={accept} multiple className="hidden" onChange={pick} disabled={busy} />
+          </label>
+        )}
+      </div>
+      <FieldHint error={error} hint={hint} />
+    </div>
+  );
+}
+
 /* Image tile that opens Lightbox on click */
 function ImageTile({ src, alt, className = "", onClick }) {
   return (
@@ -155,30 +654,40 @@ function ImageTile({ src, alt, className = "", onClick }) {
 }
 
 /* Reusable card for listings */
-function ImageCard({ src, title, meta, price, cta = "View", onImageClick }) {
+function ImageCard({ src, title, meta, price, unit, cta = "View", to, onCta, onImageClick, listingId, category, verification }) {
   return (
     <Card>
       <div className="h-40 w-full">
         <ImageTile src={src} alt={title} className="h-40" onClick={onImageClick} />
       </div>
       <div className="mt-3">
-        <div className="font-semibold">{title}</div>
+        <div className="font-semibold">
+          {to ? <Link to={to} className="hover:underline">{title}</Link> : title}
+        </div>
         {meta && <div className="text-sm text-gray-600">{meta}</div>}
-        {price && <div className="mt-2 text-sm font-semibold">{price}</div>}
-        <div className="mt-3 flex gap-2">
-          <button className="rounded-xl bg-black px-3 py-2 text-xs font-semibold text-white">
-            {cta}
-          </button>
-          <button className="rounded-xl border px-3 py-2 text-xs font-semibold">
-            Save
-          </button>
+        {verification && <div className="mt-1"><VerifiedBadge verification={verification} /></div>}
+        {price && <div className="mt-2 text-sm font-semibold">{formatPrice(price, unit)}</div>}
+        <div className="mt-3 flex flex-wrap gap-2">
+          {to && !onCta ? (
+            <Link to={to} className="rounded-xl bg-black px-3 py-2 text-xs font-semibold text-white">
+              {cta}
+            </Link>
+          ) : (
+            <button onClick={onCta} className="rounded-xl bg-black px-3 py-2 text-xs font-semibold text-white">
+              {cta}
+            </button>
+          )}
+          {listingId && FAVOURITE_CATEGORIES.includes(category) && (
+            <SaveButton listingId={listingId} category={category} />
+          )}
+          {listingId && COMPARE_CATEGORIES.includes(category) && <CompareToggle listingId={listingId} category={category} />}
         </div>
       </div>
     </Card>
   );
 }
 
-/* Compact search + optional filters */
+/* Compact search + optional filters; state comes from useListingFilters() */
 function FilterBar({
   query,
   setQuery,
@@ -187,9 +696,16 @@ function FilterBar({
   maxPrice,
   setMinPrice,
   setMaxPrice,
+  includeOnRequest,
+  setIncludeOnRequest,
   showBeds = false,
   beds,
   setBeds,
+  showSort = false,
+  sort,
+  setSort,
+  active,
+  clear,
   placeholder = "Search...",
 }) {
   return (
@@ -216,6 +732,16 @@ function FilterBar({
             className="w-28 rounded-xl border px-3 py-2 text-sm"
             placeholder="Max ₦"
           />
+          {(minPrice || maxPrice) && (
+            <label className="flex items-center gap-1 px-1 text-xs text-gray-700">
+              <input
+                type="checkbox"
+                checked={includeOnRequest}
+                onChange={(e) => setIncludeOnRequest(e.target.checked)}
+              />
+              Include price on request
+            </label>
+          )}
         </>
       )}
       {showBeds && (
@@ -228,20 +754,231 @@ function FilterBar({
           {[1,2,3,4,5,6].map(n => <option key={n} value={n}>{n}+</option>)}
         </select>
       )}
-      <button className="rounded-xl bg-black px-4 py-2 text-sm font-semibold text-white">
-        Filter
+      {showSort && (
+        <select
+          value={sort}
+          onChange={(e) => setSort(e.target.value)}
+          className="w-40 rounded-xl border px-3 py-2 text-sm"
+          aria-label="Sort by"
+        >
+          {Object.entries(SORTS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+        </select>
+      )}
+      <button
+        onClick={clear}
+        disabled={!active}
+        className="rounded-xl bg-black px-4 py-2 text-sm font-semibold text-white disabled:opacity-40"
+      >
+        Clear
       </button>
     </div>
   );
 }
 
-/* Utilities for price parsing (simple; expects numbers in string) */
-function extractPriceNumber(priceStr) {
-  if (!priceStr) return undefined;
-  // remove non-digits
-  const m = priceStr.replace(/[^\d]/g, "");
-  if (!m) return undefined;
-  return Number(m);
+/* Result count + pager under a listing grid */
+function ListingFooter({ total, page, pages, onPage, onClear }) {
+  if (!total) {
+    return (
+      <div className="rounded-2xl border bg-white p-6 text-center text-sm text-gray-600">
+        No listings match these filters.{" "}
+        <button onClick={onClear} className="font-semibold underline">Clear filters</button>
+      </div>
+    );
+  }
+  if (pages < 2) return null;
+  return (
+    <nav className="mt-6 flex items-center justify-center gap-1" aria-label="Pagination">
+      <button
+        disabled={page <= 1}
+        onClick={() => onPage(page - 1)}
+        className="rounded-xl border px-3 py-1 text-sm disabled:opacity-40"
+      >
+        Prev
+      </button>
+      {Array.from({ length: pages }, (_, i) => i + 1).map((n) => (
+        <button
+          key={n}
+          onClick={() => onPage(n)}
+          aria-current={n === page ? "page" : undefined}
+          className={`rounded-xl border px-3 py-1 text-sm ${n === page ? "bg-black text-white" : ""}`}
+        >
+          {n}
+        </button>
+      ))}
+      <button
+        disabled={page >= pages}
+        onClick={() => onPage(page + 1)}
+        className="rounded-xl border px-3 py-1 text-sm disabled:opacity-40"
+      >
+        Next
+      </button>
+    </nav>
+  );
+}
+
+/* ---------- Prices ----------
+   { amountKobo, currency, onRequest, negotiable, period } — amounts are whole kobo
+   so arithmetic stays exact; onRequest listings have amountKobo null.
+   The API validates the same shape (LISTING_FIELDS.price in server/index.js). */
+const PRICE_PERIODS = {
+  outright: () => "",
+  "per-year": () => " / year",
+  "per-plot": () => " / plot",
+  "per-unit": (unit) => ` / ${unitLabel(unit, 1)}`,
+};
+
+/* ₦1,250,000 — kobo shown only when there are any (₦1,250.50) */
+function formatMoney(kobo) {
+  const naira = kobo / 100;
+  return `₦${naira.toLocaleString("en-NG", {
+    minimumFractionDigits: kobo % 100 ? 2 : 0,
+    maximumFractionDigits: 2,
+  })}`;
+}
+
+function formatPrice(price, unit) {
+  if (!price) return "";
+  if (price.onRequest) return price.negotiable ? "Price on request • Negotiable" : "Price on request";
+  const per = (PRICE_PERIODS[price.period] || PRICE_PERIODS.outright)(unit);
+  return `${formatMoney(price.amountKobo)}${per}${price.negotiable ? " • Negotiable" : ""}`;
+}
+
+/* Naira amount for filtering/sorting; undefined when the price is on request */
+const priceValue = (it) => (it.price && !it.price.onRequest ? it.price.amountKobo / 100 : undefined);
+
+/* ---------- Listing filters kept in the URL (?q=&min=&max=&por=&beds=&sort=&page=) ---------- */
+const PAGE_SIZE = 9;
+const SORTS = {
+  featured: "Featured",
+  newest: "Newest",
+  "price-asc": "Price: low to high",
+  "price-desc": "Price: high to low",
+  "size-desc": "Size: largest first",
+  "beds-desc": "Most bedrooms",
+};
+
+function useListingFilters() {
+  const [params, setParams] = useSearchParams();
+  const num = (k) => (params.get(k) ? Number(params.get(k)) : undefined);
+
+  // typing replaces the history entry; discrete choices push a new one
+  function update(changes, replace = false) {
+    setParams(
+      (prev) => {
+        const next = new URLSearchParams(prev);
+        Object.entries(changes).forEach(([k, v]) =>
+          v === undefined || v === "" ? next.delete(k) : next.set(k, String(v))
+        );
+        if (!("page" in changes)) next.delete("page");
+        return next;
+      },
+      { replace }
+    );
+  }
+
+  return {
+    query: params.get("q") || "",
+    setQuery: (v) => update({ q: v }, true),
+    minPrice: num("min"),
+    setMinPrice: (v) => update({ min: v }, true),
+    maxPrice: num("max"),
+    setMaxPrice: (v) => update({ max: v }, true),
+    beds: num("beds"),
+    setBeds: (v) => update({ beds: v }),
+    includeOnRequest: params.get("por") !== "0",
+    setIncludeOnRequest: (v) => update({ por: v ? undefined : 0 }),
+    sort: SORTS[params.get("sort")] ? params.get("sort") : "featured",
+    setSort: (v) => update({ sort: v === "featured" ? undefined : v }),
+    page: Math.max(1, Math.floor(num("page") || 1)),
+    setPage: (n) => {
+      update({ page: n > 1 ? n : undefined });
+      window.scrollTo({ top: 0, behavior: "smooth" });
+    },
+    view: params.get("view") === "map" ? "map" : "list",
+    setView: (v) => update({ view: v === "map" ? v : undefined }),
+    active: ["q", "min", "max", "beds", "por", "sort"].some((k) => params.has(k)),
+    // clearing filters keeps the list/map choice
+    clear: () => setParams(params.has("view") ? { view: params.get("view") } : {}),
+  };
+}
+
+// listings without a value for the sort key go last
+const byKey = (get, dir) => (a, b) => {
+  const x = get(a);
+  const y = get(b);
+  if (x === undefined) return y === undefined ? 0 : 1;
+  if (y === undefined) return -1;
+  return dir * (x < y ? -1 : x > y ? 1 : 0);
+};
+const SORTERS = {
+  newest: byKey((it) => it.listedAt, -1),
+  "price-asc": byKey(priceValue, 1),
+  "price-desc": byKey(priceValue, -1),
+  "size-desc": byKey((it) => it.size, -1),
+  "beds-desc": byKey((it) => it.beds, -1),
+};
+
+/* Price-on-request listings have no amount to compare: a price range keeps
+   them unless the visitor unticks "Include price on request" (?por=0). */
+function filterListings(items, { query, minPrice, maxPrice, beds, includeOnRequest, sort }) {
+  const q = query.trim().toLowerCase();
+  const out = items.filter((it) => {
+    const matchesQ = !q || it.title.toLowerCase().includes(q) || (it.meta || "").toLowerCase().includes(q);
+    const p = priceValue(it);
+    const matchesPrice =
+      !minPrice && !maxPrice
+        ? true
+        : it.price?.onRequest
+        ? includeOnRequest
+        : p !== undefined && (!minPrice || p >= minPrice) && (!maxPrice || p <= maxPrice);
+    const matchesBeds = beds ? (it.beds ? it.beds >= beds : false) : true;
+    return matchesQ && matchesPrice && matchesBeds;
+  });
+  // "featured" keeps the order staff set in the admin area
+  return SORTERS[sort] ? out.sort(SORTERS[sort]) : out;
+}
+
+function paginate(items, page, size = PAGE_SIZE) {
+  const pages = Math.max(1, Math.ceil(items.length / size));
+  const current = Math.min(page, pages);
+  return { pageItems: items.slice((current - 1) * size, current * size), page: current, pages, total: items.length };
+}
+
+/* "19 Oct 2026, 09:30" style timestamps */
+function formatDate(iso, withTime = true) {
+  if (!iso) return "";
+  return new Date(iso).toLocaleString("en-NG", {
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+    ...(withTime ? { hour: "2-digit", minute: "2-digit" } : {}),
+  });
+}
+
+/* Saves generated text (calendar files, CSV...) through a temporary link */
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+const escapeHtml = (v) =>
+  String(v ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+/* Opens a plain printable page (body is trusted HTML built with escapeHtml) */
+function printDocument(title, body) {
+  const win = window.open("", "_blank");
+  if (!win) return;
+  win.document.write(`<!doctype html><html><head><title>${escapeHtml(title)}</title>
+<style>body{font:14px system-ui,sans-serif;margin:32px;color:#111}table{border-collapse:collapse;width:100%;margin-top:16px}
+th,td{border:1px solid #ccc;padding:6px 8px;text-align:left}td.num,th.num{text-align:right}.muted{color:#666}</style>
+</head><body>${body}</body></html>`);
+  win.document.close();
+  win.focus();
+  win.print();
 }
 
 /* ====================== LAYOUT ====================== */
@@ -262,6 +999,7 @@ function NavLink({ to, children }) {
 
 function Header() {
   const { user, logout } = useAuth();
+  const cart = useCart();
   return (
     <header className="sticky top-0 z-40 w-full border-b bg-white/70 backdrop-blur">
       <Container className="flex h-16 items-center justify-between">
@@ -302,8 +1040,26 @@ function Header() {
           >
             Theme
           </button>
+          <button
+            onClick={() => cart.setOpen(true)}
+            className="relative rounded-xl border px-3 py-2 text-sm"
+            title="Cart"
+          >
+            Cart
+            {cart.count > 0 && (
+              <span className="absolute -right-2 -top-2 rounded-full bg-amber-500 px-1.5 text-[11px] font-bold text-white">
+                {cart.count}
+              </span>
+            )}
+          </button>
           {user ? (
             <>
+              <NotificationBell />
+              {user.role === "staff" && (
+                <Link to="/admin" className="rounded-xl border px-3 py-2 text-sm">
+                  Admin
+                </Link>
+              )}
               <Link
                 to="/dashboard"
                 className="rounded-xl border px-3 py-2 text-sm"
@@ -356,18 +1112,26 @@ function Layout({ children }) {
       <main>{children}</main>
       <Footer />
       <WhatsAppFab />
+      <CartDrawer />
+      <CompareTray />
     </div>
   );
 }
 
 /* ====================== FLOATING WHATSAPP CTA ====================== */
+/* On a listing or agent page the chat goes to that listing's / page's agent */
 function WhatsAppFab() {
-  const num = "2348092382323"; // your WhatsApp number
+  const { pathname } = useLocation();
+  const agents = useAgents();
+  const { category, item } = useRouteListing();
+  const agent = agentById(agents, item ? item.agentId : pathname.match(/^\/agents\/([^/]+)/)?.[1]);
+  if (!agent) return null;
   return (
-    <a
-      href={`https://wa.me/${num}`}
-      target="_blank"
-      rel="noreferrer"
+    <ContactLink
+      channel="whatsapp"
+      agent={agent}
+      category={category}
+      item={item}
       className="fixed bottom-5 right-5 z-[60] flex h-14 w-14 items-center justify-center rounded-full bg-green-500 text-white shadow-lg hover:scale-105 active:scale-95 transition-transform"
       title="Chat on WhatsApp"
     >
@@ -375,121 +1139,3166 @@ function WhatsAppFab() {
       <svg viewBox="0 0 32 32" width="22" height="22" fill="currentColor" aria-hidden="true">
         <path d="M19.11 17.02c-.28-.14-1.63-.8-1.88-.89-.25-.09-.43-.14-.62.14-.19.28-.71.89-.87 1.08-.16.19-.32.21-.6.07-.28-.14-1.17-.43-2.23-1.37-.82-.73-1.37-1.63-1.53-1.9-.16-.28-.02-.43.12-.57.12-.12.28-.32.42-.47.14-.16.19-.28.28-.47.09-.19.05-.35-.02-.49-.07-.14-.62-1.49-.85-2.05-.22-.53-.45-.46-.62-.47h-.53c-.19 0-.49.07-.75.35-.26.28-1 1-1 2.44 0 1.44 1.03 2.83 1.18 3.02.14.19 2.02 3.08 4.89 4.32.68.29 1.21.46 1.63.59.69.22 1.31.19 1.81.12.55-.08 1.63-.67 1.86-1.32.23-.65.23-1.21.16-1.32-.07-.12-.25-.19-.53-.33zM16.11 5.33c-5.21 0-9.44 4.23-9.44 9.44 0 1.66.44 3.25 1.21 4.62L6 26.67l7.47-1.95c1.33.73 2.86 1.15 4.64 1.15 5.21 0 9.44-4.23 9.44-9.44s-4.23-9.44-9.44-9.44zm0 17c-1.6 0-3.08-.47-4.33-1.26l-.31-.19-4.42 1.15 1.18-4.29-.2-.33c-.75-1.23-1.18-2.67-1.18-4.21 0-4.46 3.62-8.09 8.09-8.09s8.09 3.62 8.09 8.09-3.62 8.09-8.09 8.09z"></path>
       </svg>
-    </a>
+    </ContactLink>
   );
 }
 
-/* ====================== HELPERS ====================== */
-function Hero({ heading, sub, img, dark = false }) {
+/* ====================== CART (MATERIALS) ====================== */
+const CartContext = createContext(null);
+const useCart = () => useContext(CartContext);
+const CART_KEY = "cart:items";
+
+function CartProvider({ children }) {
+  // [{ id, qty }] — details are looked up in the catalog's materials when rendering
+  const catalog = useCatalog();
+  const [lines, setLines] = useState(() => readStored(CART_KEY, [], Array.isArray));
+  const [open, setOpen] = useState(false);
+
+  useEffect(() => {
+    localStorage.setItem(CART_KEY, JSON.stringify(lines));
+  }, [lines]);
+
+  const value = useMemo(() => {
+    const items = lines
+      .map((l) => ({ ...catalog.materials.find((m) => m.id === l.id), qty: l.qty }))
+      .filter((it) => it.id);
+    const setQty = (id, qty) =>
+      setLines((ls) =>
+        qty < 1 ? ls.filter((l) => l.id !== id) : ls.map((l) => (l.id === id ? { ...l, qty } : l))
+      );
+    return {
+      items,
+      count: items.reduce((n, it) => n + it.qty, 0),
+      open,
+      setOpen,
+      add(id, qty = 1) {
+        setLines((ls) =>
+          ls.some((l) => l.id === id)
+            ? ls.map((l) => (l.id === id ? { ...l, qty: l.qty + qty } : l))
+            : [...ls, { id, qty }]
+        );
+        setOpen(true);
+      },
+      setQty,
+      remove: (id) => setQty(id, 0),
+      clear: () => setLines([]),
+    };
+  }, [lines, open, catalog]);
+
+  return <CartContext.Provider value={value}>{children}</CartContext.Provider>;
+}
+
+/* − qty + with the unit name, e.g. "12 bags" */
+function QtyStepper({ qty, unit, onChange }) {
   return (
-    <section className={`relative overflow-hidden ${img ? "bg-hero" : ""}`} style={img ? { "--bg-image": `url('${img}')` } : undefined}>
-      {img && dark && <div className="absolute inset-0 -z-10 bg-black/40" />}
-      <Container className="py-10">
-        <h1 className="text-3xl md:text-4xl font-black">{heading}</h1>
-        {sub && <p className="mt-2 max-w-2xl text-gray-700">{sub}</p>}
-      </Container>
-    </section>
+    <div className="flex items-center gap-1">
+      <button
+        type="button"
+        onClick={() => onChange(qty - 1)}
+        className="h-7 w-7 rounded-lg border text-sm font-semibold"
+        aria-label="Decrease quantity"
+      >
+        −
+      </button>
+      <input
+        type="number"
+        min={1}
+        value={qty}
+        onChange={(e) => onChange(Math.max(1, Math.floor(Number(e.target.value) || 1)))}
+        className="w-14 rounded-lg border px-2 py-1 text-center text-sm"
+      />
+      <button
+        type="button"
+        onClick={() => onChange(qty + 1)}
+        className="h-7 w-7 rounded-lg border text-sm font-semibold"
+        aria-label="Increase quantity"
+      >
+        +
+      </button>
+      <span className="ml-1 text-xs text-gray-600">{unitLabel(unit, qty)}</span>
+    </div>
   );
 }
 
-/* ====================== DATA (SAMPLE) ====================== */
-const DATA = {
-  properties: [
-    { src: "/assets/property1.jpg", title: "4-Bed Duplex • Benin City", meta: "4 Beds • 3 Baths • 450 m²", price: "Contact Agent", beds: 4 },
-    { src: "/assets/property2.jpg", title: "3-Bed Terrace • Benin City", meta: "3 Beds • 2 Baths • 300 m²", price: "Contact Agent", beds: 3 },
-    { src: "/assets/property4.jpg", title: "Upstairs Appartment • Benin City", meta: "5 Beds • 5 Baths  600 m²", price: "Contact Agent", beds: 3},
-  ],
-  lands: [
-    { src: "/assets/land.jpg", title: "Benin City", meta: "Survey & Deed", price: "Contact Agent" },
-    { src: "/assets/land1.jpg", title: "Benin City", meta: "C of O", price: "Contact Agent" },
-    { src: "/assets/land3.jpg", title: "Benin City", meta: "Survey & Deed", price: "Contact Agent" },
-    { src: "/assets/land4.jpg", title: "Benin City", meta: "Survey & Deed", price: "Contact Agent" },
-    { src: "/assets/land5.jpg", title: "Benin City", meta: "Survey & Deed", price: "Contact Agent" },
-    { src: "/assets/llland.jpg", title: "Benin City", meta: "Survey & Deed", price: "Contact Agent" },
-    { src: "/assets/llandp.jpg", title: "Benin City", meta: "Survey & Deed", price: "Contact Agent" },
-  ],
-  rentals: [
-    { src: "/assets/rent1.jpg", title: "2-Bedroom Apartment • Benin City", meta: "Space • Parking", price: "Contact Agent", beds: 2 },
-    { src: "/assets/rent2.jpg", title: "Flats-Bedroom Apartment • Benin City", meta: "Upstairs • Parking", price: "Contact Agent", beds: 2 },
-    { src: "/assets/rent3.jpg", title: "2Each-Bed Apartment • Benin city", meta: "Upstairs • Parking", price: "Contact Agent", beds: 2 },
-    { src: "/assets/rent4.jpg", title: "2-Bed Apartment • Sapele Road", meta: "Self-Contain • Parking", price: "Contact Agent", beds: 2 },
-    { src: "/assets/rentage1.jpg", title: "Flat-Beds Apartment • Benin City", meta: "Upstairs • Parking", price: "Contact Agent", beds: 2 },
-  ],
-  materials: [
-    { src: "/assets/material-cement.jpg", title: "Dangote Cement 50kg", price: "Contact Agent" },
-    { src: "/assets/material-BRC Rods(wire).jpg", title: "BRC Rods (Wire)", price: "Contact Agent" },
-    { src: "/assets/material-woods.jpg", title: "Hardwood (Assorted)", price: "Contact Agent" },
-    { src: "/assets/material-blocks.jpg", title: `Hollow Blocks 9"`, price: "contact Agent" },
-    { src: "/assets/material-granite.jpg", title: "Granite (30 Tons)", price: "Contact Agent" },
-    { src: "/assets/materialRod.jpg", title: "Rods", price: "Contact Agent" },
-    { src: "/assets/material-blocksm.jpg", title: "Moulding", price: "Contact Agent" },
-  ],
-  artifacts: [
-    { src: "/assets/material-blocksm.jpg", title: "Block Production Yard" },
-    { src: "/assets/0ngoingpit.jpg", title: "Ongoing Soakaway" },
-    { src: "/assets/AAfact.jpg", title: "From Foundation Forming" },
-    { src: "/assets/Afact.jpg", title: "WC Level" },
-    { src: "/assets/IMG-20250813-WA0004.jpg", title: "Formin" },
-    { src: "/assets/llland.jpg", title: "Land for Sale" },
-    { src: "/assets/material-BRC Rods(wire).jpg", title: "BRC Rods(wire)" },
-    { src: "/assets/sitework1.jpg", title: "Sitework" },
-    { src: "/assets/sand and gravel.jpg", title: "sand and Gravel"},
-    { src: "/assets/logo.jpg", title: "Company Flyer" },
-  ],
-  plans: [
-    { src: "/assets/plan-1.jpg", title: "Residential Plan A" },
-    { src: "/assets/plan-2.jpg", title: "5-Bedroom Plan" },
-    { src: "/assets/DrawingP3.jpg", title: "Bedroom Plan" },
-    { src: "/assets/DrawingP2.jpg", title: "5-Bedroom Plan" },
-  ],
-  designs: [
-    { src: "/assets/desiggn.jpg", title: "Modern Elevation" },
-    { src: "/assets/ddesign.jpg", title: "Classic Elevation" },
-    { src: "/assets/design1.jpg", title: "Classic Design" },
-    { src: "/assets/design3.jpg", title: "Modern Design" },
-    { src: "/assets/design4.jpg", title: "Classic Elevation" },
-  ],
-  construction: [
-    { src: "/assets/foundation1.jpg", title: "Ongoing Site — Foundation" },
-    { src: "/assets/Finishing.jpg", title: "Ongoing Site — Finishing" },
-    { src: "/assets/sitework1.jpg", title: "Ongoing Site — WC level" },
-    { src: "/assets/sitework2.jpg", title: "Ongoing Site — Men at Work" },
-    { src: "/assets/sitework3.jpg", title: "Ongoing Site — Finishing" },
-    { src: "/assets/sitework4.jpg", title: "Ongoing Site — Finishing" },
-    { src: "/assets/0ngoingpit.jpg", title: "Ongoing Site — Soakaway" },
-    { src: "/assets/upstair1.jpg", title: "Ongoing Site — Upstairs" },
-    { src: "/assets/upstair2.jpg", title: "Ongoing Site — Finishing" },
-  ],
-};
-
-/* ====================== PAGES ====================== */
-/* HOME */
-function Home() {
-  const { show } = useLightbox();
+function CartDrawer() {
+  const { items, open, setOpen, setQty, remove } = useCart();
+  if (!open) return null;
   return (
-    <>
-      <section className="relative overflow-hidden">
-        <div
-          className="absolute inset-0 -z-10 bg-cover bg-center opacity-20"
-          style={{ backgroundImage: "url('/assets/materials/wood.jpg')" }}
-        />
-        <div className="absolute inset-0 -z-10 bg-gradient-to-b from-white/60 to-white" />
-        <Container className="py-16">
-          <div className="grid items-center gap-10 md:grid-cols-2">
-            <div>
-              <motion.h1
-                initial={{ opacity: 0, y: 16 }}
-                animate={{ opacity: 1, y: 0 }}
-                transition={{ duration: 0.6 }}
-                className="text-3xl font-black leading-tight md:text-5xl"
-              >
-                FIND LAND, RENT HOMES, BUILD MODERN DESIGNS — ALL IN ONE PLACE
-              </motion.h1>
-              <p className="mt-4 max-w-xl text-gray-700">
-                BUY PLOTS, RENT HOUSES, HIRE TRUSTED AGENT, AND ORDER QUALITY BUILDING MATERIALS. FROM DRAWINGS TO CONSTRUCTION, WE'VE GOT YOU.
-              </p>
-              <div className="mt-6 flex flex-wrap gap-3">
-                <Link className="rounded-2xl bg-black px-5 py-3 text-sm font-semibold text-white" to="/properties">Browse Properties</Link>
+    <div className="fixed inset-0 z-[80] flex justify-end bg-black/40" onClick={() => setOpen(false)}>
+      <aside
+        className="flex h-full w-full max-w-sm flex-col bg-white shadow-xl"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between border-b p-4">
+          <div className="font-semibold">Your Cart</div>
+          <button onClick={() => setOpen(false)} className="rounded-xl border px-3 py-1 text-xs font-semibold">
+            Close
+          </button>
+        </div>
+        <div className="flex-1 space-y-3 overflow-y-auto p-4">
+          {items.length === 0 && (
+            <p className="text-sm text-gray-600">
+              Your cart is empty. <Link to="/materials" onClick={() => setOpen(false)} className="font-semibold underline">Shop materials</Link>
+            </p>
+          )}
+          {items.map((it) => (
+            <div key={it.id} className="flex gap-3 rounded-xl border p-2">
+              <img src={it.src} alt={it.title} className="h-16 w-16 rounded-lg object-cover" />
+              <div className="flex-1">
+                <div className="text-sm font-semibold">{it.title}</div>
+                <div className="text-xs text-gray-500">{formatPrice(it.price, it.unit)}</div>
+                <div className="mt-2 flex items-center justify-between">
+                  <QtyStepper qty={it.qty} unit={it.unit} onChange={(q) => setQty(it.id, q)} />
+                  <button onClick={() => remove(it.id)} className="text-xs font-semibold text-red-600">
+                    Remove
+                  </button>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+        {items.length > 0 && (
+          <div className="border-t p-4">
+            <p className="text-xs text-gray-600">Prices and delivery fees are confirmed by our agent before dispatch.</p>
+            <Link
+              to="/checkout"
+              onClick={() => setOpen(false)}
+              className="mt-3 block rounded-xl bg-black px-4 py-2 text-center text-sm font-semibold text-white"
+            >
+              Checkout
+            </Link>
+          </div>
+        )}
+      </aside>
+    </div>
+  );
+}
+
+/* ====================== FAVOURITES ====================== */
+const FavouritesContext = createContext(null);
+const useFavourites = () => useContext(FavouritesContext);
+const GUEST_FAVOURITES_KEY = "favourites:guest";
+const FAVOURITE_CATEGORIES = ["properties", "lands", "rentals", "plans", "designs"];
+
+const readGuestFavourites = () => readStored(GUEST_FAVOURITES_KEY, [], Array.isArray);
+
+/* Guests keep favourites in localStorage; signing in merges them into the account */
+function FavouritesProvider({ children }) {
+  const { user } = useAuth();
+  const [items, setItems] = useState(readGuestFavourites); // [{ listingId, category, savedAt }]
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (!user) {
+      setItems(readGuestFavourites());
+      return;
+    }
+    let alive = true;
+    const guest = readGuestFavourites();
+    const load = guest.length
+      ? api("/favourites/merge", { method: "POST", body: { items: guest } })
+      : api("/favourites");
+    load
+      .then(({ favourites }) => {
+        localStorage.removeItem(GUEST_FAVOURITES_KEY);
+        if (alive) setItems(favourites);
+      })
+      .catch((err) => alive && setError(err.message));
+    return () => {
+      alive = false;
+    };
+  }, [user?.id]);
+
+  const value = useMemo(() => {
+    const isSaved = (listingId) => items.some((f) => f.listingId === listingId);
+    return {
+      items,
+      error,
+      isSaved,
+      async toggle(listingId, category) {
+        const saved = isSaved(listingId);
+        const next = saved
+          ? items.filter((f) => f.listingId !== listingId)
+          : [...items, { listingId, category, savedAt: new Date().toISOString() }];
+        setItems(next);
+        setError("");
+        if (!user) {
+          localStorage.setItem(GUEST_FAVOURITES_KEY, JSON.stringify(next));
+          return;
+        }
+        try {
+          const { favourites } = await api(
+            `/favourites/${listingId}`,
+            saved ? { method: "DELETE" } : { method: "PUT", body: { category } }
+          );
+          setItems(favourites);
+        } catch (err) {
+          setItems(items); // roll back the optimistic update
+          setError(err.message);
+        }
+      },
+    };
+  }, [items, error, user]);
+
+  return <FavouritesContext.Provider value={value}>{children}</FavouritesContext.Provider>;
+}
+
+function SaveButton({ listingId, category, className = "px-3 py-2 text-xs" }) {
+  const { isSaved, toggle } = useFavourites();
+  const saved = isSaved(listingId);
+  return (
+    <button
+      onClick={() => toggle(listingId, category)}
+      aria-pressed={saved}
+      className={`rounded-xl border font-semibold ${saved ? "border-amber-300 bg-amber-50 text-amber-700" : ""} ${className}`}
+    >
+      {saved ? "Saved ♥" : "Save"}
+    </button>
+  );
+}
+
+/* Uses the native share sheet where available, otherwise copies the link */
+function ShareButton({ url, title, className = "px-3 py-2 text-xs" }) {
+  const [copied, setCopied] = useState(false);
+  async function share() {
+    if (navigator.share) {
+      try {
+        await navigator.share({ title, url });
+      } catch {
+        // dismissed by the user
+      }
+      return;
+    }
+    await navigator.clipboard.writeText(url);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  }
+  return (
+    <button onClick={share} className={`rounded-xl border font-semibold ${className}`}>
+      {copied ? "Link copied" : "Share"}
+    </button>
+  );
+}
+
+/* ====================== COMPARE ====================== */
+/* A tray of up to four listings from one category, kept in localStorage;
+   the /compare page itself reads everything from the URL so it can be shared. */
+const CompareContext = createContext(null);
+const useCompare = () => useContext(CompareContext);
+const COMPARE_KEY = "compare:tray";
+const COMPARE_MAX = 4;
+const COMPARE_CATEGORIES = ["properties", "lands", "rentals"];
+
+const comparePath = (category, ids) => `/compare?category=${category}&ids=${ids.join(",")}`;
+
+function CompareProvider({ children }) {
+  const [tray, setTray] = useState(() => readStored(COMPARE_KEY, { category: null, ids: [] }, (v) => Array.isArray(v?.ids)));
+
+  useEffect(() => {
+    localStorage.setItem(COMPARE_KEY, JSON.stringify(tray));
+  }, [tray]);
+
+  const value = useMemo(() => {
+    const has = (id) => tray.ids.includes(id);
+    return {
+      ...tray,
+      has,
+      full: tray.ids.length >= COMPARE_MAX,
+      toggle(id, category) {
+        if (has(id)) return setTray((t) => ({ ...t, ids: t.ids.filter((x) => x !== id) }));
+        if (tray.category && tray.category !== category && tray.ids.length) {
+          const ok = window.confirm(
+            `You are comparing ${CATEGORIES[tray.category].label.toLowerCase()}. Start a new comparison of ${CATEGORIES[category].label.toLowerCase()} instead?`
+          );
+          if (!ok) return;
+          return setTray({ category, ids: [id] });
+        }
+        if (tray.ids.length >= COMPARE_MAX) return;
+        setTray((t) => ({ category, ids: [...t.ids, id] }));
+      },
+      remove: (id) => setTray((t) => ({ ...t, ids: t.ids.filter((x) => x !== id) })),
+      clear: () => setTray({ category: null, ids: [] }),
+    };
+  }, [tray]);
+
+  return <CompareContext.Provider value={value}>{children}</CompareContext.Provider>;
+}
+
+function CompareToggle({ listingId, category }) {
+  const compare = useCompare();
+  const on = compare.has(listingId);
+  const blocked = !on && compare.full && compare.category === category;
+  return (
+    <label
+      className={`flex items-center gap-1 rounded-xl border px-3 py-2 text-xs font-semibold ${on ? "border-blue-300 bg-blue-50 text-blue-700" : ""} ${blocked ? "opacity-50" : "cursor-pointer"}`}
+      title={blocked ? `You can compare up to ${COMPARE_MAX} listings` : undefined}
+    >
+      <input type="checkbox" checked={on} disabled={blocked} onChange={() => compare.toggle(listingId, category)} />
+      Compare
+    </label>
+  );
+}
+
+/* Bottom bar listing what is in the tray */
+function CompareTray() {
+  const compare = useCompare();
+  const catalog = useCatalog();
+  const { pathname } = useLocation();
+  const items = compare.ids.map((id) => catalog[compare.category]?.find((l) => l.id === id)).filter(Boolean);
+  if (!items.length || pathname === "/compare") return null;
+  return (
+    <div className="fixed bottom-4 left-4 right-24 z-[60] mx-auto flex max-w-3xl items-center gap-3 rounded-2xl border bg-white p-3 shadow-lg">
+      <div className="flex flex-1 gap-2 overflow-x-auto">
+        {items.map((it) => (
+          <div key={it.id} className="relative h-12 w-16 shrink-0">
+            <img src={it.src} alt={it.title} className="h-full w-full rounded-lg object-cover" />
+            <button
+              onClick={() => compare.remove(it.id)}
+              className="absolute -right-1 -top-1 rounded-full border bg-white px-1 text-[10px] leading-4"
+              aria-label={`Remove ${it.title}`}
+            >
+              ×
+            </button>
+          </div>
+        ))}
+      </div>
+      <div className="text-xs text-gray-600">
+        {items.length}/{COMPARE_MAX} {CATEGORIES[compare.category].label.toLowerCase()}
+      </div>
+      <button onClick={compare.clear} className="rounded-xl border px-3 py-2 text-xs font-semibold">Clear</button>
+      {items.length > 1 ? (
+        <Link to={comparePath(compare.category, compare.ids)} className="rounded-xl bg-black px-3 py-2 text-xs font-semibold text-white">
+          Compare
+        </Link>
+      ) : (
+        <span className="text-xs text-gray-500">Pick one more</span>
+      )}
+    </div>
+  );
+}
+
+/* Rows of the comparison table; value() returns text, or a list for amenities */
+const COMPARE_ROWS = [
+  { id: "price", label: "Price", value: (it) => (it.price ? formatPrice(it.price, it.unit) : "—") },
+  { id: "beds", label: "Bedrooms", categories: ["properties", "rentals"], value: (it) => it.beds ?? "—" },
+  { id: "baths", label: "Bathrooms", categories: ["properties", "rentals"], value: (it) => it.baths ?? "—" },
+  {
+    id: "size",
+    label: "Size",
+    value: (it) => (it.size ? `${it.size} m²` : plotArea(it.boundary) ? `≈ ${formatArea(plotArea(it.boundary))}` : "—"),
+  },
+  { id: "title", label: "Title documents", categories: ["properties", "lands"], value: (it) => it.titleDocument || "—" },
+  { id: "verified", label: "Title verified", categories: ["lands"], value: (it) => (it.verification ? `Yes, ${formatDate(it.verification.verifiedAt, false)}` : "No") },
+  { id: "location", label: "Location", value: (it) => it.location || "—" },
+  { id: "amenities", label: "Amenities", list: true, value: (it) => it.amenities || [] },
+];
+
+function Compare() {
+  const [params, setParams] = useSearchParams();
+  const catalog = useCatalog();
+  const compare = useCompare();
+  const [onlyDifferences, setOnlyDifferences] = useState(false);
+  const category = COMPARE_CATEGORIES.includes(params.get("category")) ? params.get("category") : null;
+  const ids = (params.get("ids") || "").split(",").filter(Boolean).slice(0, COMPARE_MAX);
+  const items = category ? ids.map((id) => catalog[category].find((l) => l.id === id)).filter(Boolean) : [];
+
+  if (items.length < 2) {
+    return (
+      <Section title="Compare listings" subtitle="Tick Compare on up to four properties, plots or rentals to see them side by side.">
+        <p className="text-sm text-gray-600">
+          {ids.length ? "Some of these listings are no longer available." : "Nothing to compare yet."}
+        </p>
+        <div className="mt-4 flex gap-2">
+          {COMPARE_CATEGORIES.map((c) => (
+            <Link key={c} to={CATEGORIES[c].path} className="rounded-xl border px-3 py-2 text-xs font-semibold">
+              {CATEGORIES[c].label}
+            </Link>
+          ))}
+        </div>
+      </Section>
+    );
+  }
+
+  function remove(id) {
+    setParams({ category, ids: ids.filter((x) => x !== id).join(",") });
+    if (compare.has(id)) compare.remove(id);
+  }
+
+  const rows = COMPARE_ROWS.filter((r) => !r.categories || r.categories.includes(category)).map((r) => {
+    const values = items.map(r.value);
+    if (r.list) {
+      const shared = values[0].filter((a) => values.every((v) => v.includes(a)));
+      return { ...r, values, shared, differs: values.some((v) => v.length !== shared.length) };
+    }
+    return { ...r, values, differs: values.some((v) => String(v) !== String(values[0])) };
+  });
+  const shown = onlyDifferences ? rows.filter((r) => r.differs) : rows;
+  const missing = ids.length - items.length;
+
+  return (
+    <Section
+      title={`Compare ${CATEGORIES[category].label.toLowerCase()}`}
+      subtitle="Highlighted rows differ between the listings."
+      actions={
+        <div className="flex items-center gap-2">
+          <label className="flex items-center gap-2 text-xs">
+            <input type="checkbox" checked={onlyDifferences} onChange={(e) => setOnlyDifferences(e.target.checked)} />
+            Only differences
+          </label>
+          <ShareButton url={window.location.href} title={`Compare ${items.map((it) => it.title).join(" vs ")}`} />
+        </div>
+      }
+    >
+      {missing > 0 && (
+        <p className="mb-3 text-xs text-gray-500">
+          {missing} {missing === 1 ? "listing is" : "listings are"} no longer available.
+        </p>
+      )}
+      <div className="overflow-x-auto">
+        <table className="w-full min-w-[640px] table-fixed border-separate border-spacing-0 text-sm">
+          <thead>
+            <tr>
+              <th className="w-36" />
+              {items.map((it) => (
+                <th key={it.id} className="p-2 text-left align-top font-normal">
+                  <img src={it.src} alt={it.title} className="h-28 w-full rounded-xl object-cover" />
+                  <Link to={listingPath(category, it)} className="mt-2 block font-semibold hover:underline">{it.title}</Link>
+                  <div className="text-xs text-gray-500">{it.ref}</div>
+                  <button onClick={() => remove(it.id)} className="mt-1 text-xs text-red-600 underline">Remove</button>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {shown.map((r) => (
+              <tr key={r.id}>
+                <th className="border-t p-2 text-left align-top text-xs font-semibold text-gray-600">{r.label}</th>
+                {r.values.map((v, i) => (
+                  <td key={items[i].id} className={`border-t p-2 align-top ${r.differs ? "bg-amber-50" : ""}`}>
+                    {r.list ? (
+                      v.length ? (
+                        <ul className="space-y-0.5">
+                          {v.map((a) => (
+                            <li key={a} className={r.shared.includes(a) ? "" : "font-semibold text-amber-800"}>{a}</li>
+                          ))}
+                        </ul>
+                      ) : (
+                        "—"
+                      )
+                    ) : (
+                      v
+                    )}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {shown.length === 0 && <p className="mt-3 text-sm text-gray-600">These listings match on every row.</p>}
+    </Section>
+  );
+}
+
+/* ====================== INSPECTION BOOKINGS ====================== */
+// slots are served in Benin City time regardless of the visitor's timezone
+const AGENT_TZ = "Africa/Lagos";
+const lagosDate = (iso) => new Date(new Date(iso).getTime() + 3600000).toISOString().slice(0, 10);
+const slotTime = (iso) =>
+  new Date(iso).toLocaleTimeString("en-NG", { timeZone: AGENT_TZ, hour: "2-digit", minute: "2-digit" });
+const slotDateTime = (iso) =>
+  new Date(iso).toLocaleString("en-NG", {
+    timeZone: AGENT_TZ,
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+function bookingIcs(booking, agent) {
+  const stamp = (iso) => iso.replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+  const esc = (t) => String(t).replace(/[\\,;]/g, (c) => `\\${c}`).replace(/\n/g, "\\n");
+  return [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Kinglaw Paradise Builders//Inspections//EN",
+    "BEGIN:VEVENT",
+    `UID:${booking.id}@kinglawparadise`,
+    `DTSTAMP:${stamp(new Date().toISOString())}`,
+    `DTSTART:${stamp(booking.start)}`,
+    `DTEND:${stamp(booking.end)}`,
+    `SUMMARY:${esc(`Inspection — ${booking.listingTitle}`)}`,
+    `DESCRIPTION:${esc(`Booking ${booking.ref} for ${booking.listingRef || booking.listingTitle}.${agent ? ` Agent: ${agent.name}, ${agent.phone}` : ""}`)}`,
+    "LOCATION:Benin City\\, Edo State",
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ].join("\r\n");
+}
+
+const downloadIcs = (booking, agent) => downloadFile(`${booking.ref}.ics`, bookingIcs(booking, agent), "text/calendar");
+
+/* Picks a date + free slot; reschedules when `booking` is given */
+function BookingDialog({ item, booking, onClose, onDone }) {
+  const today = lagosDate(new Date().toISOString());
+  const [date, setDate] = useState(booking ? lagosDate(booking.start) : today);
+  const [start, setStart] = useState("");
+  const agents = useAgents();
+  const slots = useApi(
+    `/bookings/slots?date=${date}&${booking ? `agentId=${booking.agentId}` : `listingId=${item.id}`}`
+  );
+  const [error, setError] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [pending, setPending] = useState(false);
+  const [done, setDone] = useState(null);
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    const form = new FormData(e.currentTarget);
+    setError("");
+    setFieldErrors({});
+    setPending(true);
+    try {
+      const data = booking
+        ? await api(`/bookings/${booking.id}/reschedule`, { method: "POST", body: { start } })
+        : await api("/bookings", {
+            method: "POST",
+            body: {
+              listingId: item.id,
+              start,
+              phone: form.get("phone"),
+              notes: form.get("notes"),
+            },
+          });
+      setDone(data.booking);
+      onDone?.(data.booking);
+    } catch (err) {
+      setError(err.message);
+      setFieldErrors(err.fields || {});
+      if (err.status === 409) {
+        setStart("");
+        slots.reload();
+      }
+    } finally {
+      setPending(false);
+    }
+  }
+
+  const title = booking ? "Reschedule inspection" : "Book an inspection";
+  if (done) {
+    return (
+      <Modal title={title} onClose={onClose}>
+        <p className="text-sm text-gray-700">
+          <span className="font-semibold">{done.listingTitle}</span> — {slotDateTime(done.start)}.
+          Ref {done.ref}. Our agent will confirm shortly.
+        </p>
+        <div className="mt-4 flex gap-2">
+          <button onClick={() => downloadIcs(done, agentById(agents, done.agentId))} className="rounded-xl bg-black px-4 py-2 text-sm font-semibold text-white">
+            Add to calendar
+          </button>
+          <button onClick={onClose} className="rounded-xl border px-4 py-2 text-sm font-semibold">Done</button>
+        </div>
+      </Modal>
+    );
+  }
+
+  return (
+    <Modal title={title} onClose={onClose}>
+      <form onSubmit={handleSubmit} className="space-y-3">
+        <div className="text-sm text-gray-600">{item?.title || booking?.listingTitle}</div>
+        <div>
+          <label className="text-sm font-medium">Date</label>
+          <input
+            type="date"
+            value={date}
+            min={today}
+            onChange={(e) => {
+              setDate(e.target.value);
+              setStart("");
+            }}
+            className="mt-1 w-full rounded-xl border px-3 py-2 text-sm"
+          />
+        </div>
+        <div>
+          <label className="text-sm font-medium">Time (Benin City)</label>
+          <ApiState
+            state={slots}
+            isEmpty={(d) => !d?.slots.length}
+            empty="The agent is not available on this day. Try another date."
+          >
+            <div className="mt-1 grid grid-cols-4 gap-2">
+              {slots.data?.slots.map((sl) => (
+                <button
+                  type="button"
+                  key={sl.start}
+                  disabled={!sl.available}
+                  onClick={() => setStart(sl.start)}
+                  className={`rounded-lg border px-2 py-1 text-xs font-semibold disabled:cursor-not-allowed disabled:opacity-40 ${
+                    start === sl.start ? "bg-black text-white" : ""
+                  }`}
+                >
+                  {slotTime(sl.start)}
+                </button>
+              ))}
+            </div>
+          </ApiState>
+          <FieldHint error={fieldErrors.start} />
+        </div>
+        {!booking && (
+          <>
+            <div>
+              <label className="text-sm font-medium">Phone number</label>
+              <input name="phone" type="tel" required className="mt-1 w-full rounded-xl border px-3 py-2 text-sm" />
+              <FieldHint error={fieldErrors.phone} />
+            </div>
+            <div>
+              <label className="text-sm font-medium">Notes (optional)</label>
+              <input name="notes" className="mt-1 w-full rounded-xl border px-3 py-2 text-sm" />
+            </div>
+          </>
+        )}
+        <FormError message={error} />
+        <button
+          disabled={pending || !start}
+          className="w-full rounded-xl bg-black px-4 py-2 text-sm font-semibold text-white disabled:opacity-60"
+        >
+          {pending ? "Saving..." : booking ? "Move booking" : "Book inspection"}
+        </button>
+      </form>
+    </Modal>
+  );
+}
+
+/* open(item) shows the booking dialog, or sends guests to sign in first */
+function useInspectionBooking() {
+  const signInFirst = useSignInFirst();
+  const [target, setTarget] = useState(null);
+  const open = (item) => signInFirst(() => setTarget(item));
+  const dialog = target && <BookingDialog item={target} onClose={() => setTarget(null)} />;
+  return { open, dialog };
+}
+
+/* ====================== HELPERS ====================== */
+function Hero({ heading, sub, img, dark = false }) {
+  return (
+    <section className={`relative overflow-hidden ${img ? "bg-hero" : ""}`} style={img ? { "--bg-image": `url('${img}')` } : undefined}>
+      {img && dark && <div className="absolute inset-0 -z-10 bg-black/40" />}
+      <Container className="py-10">
+        <h1 className="text-3xl md:text-4xl font-black">{heading}</h1>
+        {sub && <p className="mt-2 max-w-2xl text-gray-700">{sub}</p>}
+      </Container>
+    </section>
+  );
+}
+
+/* ====================== CATALOG (CONTENT STORE) ====================== */
+/* Listings are managed by staff in /admin and served by GET /api/catalog.
+   The catalog has one array per category key of CATEGORIES. */
+const CatalogContext = createContext(null);
+const useCatalog = () => useContext(CatalogContext).catalog;
+
+const EMPTY_CATALOG = {
+  properties: [],
+  lands: [],
+  rentals: [],
+  materials: [],
+  artifacts: [],
+  plans: [],
+  designs: [],
+  construction: [],
+};
+
+function CatalogProvider({ children }) {
+  const { data, error, loading, reload } = useApi("/catalog");
+  const value = useMemo(
+    () => ({
+      data,
+      error,
+      loading,
+      reload,
+      catalog: { ...EMPTY_CATALOG, ...data?.catalog },
+      agents: data?.agents || [],
+      ratings: data?.ratings || {},
+      contactTemplates: data?.contactTemplates || {},
+    }),
+    [data, error, loading, reload]
+  );
+  return <CatalogContext.Provider value={value}>{children}</CatalogContext.Provider>;
+}
+
+/* Holds the routes back until the catalog has loaded at least once */
+function CatalogGate({ children }) {
+  const { data, error, reload } = useContext(CatalogContext);
+  if (data) return children;
+  return (
+    <Section>
+      {error ? (
+        <div className="mx-auto max-w-md text-center">
+          <FormError message={error.message} />
+          <button onClick={reload} className="mt-3 rounded-xl bg-black px-4 py-2 text-sm font-semibold text-white">
+            Try again
+          </button>
+        </div>
+      ) : (
+        <p className="text-center text-sm text-gray-500">Loading listings...</p>
+      )}
+    </Section>
+  );
+}
+
+/* Listing categories: list page path and detail CTA per catalog key */
+const CATEGORIES = {
+  properties: { label: "Properties", path: "/properties", cta: "View Details", keywords: ["property", "house", "buy"] },
+  lands: { label: "Lands for Sale", path: "/lands-for-sale", cta: "Enquire", keywords: ["land", "plot", "buy"] },
+  rentals: { label: "Houses for Rent", path: "/houses-for-rent", cta: "Book Inspection", keywords: ["rent", "rental", "house"] },
+  materials: { label: "Building Materials", path: "/materials", cta: "Add to Cart", keywords: ["material", "supply"] },
+  artifacts: { label: "Building Artifacts", path: "/artifacts", cta: "View", keywords: [] },
+  plans: { label: "Building Drawing Plans", path: "/plans", cta: "Buy Plan", keywords: ["plan", "drawing"] },
+  designs: { label: "Building Designs", path: "/designs", cta: "Request Renders", keywords: ["design", "render"] },
+  construction: { label: "Construction", path: "/construction", cta: "Request Site Visit", keywords: ["construction", "project"] },
+};
+
+/* Sale units for materials: [singular, plural] */
+const UNITS = {
+  bag: ["bag", "bags"],
+  ton: ["ton", "tons"],
+  length: ["length", "lengths"],
+  roll: ["roll", "rolls"],
+  block: ["block", "blocks"],
+  piece: ["piece", "pieces"],
+};
+const unitLabel = (unit, qty) => (UNITS[unit] || ["unit", "units"])[qty === 1 ? 0 : 1];
+
+const listingPath = (category, item) => `${CATEGORIES[category].path}/${item.id}`;
+
+/* Finds a listing by id in any category: { category, item } or null */
+function findListing(catalog, id) {
+  for (const category of Object.keys(catalog)) {
+    const item = catalog[category].find((it) => it.id === id);
+    if (item) return { category, item };
+  }
+  return null;
+}
+
+/* Looks up the catalog entry for the :id route param */
+function useListing(category) {
+  const { id } = useParams();
+  return useCatalog()[category].find((it) => it.id === id);
+}
+
+/* ====================== SEARCH ====================== */
+const SEARCH_CATEGORIES = ["properties", "lands", "rentals", "materials", "plans", "designs", "construction"];
+const SEARCH_WEIGHTS = { title: 3, tags: 2, meta: 1 };
+
+const tokenize = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+/* Edit distance with adjacent swaps, giving up once it exceeds `max` */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        cur[j] = Math.min(cur[j], prev2[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, cur[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev2 = prev;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+/* 1 exact, 0.8 prefix, 0.6 typo (1 edit, 2 for long words), 0 no match */
+function tokenMatch(q, t) {
+  if (q === t) return 1;
+  if (q.length >= 2 && t.startsWith(q)) return 0.8;
+  if (q.length < 4) return 0;
+  return editDistance(q, t, q.length >= 8 ? 2 : 1) <= (q.length >= 8 ? 2 : 1) ? 0.6 : 0;
+}
+
+function buildSearchIndex(data) {
+  return SEARCH_CATEGORIES.flatMap((category) =>
+    data[category].map((item) => ({
+      category,
+      item,
+      fields: {
+        title: tokenize(item.title),
+        tags: tokenize([...(item.tags || []), ...CATEGORIES[category].keywords].join(" ")),
+        meta: tokenize(`${item.meta || ""} ${item.ref}`),
+      },
+    }))
+  );
+}
+
+/* Every query word must match somewhere; results sorted by weighted score */
+function searchIndex(index, query, limit = Infinity) {
+  const words = tokenize(query);
+  if (!words.length) return [];
+  const hits = [];
+  for (const doc of index) {
+    let score = 0;
+    for (const w of words) {
+      let best = 0;
+      for (const [field, tokens] of Object.entries(doc.fields)) {
+        for (const t of tokens) best = Math.max(best, tokenMatch(w, t) * SEARCH_WEIGHTS[field]);
+      }
+      if (!best) {
+        score = 0;
+        break;
+      }
+      score += best;
+    }
+    if (score) hits.push({ ...doc, score });
+  }
+  return hits.sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+function useSearch(query, limit) {
+  const catalog = useCatalog();
+  const index = useMemo(() => buildSearchIndex(catalog), [catalog]);
+  return useMemo(() => searchIndex(index, query, limit), [index, query, limit]);
+}
+
+/* Services and the quote form fields each one needs */
+const PLOT_SIZES = ["Half plot (50×50 ft)", "1 plot (50×100 ft)", "2 plots", "3+ plots / acre"];
+const SERVICES = [
+  {
+    id: "land-verification",
+    name: "Land Verification",
+    fields: [
+      { name: "location", label: "Plot location", required: true, placeholder: "Street, area, LGA" },
+      { name: "titleDocument", label: "Title document", type: "select", required: true, options: ["C of O", "Survey & Deed", "Gazette", "Receipt only", "Other"] },
+      { name: "plotSize", label: "Plot size", type: "select", options: PLOT_SIZES },
+    ],
+    uploads: { label: "Document scans", hint: "Survey plan, deed or C of O (JPG, PNG or PDF).", accept: "image/*,application/pdf" },
+  },
+  {
+    id: "survey-beaconing",
+    name: "Survey & Beaconing",
+    fields: [
+      { name: "location", label: "Plot location", required: true, placeholder: "Street, area, LGA" },
+      { name: "plotSize", label: "Plot size", type: "select", required: true, options: PLOT_SIZES },
+      { name: "purpose", label: "Purpose", type: "select", options: ["New survey", "Re-beaconing", "Perimeter check"] },
+    ],
+  },
+  {
+    id: "architectural-drawings",
+    name: "Architectural Drawings",
+    fields: [
+      { name: "buildingType", label: "Building type", type: "select", required: true, options: ["Bungalow", "Duplex", "Storey building", "Block of flats", "Commercial"] },
+      { name: "floors", label: "Number of floors", type: "number", min: 1, required: true },
+      { name: "bedrooms", label: "Bedrooms", type: "number", min: 0 },
+      { name: "plotSize", label: "Plot size", type: "select", options: PLOT_SIZES },
+    ],
+  },
+  {
+    id: "3d-designs",
+    name: "3D Designs & Renders",
+    fields: [
+      { name: "buildingType", label: "Building type", type: "select", required: true, options: ["Bungalow", "Duplex", "Storey building", "Block of flats", "Commercial"] },
+      { name: "style", label: "Style", type: "select", required: true, options: ["Modern", "Contemporary", "Classic"] },
+    ],
+    uploads: { label: "Reference images", hint: "Photos of designs you like." },
+  },
+  {
+    id: "renovations",
+    name: "Renovations",
+    fields: [
+      { name: "location", label: "Property location", required: true },
+      { name: "scope", label: "Scope of work", type: "textarea", required: true, placeholder: "Rooms, finishes, roofing, plumbing..." },
+    ],
+    uploads: { label: "Photos of the property", hint: "Up to 6 photos of the areas to renovate." },
+  },
+  {
+    id: "general-construction",
+    name: "General Construction",
+    fields: [
+      { name: "location", label: "Site location", required: true },
+      { name: "buildingType", label: "Building type", type: "select", required: true, options: ["Bungalow", "Duplex", "Storey building", "Block of flats", "Commercial"] },
+      { name: "stage", label: "Current stage", type: "select", options: ["Bare land", "Foundation", "DPC / WC level", "Lintel", "Roofing", "Finishing"] },
+      { name: "startDate", label: "Preferred start date", type: "date" },
+    ],
+  },
+  {
+    id: "materials-supply",
+    name: "Materials Supply",
+    fields: [
+      { name: "location", label: "Delivery location", required: true, placeholder: "Street, area, LGA" },
+      { name: "items", label: "Materials list", type: "textarea", required: true, hint: "One item per line, e.g. 120 bags of cement." },
+    ],
+  },
+];
+const serviceById = (id) => SERVICES.find((svc) => svc.id === id);
+
+function QuoteDialog({ service, defaults = {}, onClose }) {
+  const [attachments, setAttachments] = useState([]);
+  const [error, setError] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [pending, setPending] = useState(false);
+  const [quote, setQuote] = useState(null);
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    const form = new FormData(e.currentTarget);
+    const details = {};
+    service.fields.forEach((f) => {
+      if (form.get(f.name)) details[f.name] = form.get(f.name);
+    });
+    setError("");
+    setFieldErrors({});
+    setPending(true);
+    try {
+      const data = await api("/quotes", {
+        method: "POST",
+        body: { service: service.id, details, phone: form.get("phone"), attachments: attachments.map((a) => a.id) },
+      });
+      setQuote(data.quote);
+    } catch (err) {
+      setError(err.message);
+      setFieldErrors(err.fields || {});
+    } finally {
+      setPending(false);
+    }
+  }
+
+  if (quote) {
+    return (
+      <Modal title={`Quote requested — ${service.name}`} onClose={onClose}>
+        <p className="text-sm text-gray-700">
+          Ref {quote.ref}. We will review your request and send a price to your dashboard.
+        </p>
+        <div className="mt-4 flex gap-2">
+          <Link to="/dashboard" className="rounded-xl bg-black px-4 py-2 text-sm font-semibold text-white">Go to dashboard</Link>
+          <button onClick={onClose} className="rounded-xl border px-4 py-2 text-sm font-semibold">Done</button>
+        </div>
+      </Modal>
+    );
+  }
+
+  return (
+    <Modal title={`Request a quote — ${service.name}`} onClose={onClose}>
+      <form onSubmit={handleSubmit} className="space-y-3">
+        {service.fields.map((f) => (
+          <FormField key={f.name} field={{ ...f, defaultValue: defaults[f.name] }} error={fieldErrors[f.name]} />
+        ))}
+        {service.uploads && (
+          <FileUploadField {...service.uploads} value={attachments} onChange={setAttachments} />
+        )}
+        <FormField field={{ name: "phone", label: "Phone number", type: "tel", required: true }} error={fieldErrors.phone} />
+        <FormError message={error} />
+        <button disabled={pending} className="w-full rounded-xl bg-black px-4 py-2 text-sm font-semibold text-white disabled:opacity-60">
+          {pending ? "Sending..." : "Request quote"}
+        </button>
+      </form>
+    </Modal>
+  );
+}
+
+/* ====================== MATERIALS ESTIMATOR ====================== */
+/* Rule-of-thumb quantities for a sandcrete-block building on strip footings.
+   wallPerM2 guesses the wall run per floor when no wall length is given. */
+const BUILDING_TYPES = {
+  bungalow: { label: "Bungalow", wallPerM2: 0.65 },
+  duplex: { label: "Duplex", wallPerM2: 0.6 },
+  "block-of-flats": { label: "Block of flats", wallPerM2: 0.7 },
+  commercial: { label: "Shop / office", wallPerM2: 0.45 },
+};
+const ESTIMATE_RULES = {
+  wallHeight: 3, // m per floor
+  openings: 0.15, // share of wall area taken by doors and windows
+  blocksPerM2: 10, // 9" blocks, 450 × 225 face
+  blocksPerBag: 35, // laying mortar
+  plasterM2PerBag: 10, // per face, 12 mm 1:6
+  footingM3PerM: 0.16, // 675 × 230 strip
+  slabDepth: 0.15, // m, ground and suspended slabs
+  frameM3PerM2: 0.05, // columns and beams per m² of floor
+  cementPerM3: 6.4, // bags, 1:2:4 concrete
+  granitePerM3: 1.35, // tons
+  rodKgPerM3: 100,
+  rodKgPerLength: 10.66, // 12 mm × 12 m
+  meshM2PerRoll: 100,
+  formworkM2PerPiece: 1.5,
+  roofTimberPerM2: 0.8,
+};
+/* BoQ lines; `tag` finds the matching item in the materials catalogue */
+const BOQ_LINES = [
+  { key: "blocks", label: `9" hollow blocks`, tag: "9 inch", wastage: 0.05 },
+  { key: "cement", label: "Cement (50 kg)", tag: "cement", wastage: 0.05 },
+  { key: "granite", label: "Granite", tag: "granite", wastage: 0.1 },
+  { key: "rods", label: "Iron rods (12 mm × 12 m)", tag: "iron rods", wastage: 0.07 },
+  { key: "mesh", label: "BRC mesh (ground slab)", tag: "mesh", wastage: 0.05 },
+  { key: "timber", label: "Hardwood (formwork & roof)", tag: "timber", wastage: 0.1 },
+];
+
+/* { buildingType, floorArea (m² per floor), floors, wallLength (m per floor, optional) } */
+function estimateMaterials({ buildingType, floorArea, floors, wallLength }) {
+  const r = ESTIMATE_RULES;
+  const type = BUILDING_TYPES[buildingType] || BUILDING_TYPES.bungalow;
+  const walls = wallLength || floorArea * type.wallPerM2;
+  const wallArea = walls * r.wallHeight * floors * (1 - r.openings);
+  const blocks = wallArea * r.blocksPerM2;
+  const footing = walls * r.footingM3PerM;
+  const suspended = floorArea * (floors - 1) * r.slabDepth;
+  const frame = floorArea * floors * r.frameM3PerM2;
+  const concrete = footing + floorArea * r.slabDepth + suspended + frame;
+  const base = {
+    blocks,
+    cement: concrete * r.cementPerM3 + blocks / r.blocksPerBag + (wallArea * 2) / r.plasterM2PerBag,
+    granite: concrete * r.granitePerM3,
+    rods: ((footing + suspended + frame) * r.rodKgPerM3) / r.rodKgPerLength,
+    mesh: floorArea / r.meshM2PerRoll,
+    timber: (floorArea * (floors - 1)) / r.formworkM2PerPiece + floorArea * r.roofTimberPerM2,
+  };
+  return {
+    walls,
+    wallArea,
+    concrete,
+    lines: BOQ_LINES.map((l) => ({ ...l, base: base[l.key], qty: Math.ceil(base[l.key] * (1 + l.wastage)) })),
+  };
+}
+
+/* ====================== LAND VERIFICATION ====================== */
+const VERIFICATION_DOCUMENTS = [
+  { id: "surveyPlan", label: "Survey plan", hint: "Required." },
+  { id: "deed", label: "Deed of assignment", hint: "Upload the deed, the C of O, or both." },
+  { id: "cOfO", label: "Certificate of Occupancy (C of O)" },
+];
+const VERIFICATION_CHECKS = [
+  { id: "survey", label: "Survey coordinates" },
+  { id: "registry", label: "Land registry search" },
+  { id: "consent", label: "Family / community consent" },
+];
+
+function VerificationDialog({ plot, onClose }) {
+  const [documents, setDocuments] = useState({ surveyPlan: [], deed: [], cOfO: [] });
+  const [error, setError] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [pending, setPending] = useState(false);
+  const [opened, setOpened] = useState(null);
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    const form = new FormData(e.currentTarget);
+    setError("");
+    setFieldErrors({});
+    setPending(true);
+    try {
+      const data = await api("/verifications", {
+        method: "POST",
+        body: {
+          listingId: plot.id,
+          phone: form.get("phone"),
+          note: form.get("note"),
+          documents: Object.fromEntries(Object.entries(documents).map(([k, files]) => [k, files.map((f) => f.id)])),
+        },
+      });
+      setOpened(data.verification);
+    } catch (err) {
+      setError(err.message);
+      setFieldErrors(err.fields || {});
+    } finally {
+      setPending(false);
+    }
+  }
+
+  if (opened) {
+    return (
+      <Modal title="Verification case opened" onClose={onClose}>
+        <p className="text-sm text-gray-700">
+          Ref {opened.ref}. Our team will run the survey, registry and consent checks and post each result to your dashboard.
+        </p>
+        <div className="mt-4 flex gap-2">
+          <Link to="/dashboard" className="rounded-xl bg-black px-4 py-2 text-sm font-semibold text-white">Go to dashboard</Link>
+          <button onClick={onClose} className="rounded-xl border px-4 py-2 text-sm font-semibold">Done</button>
+        </div>
+      </Modal>
+    );
+  }
+
+  return (
+    <Modal title={`Verify title — ${plot.ref}`} onClose={onClose}>
+      <form onSubmit={handleSubmit} className="space-y-3">
+        <p className="text-xs text-gray-600">{plot.title}{plot.meta ? ` • ${plot.meta}` : ""}</p>
+        {VERIFICATION_DOCUMENTS.map((d) => (
+          <div key={d.id}>
+            <FileUploadField
+              label={d.label}
+              hint={d.hint}
+              accept="image/*,application/pdf"
+              max={4}
+              value={documents[d.id]}
+              onChange={(files) => setDocuments((docs) => ({ ...docs, [d.id]: files }))}
+            />
+            <FieldHint error={fieldErrors[d.id]} />
+          </div>
+        ))}
+        <FormField field={{ name: "note", label: "Anything we should know?", type: "textarea" }} />
+        <FormField field={{ name: "phone", label: "Phone number", type: "tel", required: true }} error={fieldErrors.phone} />
+        <FormError message={error} />
+        <button disabled={pending} className="w-full rounded-xl bg-black px-4 py-2 text-sm font-semibold text-white disabled:opacity-60">
+          {pending ? "Sending..." : "Open verification case"}
+        </button>
+      </form>
+    </Modal>
+  );
+}
+
+/* ====================== CONSTRUCTION PROJECTS ====================== */
+const PROJECT_STAGES = [
+  { id: "site-clearing", label: "Site clearing" },
+  { id: "foundation", label: "Foundation" },
+  { id: "dpc", label: "DPC / WC level" },
+  { id: "lintel", label: "Lintel" },
+  { id: "roofing", label: "Roofing" },
+  { id: "finishing", label: "Finishing" },
+];
+const stageLabel = (id) => PROJECT_STAGES.find((s) => s.id === id)?.label || id;
+
+// every stage weighs the same
+const projectPercent = (p) => Math.round(p.stages.reduce((sum, s) => sum + s.percent, 0) / p.stages.length);
+
+const ProgressBar = ({ percent }) => (
+  <div className="h-2 w-full overflow-hidden rounded-full bg-gray-100" role="progressbar" aria-valuenow={percent} aria-valuemin={0} aria-valuemax={100}>
+    <div className="h-full rounded-full bg-black" style={{ width: `${percent}%` }} />
+  </div>
+);
+
+function ProjectList({ state }) {
+  return (
+    <ApiState state={state} isEmpty={(d) => !d?.projects.length} empty="No construction projects yet.">
+      <div className="grid gap-4">
+        {state.data?.projects.map((p) => (
+          <ProjectView key={p.id} project={p} onChange={state.reload} />
+        ))}
+      </div>
+    </ApiState>
+  );
+}
+
+/* One build: overall progress, per-stage photo timeline and payment milestones.
+   Staff get the controls to post updates and manage milestones. */
+function ProjectView({ project, onChange }) {
+  const { user } = useAuth();
+  const staff = user.role === "staff";
+  const { showSet } = useLightbox();
+  const [openStage, setOpenStage] = useState(null);
+  const [dialog, setDialog] = useState(null); // "update" | "milestone"
+  const [error, setError] = useState("");
+  const percent = projectPercent(project);
+  const total = project.milestones.reduce((sum, m) => sum + m.amount.amountKobo, 0);
+  const paid = project.milestones.filter((m) => m.status === "paid").reduce((sum, m) => sum + m.amount.amountKobo, 0);
+
+  async function setMilestone(m, status) {
+    setError("");
+    try {
+      await api(`/projects/${project.id}/milestones/${m.id}`, { method: "POST", body: { status } });
+      onChange();
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  const btn = "rounded-xl border px-3 py-1 text-xs font-semibold";
+  return (
+    <Card>
+      <div className="flex flex-wrap items-start justify-between gap-2">
+        <div>
+          <div className="text-sm font-semibold">
+            {project.title} <span className="font-normal text-gray-500">• {project.ref}</span>
+          </div>
+          <div className="text-xs text-gray-500">
+            {project.site}
+            {staff && ` • ${project.client} (${project.clientEmail})`}
+          </div>
+          <RatingSummary type="project" id={project.id} />
+        </div>
+        {staff && (
+          <div className="flex gap-2">
+            <button onClick={() => setDialog("update")} className="rounded-xl bg-black px-3 py-1 text-xs font-semibold text-white">Post update</button>
+            <button onClick={() => setDialog("milestone")} className={btn}>Add milestone</button>
+          </div>
+        )}
+      </div>
+      <div className="mt-3 flex items-center gap-3">
+        <ProgressBar percent={percent} />
+        <span className="text-sm font-bold">{percent}%</span>
+      </div>
+      <div className="mt-1 text-[11px] text-gray-500">Last updated {formatDate(project.updatedAt)}</div>
+
+      <ul className="mt-4 divide-y rounded-xl border">
+        {project.stages.map((st) => {
+          const expanded = openStage === st.id;
+          return (
+            <li key={st.id} className="p-3">
+              <button onClick={() => setOpenStage(expanded ? null : st.id)} className="flex w-full items-center gap-3 text-left" aria-expanded={expanded}>
+                <span className="w-32 shrink-0 text-sm font-medium">{stageLabel(st.id)}</span>
+                <ProgressBar percent={st.percent} />
+                <span className="w-10 shrink-0 text-right text-xs font-semibold">{st.percent}%</span>
+                <span className="w-20 shrink-0 text-right text-[11px] text-gray-500">
+                  {st.updates.length} {st.updates.length === 1 ? "update" : "updates"}
+                </span>
+              </button>
+              {expanded && (
+                <ol className="mt-3 space-y-3 border-l pl-4">
+                  {st.updates.length === 0 && <li className="text-xs text-gray-500">No updates on this stage yet.</li>}
+                  {st.updates.slice().reverse().map((u) => (
+                    <li key={u.id} className="text-xs">
+                      <div className="font-semibold">
+                        {formatDate(u.date, false)} <span className="font-normal text-gray-500">• {u.percent}%</span>
+                      </div>
+                      {u.note && <p className="mt-1 whitespace-pre-line text-gray-700">{u.note}</p>}
+                      {u.photos.length > 0 && (
+                        <div className="mt-2 flex flex-wrap gap-2">
+                          {u.photos.map((ph, i) => (
+                            <ImageTile
+                              key={ph.id}
+                              src={uploadUrl(ph.id)}
+                              alt={ph.name}
+                              className="h-16 w-20"
+                              onClick={() =>
+                                showSet(
+                                  u.photos.map((x) => ({
+                                    src: uploadUrl(x.id),
+                                    caption: `${stageLabel(st.id)} • ${formatDate(u.date, false)}`,
+                                  })),
+                                  i
+                                )
+                              }
+                            />
+                          ))}
+                        </div>
+                      )}
+                    </li>
+                  ))}
+                </ol>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+
+      <div className="mt-4">
+        <div className="flex items-center justify-between text-sm font-semibold">
+          <span>Payment milestones</span>
+          {total > 0 && <span className="text-xs font-normal text-gray-600">{formatMoney(paid)} of {formatMoney(total)} paid</span>}
+        </div>
+        <FormError message={error} />
+        {project.milestones.length === 0 ? (
+          <p className="mt-1 text-xs text-gray-500">No milestones set yet.</p>
+        ) : (
+          <table className="mt-2 w-full text-left text-xs">
+            <tbody>
+              {project.milestones.map((m) => (
+                <tr key={m.id} className="border-t">
+                  <td className="py-2 pr-2 font-medium">
+                    {m.label}
+                    {m.stage && <span className="font-normal text-gray-500"> • {stageLabel(m.stage)}</span>}
+                  </td>
+                  <td className="py-2 pr-2 text-gray-600">
+                    {m.status === "paid" ? `Paid ${formatDate(m.paidAt, false)}` : m.dueDate ? `Due ${formatDate(m.dueDate, false)}` : ""}
+                  </td>
+                  <td className="py-2 pr-2 font-semibold">{formatMoney(m.amount.amountKobo)}</td>
+                  <td className="py-2 text-right">
+                    {staff ? (
+                      <button onClick={() => setMilestone(m, m.status === "paid" ? "due" : "paid")} className={btn}>
+                        {m.status === "paid" ? "Undo paid" : "Mark paid"}
+                      </button>
+                    ) : (
+                      <StatusBadge status={m.status} />
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {dialog === "update" && (
+        <ProjectUpdateDialog project={project} onClose={() => setDialog(null)} onDone={() => { setDialog(null); onChange(); }} />
+      )}
+      {dialog === "milestone" && (
+        <MilestoneDialog project={project} onClose={() => setDialog(null)} onDone={() => { setDialog(null); onChange(); }} />
+      )}
+    </Card>
+  );
+}
+
+/* Shared submit handling for the small staff forms below */
+function useFormSubmit(send, onDone) {
+  const [error, setError] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [pending, setPending] = useState(false);
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setError("");
+    setFieldErrors({});
+    setPending(true);
+    try {
+      await send(new FormData(e.currentTarget));
+      onDone();
+    } catch (err) {
+      setError(err.message);
+      setFieldErrors(err.fields || {});
+      setPending(false);
+    }
+  }
+  return { error, fieldErrors, pending, handleSubmit };
+}
+
+function NewProjectDialog({ onClose, onDone }) {
+  const { error, fieldErrors, pending, handleSubmit } = useFormSubmit(
+    (form) => api("/projects", { method: "POST", body: Object.fromEntries(form) }),
+    onDone
+  );
+  return (
+    <Modal title="New construction project" onClose={onClose}>
+      <form onSubmit={handleSubmit} className="space-y-3">
+        <FormField field={{ name: "clientEmail", label: "Client's account email", type: "email", required: true }} error={fieldErrors.clientEmail} />
+        <FormField field={{ name: "title", label: "Project title", required: true, placeholder: "4-Bed Duplex — Okpanam Road" }} error={fieldErrors.title} />
+        <FormField field={{ name: "site", label: "Site address", required: true }} error={fieldErrors.site} />
+        <FormError message={error} />
+        <button disabled={pending} className="w-full rounded-xl bg-black px-4 py-2 text-sm font-semibold text-white disabled:opacity-60">
+          {pending ? "Creating..." : "Create project"}
+        </button>
+      </form>
+    </Modal>
+  );
+}
+
+const STAGE_OPTIONS = PROJECT_STAGES.map((s) => ({ value: s.id, label: s.label }));
+
+function ProjectUpdateDialog({ project, onClose, onDone }) {
+  const [photos, setPhotos] = useState([]);
+  const { error, fieldErrors, pending, handleSubmit } = useFormSubmit(
+    (form) =>
+      api(`/projects/${project.id}/updates`, {
+        method: "POST",
+        body: { ...Object.fromEntries(form), photos: photos.map((p) => p.id) },
+      }),
+    onDone
+  );
+  // default to the first stage that is not finished yet
+  const current = project.stages.find((s) => s.percent < 100) || project.stages[project.stages.length - 1];
+  return (
+    <Modal title={`Post update — ${project.ref}`} onClose={onClose}>
+      <form onSubmit={handleSubmit} className="space-y-3">
+        <div className="grid grid-cols-2 gap-3">
+          <div>
+            <label className="text-sm font-medium">Stage</label>
+            <select name="stage" defaultValue={current.id} className="mt-1 w-full rounded-xl border px-3 py-2 text-sm">
+              {STAGE_OPTIONS.map((o) => <option key={o.value} value={o.value}>{o.label}</option>)}
+            </select>
+          </div>
+          <div>
+            <label className="text-sm font-medium">Date</label>
+            <input name="date" type="date" required defaultValue={new Date().toISOString().slice(0, 10)} className="mt-1 w-full rounded-xl border px-3 py-2 text-sm" />
+            <FieldHint error={fieldErrors.date} />
+          </div>
+        </div>
+        <FormField field={{ name: "percent", label: "Stage complete (%)", type: "number", required: true, min: 0, max: 100 }} error={fieldErrors.percent} />
+        <FormField field={{ name: "note", label: "What was done", type: "textarea" }} error={fieldErrors.note} />
+        <FileUploadField label="Site photos" hint="JPG, PNG or WebP." max={12} value={photos} onChange={setPhotos} />
+        <FormError message={error} />
+        <button disabled={pending} className="w-full rounded-xl bg-black px-4 py-2 text-sm font-semibold text-white disabled:opacity-60">
+          {pending ? "Posting..." : "Post update"}
+        </button>
+      </form>
+    </Modal>
+  );
+}
+
+function MilestoneDialog({ project, onClose, onDone }) {
+  const { error, fieldErrors, pending, handleSubmit } = useFormSubmit(
+    (form) => api(`/projects/${project.id}/milestones`, { method: "POST", body: Object.fromEntries(form) }),
+    onDone
+  );
+  return (
+    <Modal title={`Add milestone — ${project.ref}`} onClose={onClose}>
+      <form onSubmit={handleSubmit} className="space-y-3">
+        <FormField field={{ name: "label", label: "Milestone", required: true, placeholder: "2nd instalment — roofing" }} error={fieldErrors.label} />
+        <div>
+          <label className="text-sm font-medium">Stage</label>
+          <select name="stage" defaultValue="" className="mt-1 w-full rounded-xl border px-3 py-2 text-sm">
+            <option value="">Not tied to a stage</option>
+            {STAGE_OPTIONS.map((o) => <option key={o.value} value={o.value}>{o.label}</option>)}
+          </select>
+        </div>
+        <FormField field={{ name: "amount", label: "Amount (₦)", type: "number", required: true }} error={fieldErrors.amount} />
+        <FormField field={{ name: "dueDate", label: "Due date", type: "date" }} error={fieldErrors.dueDate} />
+        <FormError message={error} />
+        <button disabled={pending} className="w-full rounded-xl bg-black px-4 py-2 text-sm font-semibold text-white disabled:opacity-60">
+          {pending ? "Saving..." : "Add milestone"}
+        </button>
+      </form>
+    </Modal>
+  );
+}
+
+/* ====================== INSTALLMENT PLANS ====================== */
+const planLabel = (plan) =>
+  `${plan.depositPct}% deposit • ${plan.months} ${plan.months === 1 ? "month" : "months"}${plan.markupPct ? ` • ${plan.markupPct}% markup` : " • no markup"}`;
+const paymentLabel = (row) => (row.n === 0 ? "Deposit" : `Month ${row.n}`);
+const todayIso = () => new Date().toISOString().slice(0, 10);
+const paymentStatus = (row) => (row.paidAt ? "paid" : row.dueDate < todayIso() ? "overdue" : "due");
+
+function printSchedule({ title, reference, plan, rows }) {
+  const total = rows.reduce((sum, r) => sum + r.amountKobo, 0);
+  printDocument(
+    `Payment schedule — ${title}`,
+    `<h1>Kinglaw Paradise Builders — Payment schedule</h1>
+<p><strong>${escapeHtml(title)}</strong>${reference ? ` <span class="muted">(${escapeHtml(reference)})</span>` : ""}<br>${escapeHtml(planLabel(plan))}</p>
+<table><thead><tr><th>Payment</th><th>Due date</th><th class="num">Amount</th><th>Status</th></tr></thead><tbody>
+${rows
+  .map(
+    (r) =>
+      `<tr><td>${paymentLabel(r)}</td><td>${escapeHtml(formatDate(r.dueDate, false))}</td><td class="num">${escapeHtml(formatMoney(r.amountKobo))}</td><td>${r.paidAt ? `Paid ${escapeHtml(formatDate(r.paidAt, false))}` : ""}</td></tr>`
+  )
+  .join("")}
+</tbody><tfoot><tr><th colspan="2">Total</th><th class="num">${escapeHtml(formatMoney(total))}</th><th></th></tr></tfoot></table>`
+  );
+}
+
+function InstallmentCalculator({ item }) {
+  const { user } = useAuth();
+  const signInFirst = useSignInFirst();
+  const listed = item.price && !item.price.onRequest ? item.price.amountKobo : null;
+  const [planId, setPlanId] = useState(item.installments[0].id);
+  const [amount, setAmount] = useState(listed ? String(listed / 100) : "");
+  const [showAll, setShowAll] = useState(false);
+  const [error, setError] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [pending, setPending] = useState(false);
+  const [signedUp, setSignedUp] = useState(null);
+  const plan = item.installments.find((p) => p.id === planId) || item.installments[0];
+  const settledAmount = useDebouncedValue(amount, 400);
+  const priceKobo = listed || Math.round(Number(settledAmount) * 100);
+  // the API works the schedule out, so the preview always matches what sign-up stores
+  const preview = useApi(
+    priceKobo > 0
+      ? `/installments/preview?${new URLSearchParams({ listingId: item.id, planId: plan.id, amount: listed ? "" : settledAmount })}`
+      : null
+  );
+  const rows = priceKobo > 0 ? preview.data?.schedule || [] : [];
+  const total = rows.reduce((sum, r) => sum + r.amountKobo, 0);
+  // the shown schedule is for the previous plan or price until the new one arrives
+  const stale = preview.loading || amount !== settledAmount;
+
+  async function signUp() {
+    setError("");
+    setFieldErrors({});
+    setPending(true);
+    try {
+      const data = await api("/installments", {
+        method: "POST",
+        body: { listingId: item.id, planId: plan.id, amount: listed ? undefined : Number(amount) },
+      });
+      setSignedUp(data.installment);
+    } catch (err) {
+      setError(err.message);
+      setFieldErrors(err.fields || {});
+    } finally {
+      setPending(false);
+    }
+  }
+
+  return (
+    <div className="mt-8">
+      <h3 className="mb-2 text-lg font-bold">Pay in installments</h3>
+      <div className="grid gap-4 rounded-2xl border bg-white p-4 md:grid-cols-2">
+        <div className="space-y-3">
+          <div className="space-y-2" role="radiogroup" aria-label="Installment plan">
+            {item.installments.map((p) => (
+              <label key={p.id} className={`flex cursor-pointer items-center gap-2 rounded-xl border px-3 py-2 text-sm ${p.id === plan.id ? "border-black" : ""}`}>
+                <input type="radio" name="plan" checked={p.id === plan.id} onChange={() => setPlanId(p.id)} />
+                {planLabel(p)}
+              </label>
+            ))}
+          </div>
+          {!listed && (
+            <div>
+              <label className="text-sm font-medium">Agreed price (₦)</label>
+              <input
+                type="number"
+                min={1}
+                value={amount}
+                onChange={(e) => setAmount(e.target.value)}
+                className="mt-1 w-full rounded-xl border px-3 py-2 text-sm"
+              />
+              <FieldHint error={fieldErrors.amount} hint="This listing is priced on request. Enter the price agreed with our agent." />
+            </div>
+          )}
+        </div>
+        {rows.length > 0 ? (
+          <div className="text-sm">
+            <dl className={`grid grid-cols-2 gap-y-1 transition-opacity ${stale ? "opacity-40" : ""}`} aria-busy={stale}>
+              <dt className="text-gray-600">Deposit today</dt>
+              <dd className="text-right font-semibold">{formatMoney(rows[0].amountKobo)}</dd>
+              <dt className="text-gray-600">Monthly × {rows.length - 1}</dt>
+              <dd className="text-right font-semibold">{formatMoney(rows[1].amountKobo)}</dd>
+              <dt className="text-gray-600">Markup</dt>
+              <dd className="text-right">{formatMoney(total - preview.data.priceKobo)}</dd>
+              <dt className="font-semibold">Total cost</dt>
+              <dd className="text-right text-lg font-bold">{formatMoney(total)}</dd>
+            </dl>
+            <table className={`mt-3 w-full text-xs transition-opacity ${stale ? "opacity-40" : ""}`}>
+              <tbody>
+                {(showAll ? rows : rows.slice(0, 4)).map((r) => (
+                  <tr key={r.n} className="border-t">
+                    <td className="py-1">{paymentLabel(r)}</td>
+                    <td className="py-1 text-gray-600">{formatDate(r.dueDate, false)}</td>
+                    <td className="py-1 text-right">{formatMoney(r.amountKobo)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {rows.length > 4 && (
+              <button onClick={() => setShowAll(!showAll)} className="mt-1 text-xs font-semibold underline">
+                {showAll ? "Show less" : `Show all ${rows.length} payments`}
+              </button>
+            )}
+            <FormError message={error} />
+            {signedUp ? (
+              <p className="mt-3 text-sm text-gray-700">
+                Signed up — ref {signedUp.ref}. Track your payments in your{" "}
+                <Link to="/dashboard" className="font-semibold underline">dashboard</Link>.
+              </p>
+            ) : (
+              <div className="mt-3 flex flex-wrap gap-2">
+                <button
+                  disabled={pending || stale}
+                  onClick={() => signInFirst(signUp)}
+                  className="rounded-xl bg-black px-4 py-2 text-xs font-semibold text-white disabled:opacity-60"
+                >
+                  {pending ? "Signing up..." : user ? "Sign up for this plan" : "Sign in to sign up"}
+                </button>
+                <button
+                  disabled={stale}
+                  onClick={() => printSchedule({ title: item.title, reference: item.ref, plan, rows })}
+                  className="rounded-xl border px-4 py-2 text-xs font-semibold disabled:opacity-60"
+                >
+                  Print schedule
+                </button>
+              </div>
+            )}
+          </div>
+        ) : preview.error ? (
+          <FormError message={preview.error.message} />
+        ) : (
+          <p className="text-sm text-gray-600">
+            {priceKobo > 0 ? "Working out the schedule..." : "Enter the agreed price to see the schedule."}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function InstallmentList({ state }) {
+  const { user } = useAuth();
+  const staff = user.role === "staff";
+  const [error, setError] = useState("");
+
+  async function post(i, path, body = {}) {
+    setError("");
+    try {
+      await api(`/installments/${i.id}/${path}`, { method: "POST", body });
+      state.reload();
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  const btn = "rounded-lg border px-2 py-0.5 text-[11px] font-semibold";
+  return (
+    <ApiState
+      state={state}
+      isEmpty={(d) => !d?.installments.length}
+      empty="No installment plans yet. Lands and properties with payment options show a calculator on their page."
+    >
+      <FormError message={error} />
+      <div className="mt-2 grid gap-4 md:grid-cols-2">
+        {state.data?.installments.map((i) => {
+          const paid = i.schedule.filter((r) => r.paidAt);
+          const paidKobo = paid.reduce((sum, r) => sum + r.amountKobo, 0);
+          const totalKobo = i.schedule.reduce((sum, r) => sum + r.amountKobo, 0);
+          const overdue = i.schedule.filter((r) => paymentStatus(r) === "overdue").length;
+          const next = i.schedule.find((r) => !r.paidAt);
+          const open = ["pending", "active"].includes(i.status);
+          return (
+            <Card key={i.id}>
+              <div className="flex items-center justify-between gap-2">
+                <div className="text-sm font-semibold">
+                  {i.listing.title} <span className="font-normal text-gray-500">• {i.ref}</span>
+                </div>
+                <StatusBadge status={i.status} />
+              </div>
+              <div className="text-xs text-gray-500">
+                {planLabel(i.plan)} • {formatMoney(i.price.amountKobo)}{i.price.agreed && " agreed"}
+                {staff && ` • ${i.customer}`}
+              </div>
+              <div className="mt-3 flex items-center gap-3">
+                <ProgressBar percent={Math.round((paidKobo / totalKobo) * 100)} />
+                <span className="shrink-0 text-xs font-semibold">{formatMoney(paidKobo)} of {formatMoney(totalKobo)}</span>
+              </div>
+              <div className="mt-1 text-xs text-gray-600">
+                {overdue > 0 && <span className="font-semibold text-red-600">{overdue} overdue • </span>}
+                {next && open ? `Next: ${formatMoney(next.amountKobo)} due ${formatDate(next.dueDate, false)}` : null}
+              </div>
+              <details className="mt-2">
+                <summary className="cursor-pointer text-xs font-semibold">Payment schedule</summary>
+                <table className="mt-2 w-full text-xs">
+                  <tbody>
+                    {i.schedule.map((r) => (
+                      <tr key={r.n} className="border-t">
+                        <td className="py-1">{paymentLabel(r)}</td>
+                        <td className="py-1 text-gray-600">{formatDate(r.dueDate, false)}</td>
+                        <td className="py-1 text-right">{formatMoney(r.amountKobo)}</td>
+                        <td className="py-1 pl-2 text-right">
+                          {i.status === "cancelled" ? null : <StatusBadge status={paymentStatus(r)} />}
+                        </td>
+                        {staff && i.status !== "cancelled" && (
+                          <td className="py-1 pl-2 text-right">
+                            <button onClick={() => post(i, `payments/${r.n}`, { paid: !r.paidAt })} className={btn}>
+                              {r.paidAt ? "Undo" : "Mark paid"}
+                            </button>
+                          </td>
+                        )}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </details>
+              <div className="mt-3 flex flex-wrap gap-2">
+                <button
+                  onClick={() => printSchedule({ title: i.listing.title, reference: i.ref, plan: i.plan, rows: i.schedule })}
+                  className="rounded-xl border px-3 py-1 text-xs font-semibold"
+                >
+                  Print schedule
+                </button>
+                {(staff ? open : i.status === "pending") && (
+                  <button onClick={() => post(i, "cancel")} className="rounded-xl border px-3 py-1 text-xs font-semibold text-red-600">
+                    Cancel plan
+                  </button>
+                )}
+              </div>
+            </Card>
+          );
+        })}
+      </div>
+    </ApiState>
+  );
+}
+
+/* ====================== PLAN SALES ====================== */
+const planOnSale = (p) => !!(p.price?.amountKobo && p.sheets?.length);
+
+/* "4 Beds • 1 Floor • Plot 15 × 21 m • 1 sheet" */
+function planFacts(p) {
+  const n = p.sheets?.length || 0;
+  return [
+    p.beds && `${p.beds} ${p.beds === 1 ? "Bed" : "Beds"}`,
+    p.floors && `${p.floors} ${p.floors === 1 ? "Floor" : "Floors"}`,
+    p.plotSize && `Plot ${p.plotSize}`,
+    n > 0 && `${n} ${n === 1 ? "sheet" : "sheets"}`,
+  ].filter(Boolean);
+}
+
+function PlanIncluded({ plan }) {
+  return (
+    <div className="mt-8">
+      <h3 className="mb-2 text-lg font-bold">What's included</h3>
+      <p className="text-sm text-gray-600">{planFacts(plan).join(" • ")}</p>
+      {plan.sheets?.length > 0 && (
+        <ol className="mt-2 list-decimal pl-5 text-sm text-gray-700">
+          {plan.sheets.map((title) => <li key={title}>{title}</li>)}
+        </ol>
+      )}
+      <p className="mt-2 text-xs text-gray-500">
+        The preview is low resolution and watermarked. Buyers download every sheet at full size as one PDF, licensed to them for a
+        single build.
+      </p>
+    </div>
+  );
+}
+
+function BuyPlanButton({ plan }) {
+  const signInFirst = useSignInFirst();
+  const [open, setOpen] = useState(false);
+  return (
+    <>
+      <button onClick={() => signInFirst(() => setOpen(true))} className="rounded-xl bg-black px-4 py-2 text-sm font-semibold text-white">
+        Buy Plan
+      </button>
+      {open && <PlanPurchaseDialog plan={plan} onClose={() => setOpen(false)} />}
+    </>
+  );
+}
+
+function PlanPurchaseDialog({ plan, onClose }) {
+  const [purchase, setPurchase] = useState(null);
+  const [error, setError] = useState("");
+  const [pending, setPending] = useState(false);
+
+  async function order() {
+    setError("");
+    setPending(true);
+    try {
+      setPurchase((await api("/plan-purchases", { method: "POST", body: { listingId: plan.id } })).purchase);
+    } catch (err) {
+      setError(err.message);
+    }
+    setPending(false);
+  }
+
+  return (
+    <Modal title={`Buy ${plan.title}`} onClose={onClose}>
+      {purchase ? (
+        <div className="space-y-3 text-sm">
+          <p>
+            Order <strong>{purchase.ref}</strong> placed. Pay <strong>{formatMoney(purchase.amountKobo)}</strong> by bank transfer or at our
+            office, quoting {purchase.ref}.
+          </p>
+          <p className="text-gray-600">Once we confirm your payment, the PDF download appears in your dashboard.</p>
+          <Link to="/dashboard" className="inline-block rounded-xl bg-black px-4 py-2 text-sm font-semibold text-white">
+            Go to dashboard
+          </Link>
+        </div>
+      ) : (
+        <div className="space-y-3 text-sm">
+          <div className="text-2xl font-bold">{formatMoney(plan.price.amountKobo)}</div>
+          <p className="text-gray-600">
+            {plan.ref} • {planFacts(plan).join(" • ")}
+          </p>
+          <p className="text-xs text-gray-500">
+            The download link is tied to your account and expires after 72 hours; you can get a new one from your dashboard. Every page is
+            stamped with your name.
+          </p>
+          <FormError message={error} />
+          <button onClick={order} disabled={pending} className="w-full rounded-xl bg-black px-4 py-2 text-sm font-semibold text-white disabled:opacity-60">
+            {pending ? "Placing order..." : "Place order"}
+          </button>
+        </div>
+      )}
+    </Modal>
+  );
+}
+
+function PlanPurchaseList({ state }) {
+  const { user } = useAuth();
+  const staff = user.role === "staff";
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(null);
+
+  async function run(p, action) {
+    setError("");
+    setBusy(p.id);
+    try {
+      await action();
+      state.reload();
+    } catch (err) {
+      setError(`${p.ref}: ${err.message}`);
+    }
+    setBusy(null);
+  }
+  const setStatus = (p, status) => run(p, () => api(`/plan-purchases/${p.id}/status`, { method: "POST", body: { status } }));
+  const newLink = (p) => run(p, () => api(`/plan-purchases/${p.id}/link`, { method: "POST", body: {} }));
+  const download = (p) =>
+    run(p, async () => downloadFile(`${p.plan.ref}.pdf`, await api(`/plan-downloads/${p.download.token}`, { blob: true }), "application/pdf"));
+
+  const btn = "rounded-xl border px-3 py-1 text-xs font-semibold disabled:opacity-60";
+  return (
+    <ApiState
+      state={state}
+      isEmpty={(d) => !d?.purchases.length}
+      empty={staff ? "No plan orders yet." : "You have not bought any plans yet. Browse the Plans page to find one."}
+    >
+      <FormError message={error} />
+      <div className="space-y-2">
+        {state.data?.purchases.map((p) => {
+          const expired = p.download && p.download.expiresAt < new Date().toISOString();
+          return (
+            <div key={p.id} className="flex flex-wrap items-center justify-between gap-2 rounded-xl border p-3 text-sm">
+              <div>
+                <div className="font-semibold">
+                  {p.plan.title} <span className="font-normal text-gray-500">• {p.ref}</span>
+                </div>
+                <div className="text-xs text-gray-500">
+                  {formatMoney(p.amountKobo)} • ordered {formatDate(p.createdAt, false)}
+                  {staff && ` • ${p.buyer.name} (${p.buyer.email})`}
+                  {p.downloads.length > 0 && ` • downloaded ${p.downloads.length}×`}
+                </div>
+                {!staff && p.status === "pending" && (
+                  <div className="text-xs text-gray-500">Pay by transfer or at our office quoting {p.ref}; the download unlocks once we confirm.</div>
+                )}
+                {!staff && p.status === "paid" && (
+                  <div className="text-xs text-gray-500">
+                    {expired ? "Download link expired" : `Download link valid until ${formatDate(p.download.expiresAt)}`}
+                  </div>
+                )}
+              </div>
+              <div className="flex flex-wrap items-center gap-2">
+                <StatusBadge status={p.status} />
+                {p.status === "pending" && staff && (
+                  <button disabled={busy === p.id} onClick={() => setStatus(p, "paid")} className="rounded-xl bg-black px-3 py-1 text-xs font-semibold text-white disabled:opacity-60">
+                    Confirm payment
+                  </button>
+                )}
+                {p.status === "pending" && (
+                  <button disabled={busy === p.id} onClick={() => setStatus(p, "cancelled")} className={`${btn} text-red-600`}>
+                    {staff ? "Cancel" : "Cancel order"}
+                  </button>
+                )}
+                {p.status === "paid" && !staff && (
+                  <button disabled={busy === p.id} onClick={() => (expired ? newLink(p) : download(p))} className="rounded-xl bg-black px-3 py-1 text-xs font-semibold text-white disabled:opacity-60">
+                    {busy === p.id ? "Preparing..." : expired ? "Get new link" : "Download PDF"}
+                  </button>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </ApiState>
+  );
+}
+
+/* ====================== DESIGN BRIEFS ====================== */
+const DESIGN_STYLES = [
+  { id: "modern", label: "Modern" },
+  { id: "contemporary", label: "Contemporary" },
+  { id: "classic", label: "Classic" },
+  { id: "mediterranean", label: "Mediterranean" },
+  { id: "minimalist", label: "Minimalist" },
+];
+const styleLabel = (id) => DESIGN_STYLES.find((s) => s.id === id)?.label || id;
+const uploadSlides = (files, caption) => files.map((f) => ({ src: uploadUrl(f.id), caption }));
+
+function useDesignBrief() {
+  const signInFirst = useSignInFirst();
+  const [design, setDesign] = useState(null);
+  const open = (item) => signInFirst(() => setDesign(item));
+  const dialog = design && <DesignBriefDialog design={design} onClose={() => setDesign(null)} />;
+  return { open, dialog };
+}
+
+function DesignBriefDialog({ design, onClose }) {
+  const catalog = useCatalog();
+  const [references, setReferences] = useState([]);
+  const [sketch, setSketch] = useState([]);
+  const [opened, setOpened] = useState(null);
+  const { error, fieldErrors, pending, handleSubmit } = useFormSubmit(
+    async (form) => {
+      const data = await api("/design-briefs", {
+        method: "POST",
+        body: { ...Object.fromEntries(form), references: references.map((f) => f.id), sketch: sketch.map((f) => f.id) },
+      });
+      setOpened(data.brief);
+    },
+    () => {}
+  );
+
+  if (opened) {
+    return (
+      <Modal title="Brief sent" onClose={onClose}>
+        <p className="text-sm text-gray-700">
+          Ref {opened.ref}. Our designers will post the first renders to your dashboard, where you can approve them or ask for changes.
+        </p>
+        <div className="mt-4 flex gap-2">
+          <Link to="/dashboard" className="rounded-xl bg-black px-4 py-2 text-sm font-semibold text-white">Go to dashboard</Link>
+          <button onClick={onClose} className="rounded-xl border px-4 py-2 text-sm font-semibold">Done</button>
+        </div>
+      </Modal>
+    );
+  }
+
+  const input = "mt-1 w-full rounded-xl border px-3 py-2 text-sm";
+  return (
+    <Modal title="Request renders" onClose={onClose}>
+      <form onSubmit={handleSubmit} className="space-y-3">
+        <div>
+          <label className="text-sm font-medium">Starting design</label>
+          <select name="listingId" defaultValue={design.id} className={input}>
+            {catalog.designs.map((d) => <option key={d.id} value={d.id}>{d.title} • {d.ref}</option>)}
+          </select>
+          <FieldHint error={fieldErrors.listingId} />
+        </div>
+        <div className="grid grid-cols-2 gap-3">
+          <FormField field={{ name: "plotWidth", label: "Plot width (m)", type: "number", required: true, min: 1 }} error={fieldErrors.plotWidth} />
+          <FormField field={{ name: "plotLength", label: "Plot length (m)", type: "number", required: true, min: 1 }} error={fieldErrors.plotLength} />
+          <FormField field={{ name: "floors", label: "Floors", type: "number", required: true, min: 1, max: 10, defaultValue: 1 }} error={fieldErrors.floors} />
+          <div>
+            <label className="text-sm font-medium">Style</label>
+            <select name="style" required defaultValue="" className={input}>
+              <option value="" disabled>Choose...</option>
+              {DESIGN_STYLES.map((s) => <option key={s.id} value={s.id}>{s.label}</option>)}
+            </select>
+            <FieldHint error={fieldErrors.style} />
+          </div>
+        </div>
+        <FormField
+          field={{ name: "notes", label: "Your brief", type: "textarea", placeholder: "Rooms, finishes, colours, what you like about the design..." }}
+        />
+        <FileUploadField label="Reference images" hint="Photos of buildings or details you like." max={8} value={references} onChange={setReferences} />
+        <FileUploadField
+          label="Hand sketch"
+          hint="A photo or scan of your sketch, if you have one."
+          accept="image/*,application/pdf"
+          max={1}
+          value={sketch}
+          onChange={setSketch}
+        />
+        <FormField field={{ name: "phone", label: "Phone number", type: "tel", required: true }} error={fieldErrors.phone} />
+        <FormError message={error} />
+        <button disabled={pending} className="w-full rounded-xl bg-black px-4 py-2 text-sm font-semibold text-white disabled:opacity-60">
+          {pending ? "Sending..." : "Send brief"}
+        </button>
+      </form>
+    </Modal>
+  );
+}
+
+function DesignBriefList({ state }) {
+  return (
+    <ApiState
+      state={state}
+      isEmpty={(d) => !d?.briefs.length}
+      empty="No design briefs yet. Pick a design on the Designs page and choose Request Renders."
+    >
+      <div className="space-y-3">
+        {state.data?.briefs.map((b) => <DesignBriefView key={b.id} brief={b} onChange={state.reload} />)}
+      </div>
+    </ApiState>
+  );
+}
+
+/* One brief: what was asked for, then every round of renders with the client's answer */
+function DesignBriefView({ brief: b, onChange }) {
+  const { user } = useAuth();
+  const { showSet } = useLightbox();
+  const staff = user.role === "staff";
+  const mine = b.userId === user.id;
+  const [posting, setPosting] = useState(false);
+  const [comment, setComment] = useState("");
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+  const latest = b.rounds[b.rounds.length - 1];
+
+  async function post(path, body) {
+    setError("");
+    setBusy(true);
+    try {
+      await api(`/design-briefs/${b.id}/${path}`, { method: "POST", body });
+      setComment("");
+      onChange();
+    } catch (err) {
+      setError(err.message);
+    }
+    setBusy(false);
+  }
+
+  const thumbs = (files, caption) => (
+    <div className="mt-2 flex flex-wrap gap-2">
+      {files.map((f, i) =>
+        f.type === "application/pdf" ? (
+          <a key={f.id} href={uploadUrl(f.id)} target="_blank" rel="noreferrer" className="text-xs underline">
+            {f.name}
+          </a>
+        ) : (
+          <ImageTile
+            key={f.id}
+            src={uploadUrl(f.id)}
+            alt={f.name}
+            className="h-16 w-20"
+            onClick={() => showSet(uploadSlides(files, caption), i)}
+          />
+        )
+      )}
+    </div>
+  );
+
+  const btn = "rounded-xl border px-3 py-1 text-xs font-semibold disabled:opacity-60";
+  return (
+    <Card>
+      <div className="flex items-center justify-between gap-2">
+        <div className="text-sm font-semibold">
+          {b.design.title} <span className="font-normal text-gray-500">• {b.ref}</span>
+        </div>
+        <StatusBadge status={b.status} />
+      </div>
+      <div className="text-xs text-gray-500">
+        Plot {b.plot.width} × {b.plot.length} m • {b.floors} {b.floors === 1 ? "floor" : "floors"} • {styleLabel(b.style)}
+        {staff && ` • ${b.customer} • ${b.phone}`}
+      </div>
+      {b.notes && <p className="mt-2 whitespace-pre-line text-xs text-gray-700">{b.notes}</p>}
+      {(b.references.length > 0 || b.sketch) && (
+        <details className="mt-2">
+          <summary className="cursor-pointer text-xs font-semibold">
+            References{b.sketch ? " and sketch" : ""} ({b.references.length + (b.sketch ? 1 : 0)})
+          </summary>
+          {thumbs([...b.references, ...(b.sketch ? [b.sketch] : [])], `${b.ref} • brief`)}
+        </details>
+      )}
+
+      {b.rounds.length > 0 && (
+        <ol className="mt-3 space-y-3 border-l pl-4">
+          {b.rounds.slice().reverse().map((r) => (
+            <li key={r.n} className="text-xs">
+              <div className="font-semibold">
+                Round {r.n} <span className="font-normal text-gray-500">• {formatDate(r.postedAt)}</span>
+              </div>
+              {r.note && <p className="mt-1 whitespace-pre-line text-gray-700">{r.note}</p>}
+              {thumbs(r.renders, `${b.design.title} • round ${r.n}`)}
+              {r.response && (
+                <p className={`mt-2 ${r.response.decision === "approved" ? "text-green-700" : "text-amber-700"}`}>
+                  {r.response.decision === "approved" ? "Approved" : "Changes requested"} • {formatDate(r.response.at)}
+                  {r.response.comment && <span className="block whitespace-pre-line text-gray-700">“{r.response.comment}”</span>}
+                </p>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+      {b.status === "submitted" && <p className="mt-2 text-xs text-gray-500">Waiting for the first renders.</p>}
+
+      {mine && b.status === "in-review" && (
+        <div className="mt-3 space-y-2">
+          <textarea
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            rows={2}
+            placeholder={`Comments on round ${latest.n} (needed to ask for changes)`}
+            className="w-full rounded-xl border px-3 py-2 text-xs"
+          />
+          <div className="flex flex-wrap gap-2">
+            <button disabled={busy} onClick={() => post("response", { decision: "approved", comment })} className="rounded-xl bg-black px-3 py-1 text-xs font-semibold text-white disabled:opacity-60">
+              Approve round {latest.n}
+            </button>
+            <button disabled={busy || !comment.trim()} onClick={() => post("response", { decision: "changes", comment })} className={btn}>
+              Request changes
+            </button>
+          </div>
+        </div>
+      )}
+      <FormError message={error} />
+      <div className="mt-3 flex flex-wrap gap-2">
+        {staff && ["submitted", "revising"].includes(b.status) && (
+          <button onClick={() => setPosting(true)} className="rounded-xl bg-black px-3 py-1 text-xs font-semibold text-white">
+            Post round {b.rounds.length + 1} renders
+          </button>
+        )}
+        {(staff || mine) && !["approved", "cancelled"].includes(b.status) && (
+          <button
+            disabled={busy}
+            onClick={() => window.confirm(`Cancel brief ${b.ref}?`) && post("cancel", {})}
+            className={`${btn} text-red-600`}
+          >
+            Cancel brief
+          </button>
+        )}
+      </div>
+      {posting && (
+        <RendersDialog
+          brief={b}
+          onClose={() => setPosting(false)}
+          onDone={() => {
+            setPosting(false);
+            onChange();
+          }}
+        />
+      )}
+    </Card>
+  );
+}
+
+function RendersDialog({ brief, onClose, onDone }) {
+  const [renders, setRenders] = useState([]);
+  const { error, fieldErrors, pending, handleSubmit } = useFormSubmit(
+    (form) =>
+      api(`/design-briefs/${brief.id}/rounds`, {
+        method: "POST",
+        body: { note: form.get("note"), renders: renders.map((f) => f.id) },
+      }),
+    onDone
+  );
+  const last = brief.rounds[brief.rounds.length - 1];
+  return (
+    <Modal title={`Round ${brief.rounds.length + 1} renders — ${brief.ref}`} onClose={onClose}>
+      <form onSubmit={handleSubmit} className="space-y-3">
+        {last?.response?.comment && (
+          <p className="rounded-xl border bg-amber-50 px-3 py-2 text-xs text-amber-800">Client asked: “{last.response.comment}”</p>
+        )}
+        <FileUploadField label="Renders" hint="JPG, PNG or WebP." max={12} value={renders} onChange={setRenders} />
+        <FieldHint error={fieldErrors.renders} />
+        <FormField field={{ name: "note", label: "Note to the client", type: "textarea" }} />
+        <FormError message={error} />
+        <button disabled={pending} className="w-full rounded-xl bg-black px-4 py-2 text-sm font-semibold text-white disabled:opacity-60">
+          {pending ? "Posting..." : "Post renders"}
+        </button>
+      </form>
+    </Modal>
+  );
+}
+
+/* ====================== TENANCIES ====================== */
+const LEDGER_KINDS = {
+  rent: "Rent",
+  "service-charge": "Service charge",
+  caution: "Caution deposit",
+  "caution-refund": "Caution refund",
+};
+const RENEWAL_WINDOW_DAYS = 60;
+
+const currentTerm = (t) => t.terms[t.terms.length - 1];
+const daysLeft = (date) => Math.round((Date.parse(date) - Date.parse(todayIso())) / (24 * 60 * 60 * 1000));
+
+/* Default lease ends, e.g. "2026-01-31" + 1 month -> "2026-02-28" */
+function addMonths(date, n) {
+  const [y, m, d] = date.split("-").map(Number);
+  const lastDay = new Date(Date.UTC(y, m - 1 + n + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(y, m - 1 + n, Math.min(d, lastDay))).toISOString().slice(0, 10);
+}
+
+/* What the tenant owes over all terms against what the ledger shows paid */
+function tenancyBalance(t) {
+  const sum = (kind) => t.ledger.filter((e) => e.kind === kind).reduce((n, e) => n + e.amountKobo, 0);
+  const expected = t.terms.reduce((n, term) => n + term.rentKobo + term.serviceChargeKobo, 0) + t.cautionKobo;
+  const paid = sum("rent") + sum("service-charge") + sum("caution");
+  return { expected, paid, outstanding: Math.max(expected - paid, 0), refunded: sum("caution-refund") };
+}
+
+const AGREEMENT_TEMPLATE = `<h1>Tenancy Agreement</h1>
+<p>This agreement is made on {{date}} between <strong>Kinglaw Paradise Builders Ltd</strong> (the "Agent"), acting for the
+Landlord, and <strong>{{tenant}}</strong> (phone {{phone}}) (the "Tenant").</p>
+<h2>1. Premises</h2>
+<p>{{premises}} (listing {{listingRef}}).</p>
+<h2>2. Term</h2>
+<p>From {{start}} to {{end}}.</p>
+<h2>3. Rent and charges</h2>
+<p>Annual rent of <strong>{{rent}}</strong> and a service charge of <strong>{{serviceCharge}}</strong> per year, both payable in
+advance. A caution deposit of <strong>{{caution}}</strong> is refundable when the tenancy ends, less the cost of any damage
+beyond fair wear and tear.</p>
+<h2>4. The Tenant agrees</h2>
+<ol><li>To pay the rent and service charge when due.</li><li>To keep the premises clean and in tenantable repair.</li>
+<li>Not to sublet or part with possession without written consent.</li><li>Not to alter the structure without written consent.</li>
+<li>To use the premises as a private residence only.</li></ol>
+<h2>5. The Landlord agrees</h2>
+<ol><li>To allow the Tenant quiet enjoyment of the premises.</li><li>To carry out structural and external repairs.</li></ol>
+<h2>6. Renewal and notice</h2>
+<p>Renewal is by agreement before {{end}}. Either party may end the tenancy by giving the notice required by law.</p>
+<table class="sign"><tr><td>______________________<br>For the Landlord / Agent</td><td>______________________<br>{{tenant}} (Tenant)</td></tr></table>
+<p class="muted">Reference {{ref}}</p>`;
+
+/* Fills {{name}} placeholders; values are escaped */
+const fillTemplate = (template, values) => template.replace(/{{(\w+)}}/g, (_, k) => escapeHtml(values[k]));
+
+function printAgreement(t) {
+  const term = currentTerm(t);
+  printDocument(
+    `Tenancy agreement — ${t.ref}`,
+    fillTemplate(AGREEMENT_TEMPLATE, {
+      date: formatDate(term.start, false),
+      tenant: t.tenant.name,
+      phone: t.tenant.phone,
+      premises: t.listing.title,
+      listingRef: t.listing.ref,
+      start: formatDate(term.start, false),
+      end: formatDate(term.end, false),
+      rent: formatMoney(term.rentKobo),
+      serviceCharge: formatMoney(term.serviceChargeKobo),
+      caution: formatMoney(t.cautionKobo),
+      ref: t.ref,
+    })
+  );
+}
+
+function TenancyList({ state, onChange }) {
+  return (
+    <ApiState state={state} isEmpty={(d) => !d?.tenancies.length} empty="No tenancies here.">
+      <div className="grid gap-4 md:grid-cols-2">
+        {state.data?.tenancies.map((t) => (
+          <TenancyView key={t.id} tenancy={t} onChange={onChange || state.reload} />
+        ))}
+      </div>
+    </ApiState>
+  );
+}
+
+function TenancyView({ tenancy: t, onChange }) {
+  const { user } = useAuth();
+  const staff = user.role === "staff";
+  const [dialog, setDialog] = useState(null); // "payment" | "renew"
+  const [error, setError] = useState("");
+  const term = currentTerm(t);
+  const left = daysLeft(term.end);
+  const balance = tenancyBalance(t);
+
+  async function endNow() {
+    if (!window.confirm(`End ${t.ref} today and put ${t.listing.title} back on the Rentals page?`)) return;
+    setError("");
+    try {
+      await api(`/tenancies/${t.id}/end`, { method: "POST", body: {} });
+      onChange();
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  const btn = "rounded-xl border px-3 py-1 text-xs font-semibold";
+  return (
+    <Card>
+      <div className="flex items-center justify-between gap-2">
+        <div className="text-sm font-semibold">
+          {t.listing.title} <span className="font-normal text-gray-500">• {t.ref}</span>
+        </div>
+        <StatusBadge status={t.status} />
+      </div>
+      <div className="text-xs text-gray-500">
+        {t.tenant.name} • {t.tenant.phone}
+        {t.tenant.email && ` • ${t.tenant.email}`}
+      </div>
+      {t.status === "active" && left <= RENEWAL_WINDOW_DAYS && (
+        <div className={`mt-2 rounded-xl border px-3 py-2 text-xs font-semibold ${STATUS_TONES[left <= 7 ? "red" : "amber"]}`}>
+          Lease ends in {left} {left === 1 ? "day" : "days"} — renewal due
+        </div>
+      )}
+      <dl className="mt-3 grid grid-cols-2 gap-x-3 gap-y-1 text-xs">
+        <dt className="text-gray-500">Lease</dt>
+        <dd>{formatDate(term.start, false)} – {formatDate(term.end, false)}{t.terms.length > 1 && ` (term ${t.terms.length})`}</dd>
+        <dt className="text-gray-500">Annual rent</dt>
+        <dd>{formatMoney(term.rentKobo)}</dd>
+        <dt className="text-gray-500">Service charge</dt>
+        <dd>{formatMoney(term.serviceChargeKobo)} / year</dd>
+        <dt className="text-gray-500">Caution deposit</dt>
+        <dd>{formatMoney(t.cautionKobo)}{balance.refunded > 0 && ` (${formatMoney(balance.refunded)} refunded)`}</dd>
+        <dt className="font-semibold">Outstanding</dt>
+        <dd className={`font-semibold ${balance.outstanding ? "text-red-600" : "text-green-700"}`}>{formatMoney(balance.outstanding)}</dd>
+      </dl>
+      <details className="mt-2">
+        <summary className="cursor-pointer text-xs font-semibold">Payment ledger ({t.ledger.length})</summary>
+        {t.ledger.length === 0 ? (
+          <p className="mt-1 text-xs text-gray-500">No payments recorded yet.</p>
+        ) : (
+          <table className="mt-2 w-full text-xs">
+            <tbody>
+              {t.ledger.map((e) => (
+                <tr key={e.id} className="border-t">
+                  <td className="py-1 text-gray-600">{formatDate(e.date, false)}</td>
+                  <td className="py-1">{LEDGER_KINDS[e.kind]}{e.note && <span className="text-gray-500"> • {e.note}</span>}</td>
+                  <td className="py-1 text-right">{e.kind === "caution-refund" ? "−" : ""}{formatMoney(e.amountKobo)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </details>
+      <FormError message={error} />
+      <div className="mt-3 flex flex-wrap gap-2">
+        <button onClick={() => printAgreement(t)} className={btn}>Tenancy agreement</button>
+        {staff && t.status === "active" && (
+          <>
+            <button onClick={() => setDialog("payment")} className="rounded-xl bg-black px-3 py-1 text-xs font-semibold text-white">Record payment</button>
+            <button onClick={() => setDialog("renew")} className={btn}>Renew</button>
+            <button onClick={endNow} className={`${btn} text-red-600`}>End tenancy</button>
+          </>
+        )}
+      </div>
+      {dialog === "payment" && (
+        <TenancyPaymentDialog tenancy={t} onClose={() => setDialog(null)} onDone={() => { setDialog(null); onChange(); }} />
+      )}
+      {dialog === "renew" && (
+        <RenewTenancyDialog tenancy={t} onClose={() => setDialog(null)} onDone={() => { setDialog(null); onChange(); }} />
+      )}
+    </Card>
+  );
+}
+
+function NewTenancyDialog({ onClose, onDone }) {
+  const catalog = useCatalog();
+  const { error, fieldErrors, pending, handleSubmit } = useFormSubmit(
+    (form) => api("/tenancies", { method: "POST", body: Object.fromEntries(form) }),
+    onDone
+  );
+  const start = todayIso();
+  return (
+    <Modal title="New tenancy" onClose={onClose}>
+      <form onSubmit={handleSubmit} className="space-y-3">
+        <div>
+          <label className="text-sm font-medium">Flat</label>
+          <select name="listingId" required defaultValue="" className="mt-1 w-full rounded-xl border px-3 py-2 text-sm">
+            <option value="" disabled>Choose a listed rental...</option>
+            {catalog.rentals.map((r) => <option key={r.id} value={r.id}>{r.title} • {r.ref}</option>)}
+          </select>
+          <FieldHint error={fieldErrors.listingId} />
+        </div>
+        <FormField field={{ name: "tenantName", label: "Tenant's full name", required: true }} error={fieldErrors.tenantName} />
+        <div className="grid grid-cols-2 gap-3">
+          <FormField field={{ name: "tenantPhone", label: "Phone", type: "tel", required: true }} error={fieldErrors.tenantPhone} />
+          <FormField field={{ name: "tenantEmail", label: "Email", type: "email", hint: "Lets the tenant see this in their dashboard." }} error={fieldErrors.tenantEmail} />
+          <FormField field={{ name: "leaseStart", label: "Lease start", type: "date", required: true, defaultValue: start }} error={fieldErrors.leaseStart} />
+          <FormField field={{ name: "leaseEnd", label: "Lease end", type: "date", required: true, defaultValue: addMonths(start, 12) }} error={fieldErrors.leaseEnd} />
+          <FormField field={{ name: "annualRent", label: "Annual rent (₦)", type: "number", required: true, min: 1 }} error={fieldErrors.annualRent} />
+          <FormField field={{ name: "serviceCharge", label: "Service charge (₦/yr)", type: "number", min: 0 }} error={fieldErrors.serviceCharge} />
+          <FormField field={{ name: "cautionDeposit", label: "Caution deposit (₦)", type: "number", min: 0 }} error={fieldErrors.cautionDeposit} />
+        </div>
+        <FormError message={error} />
+        <button disabled={pending} className="w-full rounded-xl bg-black px-4 py-2 text-sm font-semibold text-white disabled:opacity-60">
+          {pending ? "Saving..." : "Start tenancy"}
+        </button>
+      </form>
+    </Modal>
+  );
+}
+
+function TenancyPaymentDialog({ tenancy, onClose, onDone }) {
+  const { error, fieldErrors, pending, handleSubmit } = useFormSubmit(
+    (form) => api(`/tenancies/${tenancy.id}/payments`, { method: "POST", body: Object.fromEntries(form) }),
+    onDone
+  );
+  return (
+    <Modal title={`Record payment — ${tenancy.ref}`} onClose={onClose}>
+      <form onSubmit={handleSubmit} className="space-y-3">
+        <div>
+          <label className="text-sm font-medium">For</label>
+          <select name="kind" defaultValue="rent" className="mt-1 w-full rounded-xl border px-3 py-2 text-sm">
+            {Object.entries(LEDGER_KINDS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+          </select>
+        </div>
+        <div className="grid grid-cols-2 gap-3">
+          <FormField field={{ name: "amount", label: "Amount (₦)", type: "number", required: true, min: 1 }} error={fieldErrors.amount} />
+          <FormField field={{ name: "date", label: "Date", type: "date", required: true, defaultValue: todayIso() }} error={fieldErrors.date} />
+        </div>
+        <FormField field={{ name: "note", label: "Note", placeholder: "Transfer ref, receipt no..." }} />
+        <FormError message={error} />
+        <button disabled={pending} className="w-full rounded-xl bg-black px-4 py-2 text-sm font-semibold text-white disabled:opacity-60">
+          {pending ? "Saving..." : "Record payment"}
+        </button>
+      </form>
+    </Modal>
+  );
+}
+
+function RenewTenancyDialog({ tenancy, onClose, onDone }) {
+  const term = currentTerm(tenancy);
+  const { error, fieldErrors, pending, handleSubmit } = useFormSubmit(
+    (form) => api(`/tenancies/${tenancy.id}/renew`, { method: "POST", body: Object.fromEntries(form) }),
+    onDone
+  );
+  return (
+    <Modal title={`Renew — ${tenancy.ref}`} onClose={onClose}>
+      <form onSubmit={handleSubmit} className="space-y-3">
+        <p className="text-xs text-gray-600">The new term starts the day after {formatDate(term.end, false)}.</p>
+        <FormField field={{ name: "leaseEnd", label: "New lease end", type: "date", required: true, defaultValue: addMonths(term.end, 12) }} error={fieldErrors.leaseEnd} />
+        <div className="grid grid-cols-2 gap-3">
+          <FormField field={{ name: "annualRent", label: "Annual rent (₦)", type: "number", min: 1, defaultValue: term.rentKobo / 100 }} error={fieldErrors.annualRent} />
+          <FormField field={{ name: "serviceCharge", label: "Service charge (₦/yr)", type: "number", min: 0, defaultValue: term.serviceChargeKobo / 100 }} error={fieldErrors.serviceCharge} />
+        </div>
+        <FormError message={error} />
+        <button disabled={pending} className="w-full rounded-xl bg-black px-4 py-2 text-sm font-semibold text-white disabled:opacity-60">
+          {pending ? "Saving..." : "Renew tenancy"}
+        </button>
+      </form>
+    </Modal>
+  );
+}
+
+/* ====================== LAND MAP ====================== */
+/* Raster tiles come from VITE_MAP_TILES, e.g. "https://tile.openstreetmap.org/{z}/{x}/{y}.png"
+   or local "/tiles/{z}/{x}/{y}.png"; without it the map draws a plain vector base. */
+const MAP_CONFIG = {
+  tiles: import.meta.env.VITE_MAP_TILES || "",
+  attribution: import.meta.env.VITE_MAP_ATTRIBUTION || "",
+  center: [5.6258, 6.335], // Benin City, [lng, lat]
+  minZoom: 10,
+  maxZoom: 19,
+};
+const TILE = 256;
+const MAP_W = 800;
+const MAP_H = 460;
+const EARTH_RADIUS = 6371008.8;
+
+/* Web Mercator: [lng, lat] -> world pixels at zoom z */
+function project([lng, lat], z) {
+  const size = TILE * 2 ** z;
+  const sin = Math.sin((lat * Math.PI) / 180);
+  return [((lng + 180) / 360) * size, (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * size];
+}
+
+const boundaryRing = (plot) => plot.boundary?.coordinates?.[0] || [];
+
+/* Plot area in m² from its GeoJSON boundary (flat-earth shoelace; fine at plot scale) */
+function plotArea(boundary) {
+  const ring = boundary?.coordinates?.[0];
+  if (!ring || ring.length < 4) return undefined;
+  const rad = Math.PI / 180;
+  const [lng0, lat0] = ring[0];
+  const pts = ring.map(([lng, lat]) => [
+    (lng - lng0) * rad * EARTH_RADIUS * Math.cos(lat0 * rad),
+    (lat - lat0) * rad * EARTH_RADIUS,
+  ]);
+  let twice = 0;
+  for (let i = 0; i < pts.length - 1; i++) twice += pts[i][0] * pts[i + 1][1] - pts[i + 1][0] * pts[i][1];
+  return Math.round(Math.abs(twice) / 2);
+}
+
+const formatArea = (m2) =>
+  m2 >= 10000 ? `${(m2 / 10000).toFixed(2)} ha` : `${m2.toLocaleString("en-NG")} m²`;
+
+/* Marker position: explicit coords, else the boundary's vertex average */
+function plotPoint(plot) {
+  if (plot.coords) return [plot.coords.lng, plot.coords.lat];
+  const ring = boundaryRing(plot).slice(0, -1);
+  if (!ring.length) return null;
+  return [0, 1].map((k) => ring.reduce((sum, p) => sum + p[k], 0) / ring.length);
+}
+
+/* Highest zoom that fits every plot, centred on them */
+function fitView(plots) {
+  const points = plots.flatMap((p) => [...boundaryRing(p), plotPoint(p)].filter(Boolean));
+  if (!points.length) {
+    const [cx, cy] = project(MAP_CONFIG.center, 12);
+    return { z: 12, cx, cy };
+  }
+  for (let z = Math.min(MAP_CONFIG.maxZoom, 18); ; z--) {
+    const xy = points.map((p) => project(p, z));
+    const xs = xy.map((p) => p[0]);
+    const ys = xy.map((p) => p[1]);
+    const [x0, x1, y0, y1] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+    if ((x1 - x0 <= MAP_W * 0.8 && y1 - y0 <= MAP_H * 0.8) || z === MAP_CONFIG.minZoom) {
+      return { z, cx: (x0 + x1) / 2, cy: (y0 + y1) / 2 };
+    }
+  }
+}
+
+function LandMap({ plots, activeId, onSelect }) {
+  // callers pass a memoized plots array, so this refits only when the plots change
+  const fit = useMemo(() => fitView(plots), [plots]);
+  const [view, setView] = useState(fit);
+  const svgRef = useRef(null);
+  const drag = useRef(null);
+
+  useEffect(() => setView(fit), [fit]);
+
+  const left = view.cx - MAP_W / 2;
+  const top = view.cy - MAP_H / 2;
+  const toScreen = (p) => {
+    const [x, y] = project(p, view.z);
+    return [x - left, y - top];
+  };
+
+  // bring a plot selected from the list into view
+  useEffect(() => {
+    const plot = plots.find((p) => p.id === activeId);
+    const point = plot && plotPoint(plot);
+    if (!point) return;
+    setView((v) => {
+      const [x, y] = project(point, v.z);
+      const inside = Math.abs(x - v.cx) < MAP_W / 2 - 40 && Math.abs(y - v.cy) < MAP_H / 2 - 40;
+      return inside ? v : { ...v, cx: x, cy: y };
+    });
+  }, [activeId, plots]);
+
+  function zoomBy(step) {
+    setView((v) => {
+      const z = Math.min(Math.max(v.z + step, MAP_CONFIG.minZoom), MAP_CONFIG.maxZoom);
+      const k = 2 ** (z - v.z);
+      return { z, cx: v.cx * k, cy: v.cy * k };
+    });
+  }
+
+  function onPointerDown(e) {
+    const scale = MAP_W / svgRef.current.getBoundingClientRect().width;
+    drag.current = { x: e.clientX, y: e.clientY, cx: view.cx, cy: view.cy, scale, moved: false };
+  }
+  function onPointerMove(e) {
+    const d = drag.current;
+    if (!d) return;
+    const dx = (e.clientX - d.x) * d.scale;
+    const dy = (e.clientY - d.y) * d.scale;
+    // capture only once it is a drag, so plain clicks still reach the plots
+    if (!d.moved && Math.abs(dx) + Math.abs(dy) > 4) {
+      d.moved = true;
+      e.currentTarget.setPointerCapture(e.pointerId);
+    }
+    if (!d.moved) return;
+    setView((v) => ({ ...v, cx: d.cx - dx, cy: d.cy - dy }));
+  }
+  function onPointerUp() {
+    // keep `moved` until the click that follows a drag has been ignored
+    setTimeout(() => (drag.current = null));
+  }
+  const select = (id) => {
+    if (!drag.current?.moved) onSelect?.(id);
+  };
+
+  const tiles = [];
+  if (MAP_CONFIG.tiles) {
+    const n = 2 ** view.z;
+    for (let tx = Math.floor(left / TILE); tx * TILE < left + MAP_W; tx++) {
+      for (let ty = Math.max(Math.floor(top / TILE), 0); ty * TILE < top + MAP_H && ty < n; ty++) {
+        const href = MAP_CONFIG.tiles
+          .replace("{z}", view.z)
+          .replace("{x}", ((tx % n) + n) % n)
+          .replace("{y}", ty);
+        tiles.push(<image key={`${tx}/${ty}`} href={href} x={tx * TILE - left} y={ty * TILE - top} width={TILE} height={TILE} />);
+      }
+    }
+  }
+
+  const ctrl = "h-8 w-8 rounded-lg border bg-white text-sm font-semibold shadow-sm";
+  return (
+    <div className="relative overflow-hidden rounded-2xl border bg-[#eef2e8]">
+      <svg
+        ref={svgRef}
+        viewBox={`0 0 ${MAP_W} ${MAP_H}`}
+        className="block w-full cursor-grab touch-none select-none"
+        onPointerDown={onPointerDown}
+        onPointerMove={onPointerMove}
+        onPointerUp={onPointerUp}
+        onPointerCancel={onPointerUp}
+        onDoubleClick={() => zoomBy(1)}
+        role="img"
+        aria-label="Map of plots"
+      >
+        {tiles.length ? tiles : (
+          // plain base: a grid that moves with the map
+          <g className="stroke-gray-300">
+            {Array.from({ length: Math.ceil(MAP_W / TILE) + 1 }, (_, i) => {
+              const x = (Math.floor(left / TILE) + i) * TILE - left;
+              return <line key={`v${i}`} x1={x} y1={0} x2={x} y2={MAP_H} />;
+            })}
+            {Array.from({ length: Math.ceil(MAP_H / TILE) + 1 }, (_, i) => {
+              const y = (Math.floor(top / TILE) + i) * TILE - top;
+              return <line key={`h${i}`} x1={0} y1={y} x2={MAP_W} y2={y} />;
+            })}
+          </g>
+        )}
+        {plots.map((p) => {
+          const active = p.id === activeId;
+          const ring = boundaryRing(p);
+          const point = plotPoint(p);
+          if (!point) return null;
+          const [mx, my] = toScreen(point);
+          return (
+            <g key={p.id} onClick={() => select(p.id)} className="cursor-pointer">
+              <title>{`${p.ref} — ${p.title}`}</title>
+              {ring.length > 3 && (
+                <polygon
+                  points={ring.map((c) => toScreen(c).join(",")).join(" ")}
+                  className={active ? "fill-amber-400/60 stroke-amber-700" : "fill-black/20 stroke-gray-900"}
+                  strokeWidth={active ? 3 : 1.5}
+                />
+              )}
+              <circle cx={mx} cy={my} r={active ? 8 : 6} className={active ? "fill-amber-500 stroke-white" : "fill-gray-900 stroke-white"} strokeWidth={2} />
+              {active && (
+                <text x={mx + 12} y={my + 4} className="fill-gray-900 text-[13px] font-semibold" paintOrder="stroke" stroke="white" strokeWidth={3}>
+                  {p.ref}
+                </text>
+              )}
+            </g>
+          );
+        })}
+      </svg>
+      <div className="absolute right-3 top-3 flex flex-col gap-1">
+        <button onClick={() => zoomBy(1)} className={ctrl} aria-label="Zoom in">+</button>
+        <button onClick={() => zoomBy(-1)} className={ctrl} aria-label="Zoom out">−</button>
+        <button onClick={() => setView(fit)} className={`${ctrl} text-[10px]`} aria-label="Fit all plots">Fit</button>
+      </div>
+      {MAP_CONFIG.attribution && (
+        <div className="absolute bottom-0 right-0 rounded-tl bg-white/80 px-1.5 text-[10px] text-gray-600">
+          {MAP_CONFIG.attribution}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* ====================== AGENTS ====================== */
+/* The directory arrives with the catalog. A listing's agentId names its
+   agent; without one (or once that agent is deactivated) the primary agent
+   answers, as on the server. */
+const AGENT_CATEGORIES = ["properties", "lands", "rentals"];
+const AGENT_SOCIALS = { facebook: "Facebook", tiktok: "TikTok", x: "X", instagram: "Instagram" };
+const useAgents = () => useContext(CatalogContext).agents;
+const agentPath = (agent) => `/agents/${agent.id}`;
+
+function agentById(agents, id) {
+  return agents.find((a) => a.id === id) || agents.find((a) => a.primary) || agents[0];
+}
+const useListingAgent = (item) => agentById(useAgents(), item?.agentId);
+
+/* Call / WhatsApp / Email; pass the listing so messages and enquiries name it */
+function AgentContacts({ agent, category, item, socials = false }) {
+  const link = "rounded-xl border px-3 py-2 text-xs font-semibold";
+  const to = { agent, category, item };
+  return (
+    <div className="flex flex-wrap gap-2">
+      <ContactLink channel="call" {...to} className="rounded-xl bg-black px-3 py-2 text-xs font-semibold text-white">Call</ContactLink>
+      <ContactLink channel="whatsapp" {...to} className={link}>WhatsApp</ContactLink>
+      {agent.email && <ContactLink channel="email" {...to} className={link}>Email</ContactLink>}
+      {socials &&
+        Object.entries(AGENT_SOCIALS).map(
+          ([k, label]) =>
+            agent.socials?.[k] && (
+              <a key={k} href={agent.socials[k]} target="_blank" rel="noreferrer" className={link}>{label}</a>
+            )
+        )}
+    </div>
+  );
+}
+
+function AgentCard({ agent, category, item }) {
+  return (
+    <Card>
+      <div className="flex items-start gap-4">
+        <img src={agent.photo || "/assets/logo.jpg"} alt={agent.name} className="h-20 w-20 shrink-0 rounded-xl object-cover" />
+        <div className="min-w-0 flex-1">
+          <Link to={agentPath(agent)} className="font-semibold hover:underline">{agent.name}</Link>
+          {agent.role && <div className="text-xs text-gray-600">{agent.role}</div>}
+          <RatingSummary type="agent" id={agent.id} />
+          {agent.areas?.length > 0 && <div className="mt-1 text-xs text-gray-600">Covers {agent.areas.join(", ")}</div>}
+          {agent.languages?.length > 0 && <div className="text-xs text-gray-600">Speaks {agent.languages.join(", ")}</div>}
+          <div className="mt-3">
+            <AgentContacts agent={agent} category={category} item={item} />
+          </div>
+        </div>
+      </div>
+    </Card>
+  );
+}
+
+/* ====================== CONTACT ====================== */
+/* Every Call / WhatsApp / Email button is a ContactLink. WhatsApp and email
+   open with a message about the listing on screen, and each click is posted
+   to /api/enquiries for the admin Enquiries report. The messages are per
+   category templates that staff edit under admin Messages. */
+
+function contactMessage(templates, agent, category, item) {
+  const values = {
+    agent: agent.name.split(" ")[0],
+    title: item?.title,
+    ref: item?.ref,
+    price: formatPrice(item?.price, item?.unit),
+    url: `${window.location.origin}${item ? listingPath(category, item) : window.location.pathname}`,
+  };
+  const template = (item && templates[category]) || templates.general || "";
+  return template.replace(/{(\w+)}/g, (_, k) => values[k] ?? "");
+}
+
+function contactHref(channel, templates, agent, category, item) {
+  if (channel === "call") return `tel:${agent.phone}`;
+  const message = encodeURIComponent(contactMessage(templates, agent, category, item));
+  if (channel === "email") {
+    const subject = encodeURIComponent(item ? `Enquiry: ${item.title} (${item.ref})` : "Enquiry");
+    return `mailto:${agent.email}?subject=${subject}&body=${message}`;
+  }
+  return `https://wa.me/${(agent.whatsapp || agent.phone).replace(/\D/g, "")}?text=${message}`;
+}
+
+const VISITOR_KEY = "enquiries:visitor";
+
+/* A random id per browser so the server can count a guest's repeat clicks once */
+function visitorId() {
+  try {
+    let id = localStorage.getItem(VISITOR_KEY);
+    if (!id) {
+      id = crypto.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+      localStorage.setItem(VISITOR_KEY, id);
+    }
+    return id;
+  } catch {
+    return undefined; // storage blocked: every click counts
+  }
+}
+
+/* Fire-and-forget: a failed count must never block the chat */
+const recordEnquiry = (event) =>
+  api("/enquiries", {
+    method: "POST",
+    body: { ...event, path: window.location.pathname, visitorId: visitorId() },
+  }).catch(() => {});
+
+function ContactLink({ channel, agent, category, item, className, children, ...rest }) {
+  const { contactTemplates } = useContext(CatalogContext);
+  return (
+    <a
+      {...rest}
+      href={contactHref(channel, contactTemplates, agent, category, item)}
+      target={channel === "whatsapp" ? "_blank" : undefined}
+      rel="noreferrer"
+      className={className}
+      onClick={() => recordEnquiry({ channel, agentId: agent.id, listingId: item?.id })}
+    >
+      {children}
+    </a>
+  );
+}
+
+/* { category, item } for a detail route like /lands-for-sale/ld-0002, else {} */
+function useRouteListing() {
+  const { pathname } = useLocation();
+  const catalog = useCatalog();
+  const category = Object.keys(CATEGORIES).find((c) => pathname.startsWith(`${CATEGORIES[c].path}/`));
+  const item = category && catalog[category].find((it) => it.id === pathname.slice(CATEGORIES[category].path.length + 1));
+  return item ? { category, item } : {};
+}
+
+/* ====================== LEADS ====================== */
+/* Enquire and Request Site Visit open a lead for the staff inbox (admin
+   Leads). Quotes, inspection bookings and render requests add their own
+   lead on the server, so every request form ends up in the same place. */
+const LEAD_SOURCES = {
+  enquiry: "Enquiry",
+  "site-visit": "Site visit request",
+  quote: "Quote request",
+  booking: "Inspection booking",
+  "design-brief": "Render request",
+};
+const LEAD_STATUSES = ["new", "contacted", "qualified", "won", "lost"];
+
+/* open(kind, category, item) shows the lead form; guests can use it too */
+function useLeadForm() {
+  const [target, setTarget] = useState(null);
+  const open = (kind, category, item) => setTarget({ kind, category, item });
+  const dialog = target && <LeadDialog {...target} onClose={() => setTarget(null)} />;
+  return { open, dialog };
+}
+
+function LeadDialog({ kind, category, item, onClose }) {
+  const { user } = useAuth();
+  const [done, setDone] = useState(null);
+  const { error, fieldErrors, pending, handleSubmit } = useFormSubmit(
+    async (form) => {
+      const { lead } = await api("/leads", {
+        method: "POST",
+        body: { ...Object.fromEntries(form), kind, listingId: item?.id, page: window.location.pathname },
+      });
+      setDone(lead);
+    },
+    () => {}
+  );
+  const title = kind === "site-visit" ? "Request a site visit" : "Send an enquiry";
+  if (done) {
+    return (
+      <Modal title={title} onClose={onClose}>
+        <p className="text-sm text-gray-700">Thank you. Our agent will call you shortly. Your reference is {done.ref}.</p>
+        <button onClick={onClose} className="mt-4 rounded-xl bg-black px-4 py-2 text-sm font-semibold text-white">Done</button>
+      </Modal>
+    );
+  }
+  const message = item
+    ? kind === "site-visit"
+      ? `I'd like to visit ${item.title} (${item.ref}). Please call me to arrange a day.`
+      : `I'm interested in ${item.title} (${item.ref}). Please send me more details.`
+    : "";
+  return (
+    <Modal title={title} onClose={onClose}>
+      <form onSubmit={handleSubmit} className="space-y-3">
+        {item && <div className="text-sm text-gray-600">{item.title} • {item.ref}</div>}
+        <FormField field={{ name: "name", label: "Your name", required: true, defaultValue: user ? `${user.firstName} ${user.lastName}` : "" }} error={fieldErrors.name} />
+        <div className="grid grid-cols-2 gap-3">
+          <FormField field={{ name: "phone", label: "Phone", type: "tel", required: true }} error={fieldErrors.phone} />
+          <FormField field={{ name: "email", label: "Email", type: "email", defaultValue: user?.email }} error={fieldErrors.email} />
+        </div>
+        <div>
+          <label className="text-sm font-medium">Message</label>
+          <textarea name="message" rows={3} required defaultValue={message} className="mt-1 w-full rounded-xl border px-3 py-2 text-sm" />
+          <FieldHint error={fieldErrors.message} />
+        </div>
+        <FormError message={error} />
+        <button disabled={pending} className="w-full rounded-xl bg-black px-4 py-2 text-sm font-semibold text-white disabled:opacity-60">
+          {pending ? "Sending..." : "Send"}
+        </button>
+      </form>
+    </Modal>
+  );
+}
+
+/* ====================== REVIEWS ====================== */
+/* Only clients with a completed inspection, delivered order or finished build
+   can post a review; the server checks. Averages come with the catalog as
+   ratings["agent:<id>" | "service:<id>" | "project:<id>"]. */
+const VERIFIED_BY = { booking: "Verified inspection", order: "Verified order", project: "Verified build" };
+const useRating = (type, id) => useContext(CatalogContext).ratings[`${type}:${id}`];
+
+const Stars = ({ value }) => (
+  <span className="tracking-tight text-amber-500" aria-label={`${value} out of 5 stars`}>
+    {"★★★★★".slice(0, Math.round(value))}
+    <span className="text-gray-300">{"★★★★★".slice(Math.round(value))}</span>
+  </span>
+);
+
+function RatingSummary({ type, id }) {
+  const rating = useRating(type, id);
+  if (!rating) return null;
+  return (
+    <div className="text-xs text-gray-700">
+      <Stars value={rating.average} /> {rating.average.toFixed(1)} • {rating.count} {rating.count === 1 ? "review" : "reviews"}
+    </div>
+  );
+}
+
+function ReviewCard({ review: r, children }) {
+  const { showSet } = useLightbox();
+  const slides = uploadSlides(r.photos, `Review by ${r.author}`);
+  return (
+    <Card>
+      <div className="flex items-center justify-between gap-2">
+        <div className="text-sm font-semibold">{r.author}</div>
+        <Stars value={r.rating} />
+      </div>
+      <div className="text-xs text-gray-500">
+        {VERIFIED_BY[r.verified || r.source?.kind]} • {formatDate(r.createdAt, false)}
+      </div>
+      <p className="mt-2 whitespace-pre-line text-sm text-gray-700">{r.text}</p>
+      {r.photos.length > 0 && (
+        <div className="mt-2 flex flex-wrap gap-2">
+          {slides.map((sl, i) => (
+            <button key={sl.src} onClick={() => showSet(slides, i)} className="h-14 w-14 overflow-hidden rounded-lg border">
+              <img src={sl.src} alt={`Review photo ${i + 1}`} className="h-full w-full object-cover" />
+            </button>
+          ))}
+        </div>
+      )}
+      {r.reply && (
+        <div className="mt-3 rounded-xl bg-gray-50 p-3 text-xs text-gray-700">
+          <div className="font-semibold">Reply from Kinglaw Paradise Builders</div>
+          <p className="mt-1 whitespace-pre-line">{r.reply.text}</p>
+        </div>
+      )}
+      {children}
+    </Card>
+  );
+}
+
+/* Published reviews of one subject, or of every project when id is left out */
+function ReviewList({ type, id }) {
+  const state = useApi(`/reviews?type=${type}${id ? `&id=${id}` : ""}`);
+  return (
+    <ApiState state={state} isEmpty={(d) => !d?.reviews.length} empty="No reviews yet.">
+      <div className="grid gap-4 md:grid-cols-2">
+        {state.data?.reviews.map((r) => <ReviewCard key={r.id} review={r} />)}
+      </div>
+    </ApiState>
+  );
+}
+
+/* Finished jobs the client has not reviewed yet */
+function ReviewPrompts({ state }) {
+  const { reload: reloadCatalog } = useContext(CatalogContext);
+  const [target, setTarget] = useState(null);
+  return (
+    <>
+      <div className="grid gap-3 md:grid-cols-2">
+        {state.data?.eligible.map((e) => (
+          <Card key={`${e.type}:${e.id}`}>
+            <div className="flex items-center justify-between gap-2">
+              <div>
+                <div className="text-sm font-semibold">{e.label}</div>
+                <div className="text-xs text-gray-500">
+                  {e.type === "agent" ? "Your agent" : e.type === "project" ? "Your build" : "Service"} • from {e.source.ref}
+                </div>
+              </div>
+              <button onClick={() => setTarget(e)} className="rounded-xl bg-black px-3 py-1 text-xs font-semibold text-white">
+                Write a review
+              </button>
+            </div>
+          </Card>
+        ))}
+      </div>
+      {target && (
+        <ReviewDialog
+          target={target}
+          onClose={() => setTarget(null)}
+          onDone={() => {
+            setTarget(null);
+            state.reload();
+            reloadCatalog();
+          }}
+        />
+      )}
+    </>
+  );
+}
+
+function ReviewDialog({ target, onClose, onDone }) {
+  const [rating, setRating] = useState(0);
+  const [photos, setPhotos] = useState([]);
+  const { error, fieldErrors, pending, handleSubmit } = useFormSubmit(
+    (form) =>
+      api("/reviews", {
+        method: "POST",
+        body: { type: target.type, id: target.id, rating, text: form.get("text"), photos: photos.map((f) => f.id) },
+      }),
+    onDone
+  );
+  return (
+    <Modal title={`Review ${target.label}`} onClose={onClose}>
+      <form onSubmit={handleSubmit} className="space-y-3">
+        <div>
+          <div className="text-sm font-medium">Your rating</div>
+          <div className="mt-1 flex gap-1">
+            {[1, 2, 3, 4, 5].map((n) => (
+              <button
+                type="button"
+                key={n}
+                onClick={() => setRating(n)}
+                className={`text-2xl ${n <= rating ? "text-amber-500" : "text-gray-300"}`}
+                aria-label={`${n} star${n === 1 ? "" : "s"}`}
+              >
+                ★
+              </button>
+            ))}
+          </div>
+          <FieldHint error={fieldErrors.rating} />
+        </div>
+        <div>
+          <label className="text-sm font-medium">Your review</label>
+          <textarea name="text" rows={4} required minLength={10} className="mt-1 w-full rounded-xl border px-3 py-2 text-sm" />
+          <FieldHint error={fieldErrors.text} hint="Shown publicly with your first name and last initial." />
+        </div>
+        <FileUploadField label="Photos (optional)" accept="image/*" max={6} value={photos} onChange={setPhotos} />
+        <FormError message={error} />
+        <button disabled={pending || !rating} className="w-full rounded-xl bg-black px-4 py-2 text-sm font-semibold text-white disabled:opacity-60">
+          {pending ? "Posting..." : "Post review"}
+        </button>
+      </form>
+    </Modal>
+  );
+}
+
+/* ====================== NOTIFICATIONS ====================== */
+/* In-app notifications for the signed-in user. The header bell polls for the
+   unread count; email copies and per-type preferences are handled server-side. */
+const NotificationsContext = createContext(null);
+const useNotifications = () => useContext(NotificationsContext);
+const NOTIFICATION_POLL_MS = 60 * 1000;
+
+function NotificationsProvider({ children }) {
+  const { user } = useAuth();
+  const [state, setState] = useState({ notifications: [], unread: 0 });
+  const reload = useCallback(() => {
+    if (!user) return;
+    api("/notifications")
+      .then(setState)
+      .catch(() => {}); // the bell just keeps its last count
+  }, [user?.id]);
+
+  useEffect(() => {
+    setState({ notifications: [], unread: 0 });
+    if (!user) return;
+    reload();
+    const timer = setInterval(reload, NOTIFICATION_POLL_MS);
+    return () => clearInterval(timer);
+  }, [reload]);
+
+  const value = useMemo(
+    () => ({
+      ...state,
+      reload,
+      async markRead(ids) {
+        const { unread } = await api("/notifications/read", { method: "POST", body: ids ? { ids } : {} });
+        const t = new Date().toISOString();
+        setState((st) => ({
+          unread,
+          notifications: st.notifications.map((n) => (!ids || ids.includes(n.id) ? { ...n, readAt: n.readAt || t } : n)),
+        }));
+      },
+    }),
+    [state, reload]
+  );
+  return <NotificationsContext.Provider value={value}>{children}</NotificationsContext.Provider>;
+}
+
+function NotificationBell() {
+  const { unread, reload } = useNotifications();
+  const location = useLocation();
+  useEffect(reload, [location.pathname]);
+  return (
+    <Link
+      to="/notifications"
+      className="relative rounded-xl border px-3 py-2 text-sm"
+      title={unread ? `${unread} unread notifications` : "Notifications"}
+      aria-label="Notifications"
+    >
+      🔔
+      {unread > 0 && (
+        <span className="absolute -right-2 -top-2 rounded-full bg-amber-500 px-1.5 text-[11px] font-bold text-white">
+          {unread > 99 ? "99+" : unread}
+        </span>
+      )}
+    </Link>
+  );
+}
+
+function Notifications() {
+  const { notifications, unread, markRead } = useNotifications();
+  const navigate = useNavigate();
+  const [error, setError] = useState("");
+  const run = (ids) => markRead(ids).catch((err) => setError(err.message));
+  const open = (n) => {
+    if (!n.readAt) run([n.id]);
+    navigate(n.link || "/dashboard");
+  };
+  return (
+    <Section
+      title="Notifications"
+      subtitle={unread ? `${unread} unread` : "You're all caught up"}
+      actions={
+        unread > 0 && (
+          <button onClick={() => run()} className="rounded-xl border px-3 py-2 text-xs font-semibold">
+            Mark all as read
+          </button>
+        )
+      }
+    >
+      <FormError message={error} />
+      {notifications.length ? (
+        <ul className="divide-y rounded-2xl border">
+          {notifications.map((n) => (
+            <li key={n.id}>
+              <button
+                onClick={() => open(n)}
+                className={`flex w-full items-start gap-3 px-4 py-3 text-left hover:bg-gray-50 ${n.readAt ? "" : "bg-amber-50/60"}`}
+              >
+                <span className={`mt-1.5 h-2 w-2 shrink-0 rounded-full ${n.readAt ? "bg-transparent" : "bg-amber-500"}`} />
+                <span className="min-w-0 flex-1">
+                  <span className="block text-sm font-semibold">{n.title}</span>
+                  {n.body && <span className="mt-0.5 block text-xs text-gray-600">{n.body}</span>}
+                  <span className="mt-1 block text-[11px] text-gray-500">{formatDate(n.createdAt)}</span>
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-gray-600">
+          No notifications yet. We'll let you know when a quote is priced, a booking is confirmed, an order ships or your
+          build gets new photos.
+        </p>
+      )}
+      <NotificationPreferences />
+    </Section>
+  );
+}
+
+/* One row per event type: in-app and email switches */
+function NotificationPreferences() {
+  const state = useApi("/notifications/preferences");
+  const [prefs, setPrefs] = useState(null);
+  const [saved, setSaved] = useState(false);
+  const [pending, setPending] = useState(false);
+  const [error, setError] = useState("");
+  async function submit(e) {
+    e.preventDefault();
+    setPending(true);
+    setError("");
+    try {
+      const { preferences } = await api("/notifications/preferences", { method: "PUT", body: { preferences: prefs } });
+      setPrefs(preferences);
+      setSaved(true);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setPending(false);
+    }
+  }
+  useEffect(() => {
+    if (state.data) setPrefs(state.data.preferences);
+  }, [state.data]);
+  const toggle = (type, channel) => {
+    setSaved(false);
+    setPrefs((p) => ({ ...p, [type]: { ...p[type], [channel]: !p[type][channel] } }));
+  };
+  return (
+    <div className="mt-8">
+      <h3 className="text-lg font-bold">Preferences</h3>
+      <ApiState state={state} empty="" isEmpty={() => !prefs}>
+        {!state.data?.emailEnabled && (
+          <p className="mt-1 text-xs text-gray-500">Email notifications are not available right now.</p>
+        )}
+        <form onSubmit={submit} className="mt-3 space-y-3">
+          <table className="w-full max-w-xl text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500">
+                <th className="py-2 font-medium">Event</th>
+                <th className="py-2 text-center font-medium">In-app</th>
+                <th className="py-2 text-center font-medium">Email</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y">
+              {state.data?.types.map((t) => (
+                <tr key={t.id}>
+                  <td className="py-2">{t.label}</td>
+                  {["inApp", "email"].map((channel) => (
+                    <td key={channel} className="py-2 text-center">
+                      <input
+                        type="checkbox"
+                        checked={!!prefs?.[t.id]?.[channel]}
+                        disabled={channel === "email" && !state.data.emailEnabled}
+                        onChange={() => toggle(t.id, channel)}
+                        aria-label={`${t.label}: ${channel === "email" ? "email" : "in-app"}`}
+                      />
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <FormError message={error} />
+          <div className="flex items-center gap-3">
+            <button disabled={pending} className="rounded-xl bg-black px-4 py-2 text-sm font-semibold text-white disabled:opacity-50">
+              {pending ? "Saving..." : "Save preferences"}
+            </button>
+            {saved && <span className="text-xs text-green-700">Saved</span>}
+          </div>
+        </form>
+      </ApiState>
+    </div>
+  );
+}
+
+/* ====================== PAGES ====================== */
+/* HOME */
+function Home() {
+  const { showSet } = useLightbox();
+  return (
+    <>
+      <section className="relative overflow-hidden">
+        <div
+          className="absolute inset-0 -z-10 bg-cover bg-center opacity-20"
+          style={{ backgroundImage: "url('/assets/materials/wood.jpg')" }}
+        />
+        <div className="absolute inset-0 -z-10 bg-gradient-to-b from-white/60 to-white" />
+        <Container className="py-16">
+          <div className="grid items-center gap-10 md:grid-cols-2">
+            <div>
+              <motion.h1
+                initial={{ opacity: 0, y: 16 }}
+                animate={{ opacity: 1, y: 0 }}
+                transition={{ duration: 0.6 }}
+                className="text-3xl font-black leading-tight md:text-5xl"
+              >
+                FIND LAND, RENT HOMES, BUILD MODERN DESIGNS — ALL IN ONE PLACE
+              </motion.h1>
+              <p className="mt-4 max-w-xl text-gray-700">
+                BUY PLOTS, RENT HOUSES, HIRE TRUSTED AGENT, AND ORDER QUALITY BUILDING MATERIALS. FROM DRAWINGS TO CONSTRUCTION, WE'VE GOT YOU.
+              </p>
+              <div className="mt-6 flex flex-wrap gap-3">
+                <Link className="rounded-2xl bg-black px-5 py-3 text-sm font-semibold text-white" to="/properties">Browse Properties</Link>
                 <Link className="rounded-2xl border px-5 py-3 text-sm font-semibold" to="/services">Our Services</Link>
               </div>
               <div className="mt-8 max-w-2xl">
@@ -508,13 +4317,13 @@ function Home() {
                 { src: "/assets/material-BRC Rods(wire).jpg", title: "BRC Rods (Wire)" },
                 { src: "/assets/material-blocks.jpg", title: "Hollow Blocks" },
                 { src: "/assets/material-granite.jpg", title: "Granite" },
-              ].map((it, i) => (
+              ].map((it, i, all) => (
                 <Card key={i}>
                   <ImageTile
                     src={it.src}
                     alt={it.title}
                     className="h-32"
-                    onClick={() => show(it.src, it.title)}
+                    onClick={() => showSet(...gallerySlides(it, all))}
                   />
                   <div className="mt-3">
                     <div className="font-semibold">{it.title}</div>
@@ -539,158 +4348,459 @@ function Home() {
   );
 }
 
-/* Small quick-search bar for the hero (no filters) */
+/* Quick-search bar for the hero: suggests matches as you type, Enter opens /search */
 function FilterQuick({ placeholder }) {
+  const navigate = useNavigate();
   const [q, setQ] = useState("");
+  const [focused, setFocused] = useState(false);
+  const [active, setActive] = useState(-1);
+  const suggestions = useSearch(q, 6);
+  const open = focused && q.trim() && suggestions.length > 0;
+
+  function submit(e) {
+    e.preventDefault();
+    const pick = suggestions[active];
+    if (open && pick) return navigate(listingPath(pick.category, pick.item));
+    if (q.trim()) navigate(`/search?q=${encodeURIComponent(q.trim())}`);
+  }
+
+  function onKeyDown(e) {
+    if (!open) return;
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setActive((i) => (i + 1) % suggestions.length);
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setActive((i) => (i <= 0 ? suggestions.length - 1 : i - 1));
+    } else if (e.key === "Escape") {
+      setFocused(false);
+    }
+  }
+
   return (
-    <div className="flex w-full items-center gap-2 rounded-2xl border bg-white p-2 shadow-sm">
-      <input
-        className="w-full rounded-xl px-3 py-2 text-sm outline-none"
-        placeholder={placeholder}
-        value={q}
-        onChange={(e)=>setQ(e.target.value)}
-      />
-      <button className="rounded-xl bg-black px-4 py-2 text-sm font-semibold text-white">
-        Search
-      </button>
-    </div>
+    <form onSubmit={submit} className="relative">
+      <div className="flex w-full items-center gap-2 rounded-2xl border bg-white p-2 shadow-sm">
+        <input
+          className="w-full rounded-xl px-3 py-2 text-sm outline-none"
+          placeholder={placeholder}
+          value={q}
+          onChange={(e)=>{ setQ(e.target.value); setActive(-1); }}
+          onFocus={() => setFocused(true)}
+          onBlur={() => setTimeout(() => setFocused(false), 150)}
+          onKeyDown={onKeyDown}
+          role="combobox"
+          aria-expanded={!!open}
+          aria-autocomplete="list"
+        />
+        <button className="rounded-xl bg-black px-4 py-2 text-sm font-semibold text-white">
+          Search
+        </button>
+      </div>
+      {open && (
+        <ul role="listbox" className="absolute z-30 mt-1 w-full overflow-hidden rounded-2xl border bg-white shadow-lg">
+          {suggestions.map((hit, i) => (
+            <li key={hit.item.id} role="option" aria-selected={i === active}>
+              <Link
+                to={listingPath(hit.category, hit.item)}
+                className={`flex items-center gap-3 px-3 py-2 text-sm ${i === active ? "bg-gray-100" : "hover:bg-gray-50"}`}
+              >
+                <img src={hit.item.src} alt="" className="h-8 w-8 rounded-lg object-cover" />
+                <span className="flex-1">{hit.item.title}</span>
+                <span className="text-xs text-gray-500">{CATEGORIES[hit.category].label}</span>
+              </Link>
+            </li>
+          ))}
+          <li>
+            <Link to={`/search?q=${encodeURIComponent(q.trim())}`} className="block px-3 py-2 text-xs font-semibold hover:bg-gray-50">
+              See all results for “{q.trim()}”
+            </Link>
+          </li>
+        </ul>
+      )}
+    </form>
+  );
+}
+
+/* SEARCH RESULTS */
+function SearchPage() {
+  const { showSet } = useLightbox();
+  const [params, setParams] = useSearchParams();
+  const q = params.get("q") || "";
+  const hits = useSearch(q);
+  const groups = SEARCH_CATEGORIES.map((category) => ({
+    category,
+    hits: hits.filter((h) => h.category === category),
+  })).filter((g) => g.hits.length);
+
+  return (
+    <Section
+      title={q ? `Results for “${q}”` : "Search"}
+      subtitle={q ? `${hits.length} ${hits.length === 1 ? "match" : "matches"} across the catalogue` : "Search properties, lands, rentals, materials and more."}
+      actions={
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            setParams({ q: new FormData(e.currentTarget).get("q").trim() });
+          }}
+          className="flex w-full max-w-md gap-2 rounded-2xl border bg-white p-2 shadow-sm"
+        >
+          <input key={q} name="q" defaultValue={q} className="flex-1 rounded-xl px-3 py-2 text-sm outline-none" placeholder="Search..." />
+          <button className="rounded-xl bg-black px-4 py-2 text-sm font-semibold text-white">Search</button>
+        </form>
+      }
+    >
+      {q && groups.length === 0 && (
+        <p className="text-sm text-gray-600">No matches. Try fewer or different words.</p>
+      )}
+      {groups.map((g) => (
+        <div key={g.category} className="mb-8">
+          <div className="mb-3 flex items-center justify-between">
+            <h3 className="text-lg font-bold">
+              {CATEGORIES[g.category].label} <span className="text-sm font-normal text-gray-500">({g.hits.length})</span>
+            </h3>
+            <Link to={CATEGORIES[g.category].path} className="text-xs font-semibold underline">View all</Link>
+          </div>
+          <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
+            {g.hits.map(({ item }) => (
+              <ImageCard
+                key={item.id}
+                src={item.src}
+                title={item.title}
+                meta={item.meta}
+                price={item.price}
+                unit={item.unit}
+                cta="View Details"
+                to={listingPath(g.category, item)}
+                listingId={item.id}
+                category={g.category}
+                verification={item.verification}
+                onImageClick={() => showSet(...gallerySlides(item, g.hits.map((h) => h.item)))}
+              />
+            ))}
+          </div>
+        </div>
+      ))}
+    </Section>
   );
 }
 
 /* PROPERTIES */
 function Properties() {
-  const { show } = useLightbox();
-  const [query, setQuery] = useState("");
-  const [minPrice, setMinPrice] = useState();
-  const [maxPrice, setMaxPrice] = useState();
-  const [beds, setBeds] = useState();
-
-  const items = DATA.properties.filter((it) => {
-    const q = query.trim().toLowerCase();
-    const matchesQ =
-      !q ||
-      it.title.toLowerCase().includes(q) ||
-      (it.meta || "").toLowerCase().includes(q);
-    const p = extractPriceNumber(it.price);
-    const matchesMin = minPrice ? (p ? p >= minPrice : false) : true;
-    const matchesMax = maxPrice ? (p ? p <= maxPrice : false) : true;
-    const matchesBeds = beds ? (it.beds ? it.beds >= beds : false) : true;
-    return matchesQ && matchesMin && matchesMax && matchesBeds;
-  });
+  const { showSet } = useLightbox();
+  const catalog = useCatalog();
+  const filters = useListingFilters();
+  const { pageItems, page, pages, total } = paginate(filterListings(catalog.properties, filters), filters.page);
 
   return (
     <>
-      <Hero heading="Properties" sub="Buy and invest with confidence." img={DATA.properties[0]?.src} />
+      <Hero heading="Properties" sub="Buy and invest with confidence." img={catalog.properties[0]?.src} />
       <Section
         actions={
           <FilterBar
-            query={query} setQuery={setQuery}
-            showPrice minPrice={minPrice} maxPrice={maxPrice}
-            setMinPrice={setMinPrice} setMaxPrice={setMaxPrice}
-            showBeds beds={beds} setBeds={setBeds}
+            {...filters} showSort showPrice showBeds
             placeholder="Search properties..."
           />
         }
       >
         <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
-          {items.map((i, idx) => (
+          {pageItems.map((i) => (
             <ImageCard
-              key={idx}
+              key={i.id}
               {...i}
               cta="View Details"
-              onImageClick={() => show(i.src, i.title)}
+              to={listingPath("properties", i)}
+              listingId={i.id}
+              category="properties"
+              onImageClick={() => showSet(...gallerySlides(i, pageItems))}
             />
           ))}
         </div>
+        <ListingFooter total={total} page={page} pages={pages} onPage={filters.setPage} onClear={filters.clear} />
       </Section>
     </>
   );
 }
 
-/* PROPERTY DETAIL (template) */
-function PropertyDetail() {
-  const { show } = useLightbox();
-  const p = DATA.properties[0];
+/* LISTING DETAIL (shared layout for every category) */
+function DetailView({ category, item, children, below }) {
+  const { showSet } = useLightbox();
+  const agent = useListingAgent(item);
+  const facts = (item.meta || "").split("•").map((f) => f.trim()).filter(Boolean);
+  const photos = listingPhotos(item);
+  const slides = photos.map((src) => ({ src, caption: item.title }));
   return (
-    <Section title="4-Bedroom Duplex in GRA" subtitle="Ref: KPB-PR-0001">
+    <Section
+      title={item.title}
+      subtitle={`Ref: ${item.ref}`}
+      actions={
+        <Link to={CATEGORIES[category].path} className="rounded-xl border px-3 py-2 text-xs font-semibold">
+          ← {CATEGORIES[category].label}
+        </Link>
+      }
+    >
       <div className="grid gap-6 md:grid-cols-2">
-        <div className="aspect-video w-full overflow-hidden rounded-2xl bg-gray-100">
-          <img
-            src={p?.src}
-            alt="Property"
-            className="h-full w-full cursor-zoom-in object-cover"
-            onClick={() => show(p?.src, "4-Bedroom Duplex in GRA")}
-          />
+        <div>
+          <div className="aspect-video w-full overflow-hidden rounded-2xl bg-gray-100">
+            <img
+              src={item.src}
+              alt={item.title}
+              className="h-full w-full cursor-zoom-in object-cover"
+              onClick={() => showSet(slides)}
+            />
+          </div>
+          {photos.length > 1 && (
+            <div className="mt-2 flex gap-2 overflow-x-auto">
+              {photos.map((src, i) => (
+                <button key={src} onClick={() => showSet(slides, i)} className="h-16 w-24 shrink-0 overflow-hidden rounded-lg border">
+                  <img src={src} alt={`${item.title} — photo ${i + 1}`} className="h-full w-full object-cover" />
+                </button>
+              ))}
+            </div>
+          )}
         </div>
         <div>
-          <div className="text-2xl font-bold">{p?.price || "₦—"}</div>
-          <ul className="mt-3 grid grid-cols-2 gap-2 text-sm text-gray-700">
-            <li>4 Beds</li>
-            <li>3 Baths</li>
-            <li>450 m²</li>
-            <li>Parking • Security</li>
-          </ul>
-          <p className="mt-4 text-sm text-gray-600">
-            Modern finishes, good access road, steady power. Title: C of O. Schedule inspection below.
-          </p>
-          <div className="mt-4 flex gap-2">
-            <button className="rounded-xl bg-black px-4 py-2 text-sm font-semibold text-white">Book Inspection</button>
-            <a
-              href="https://wa.me/2348092382323"
-              className="rounded-xl border px-4 py-2 text-sm font-semibold"
-              target="_blank" rel="noreferrer"
-            >
-              WhatsApp Agent
-            </a>
+          {item.price && <div className="text-2xl font-bold">{formatPrice(item.price, item.unit)}</div>}
+          {item.verification && <div className="mt-2"><VerifiedBadge verification={item.verification} /></div>}
+          {facts.length > 0 && (
+            <ul className="mt-3 grid grid-cols-2 gap-2 text-sm text-gray-700">
+              {facts.map((f) => <li key={f}>{f}</li>)}
+            </ul>
+          )}
+          {item.desc && <p className="mt-4 text-sm text-gray-600">{item.desc}</p>}
+          <div className="mt-4 flex flex-wrap gap-2">
+            {children}
+            {FAVOURITE_CATEGORIES.includes(category) && (
+              <SaveButton listingId={item.id} category={category} className="px-4 py-2 text-sm" />
+            )}
+            {COMPARE_CATEGORIES.includes(category) && <CompareToggle listingId={item.id} category={category} />}
           </div>
+          {AGENT_CATEGORIES.includes(category) && agent && (
+            <div className="mt-6">
+              <div className="mb-2 text-sm font-semibold">Your agent for this listing</div>
+              <AgentCard agent={agent} category={category} item={item} />
+            </div>
+          )}
         </div>
       </div>
+      {below}
     </Section>
   );
 }
 
+/* PROPERTY DETAIL */
+function PropertyDetail() {
+  const p = useListing("properties");
+  const booking = useInspectionBooking();
+  const agent = useListingAgent(p);
+  if (!p) return <NotFound />;
+  return (
+    <DetailView category="properties" item={p} below={p.installments?.length > 0 && <InstallmentCalculator item={p} />}>
+      <button
+        onClick={() => booking.open(p)}
+        className="rounded-xl bg-black px-4 py-2 text-sm font-semibold text-white"
+      >
+        Book Inspection
+      </button>
+      {booking.dialog}
+      {agent && (
+        <ContactLink channel="whatsapp" agent={agent} category="properties" item={p} className="rounded-xl border px-4 py-2 text-sm font-semibold">
+          WhatsApp Agent
+        </ContactLink>
+      )}
+    </DetailView>
+  );
+}
+
+/* DETAIL for the other categories (lands, rentals, materials, ...) */
+function ListingDetail({ category }) {
+  const item = useListing(category);
+  const booking = useInspectionBooking();
+  const brief = useDesignBrief();
+  const signInFirst = useSignInFirst();
+  const agent = useListingAgent(item);
+  const lead = useLeadForm();
+  const [verifying, setVerifying] = useState(false);
+  const plots = useMemo(() => (item ? [item] : []), [item]);
+  if (!item) return <NotFound />;
+  const area = plotArea(item.boundary);
+  const map = category === "lands" && plotPoint(item) && (
+    <div className="mt-8">
+      <h3 className="mb-2 text-lg font-bold">
+        Location{area ? <span className="ml-2 text-sm font-normal text-gray-600">Surveyed area ≈ {formatArea(area)}</span> : null}
+      </h3>
+      <LandMap plots={plots} activeId={item.id} />
+    </div>
+  );
+  return (
+    <DetailView
+      category={category}
+      item={item}
+      below={
+        <>
+          {map}
+          {category === "lands" && item.installments?.length > 0 && <InstallmentCalculator item={item} />}
+          {category === "plans" && <PlanIncluded plan={item} />}
+        </>
+      }
+    >
+      {category === "materials" ? (
+        <AddToCart item={item} />
+      ) : category === "rentals" ? (
+        <>
+          <button
+            onClick={() => booking.open(item)}
+            className="rounded-xl bg-black px-4 py-2 text-sm font-semibold text-white"
+          >
+            Book Inspection
+          </button>
+          {booking.dialog}
+        </>
+      ) : category === "plans" && planOnSale(item) ? (
+        <BuyPlanButton plan={item} />
+      ) : category === "designs" ? (
+        <>
+          <button onClick={() => brief.open(item)} className="rounded-xl bg-black px-4 py-2 text-sm font-semibold text-white">
+            {CATEGORIES.designs.cta}
+          </button>
+          {brief.dialog}
+        </>
+      ) : category === "lands" || category === "construction" ? (
+        <>
+          <button
+            onClick={() => lead.open(category === "lands" ? "enquiry" : "site-visit", category, item)}
+            className="rounded-xl bg-black px-4 py-2 text-sm font-semibold text-white"
+          >
+            {CATEGORIES[category].cta}
+          </button>
+          {lead.dialog}
+        </>
+      ) : agent ? (
+        <ContactLink channel="whatsapp" agent={agent} category={category} item={item} className="rounded-xl bg-black px-4 py-2 text-sm font-semibold text-white">
+          {CATEGORIES[category].cta}
+        </ContactLink>
+      ) : null}
+      {category === "plans" && item.spec && (
+        <Link to={`/materials/estimator?plan=${item.id}`} className="rounded-xl border px-4 py-2 text-sm font-semibold">
+          Estimate Materials
+        </Link>
+      )}
+      {category === "lands" && (
+        <button
+          onClick={() => signInFirst(() => setVerifying(true))}
+          className="rounded-xl border px-4 py-2 text-sm font-semibold"
+        >
+          Verify Title
+        </button>
+      )}
+      {verifying && <VerificationDialog plot={item} onClose={() => setVerifying(false)} />}
+    </DetailView>
+  );
+}
+
+function AddToCart({ item }) {
+  const cart = useCart();
+  const [qty, setQty] = useState(1);
+  return (
+    <div className="flex flex-wrap items-center gap-3">
+      <QtyStepper qty={qty} unit={item.unit} onChange={(q) => setQty(Math.max(1, q))} />
+      <button
+        onClick={() => cart.add(item.id, qty)}
+        className="rounded-xl bg-black px-4 py-2 text-sm font-semibold text-white"
+      >
+        Add to Cart
+      </button>
+    </div>
+  );
+}
+
 /* LANDS */
 function Lands() {
-  const { show } = useLightbox();
-  const [query, setQuery] = useState("");
-  const [minPrice, setMinPrice] = useState();
-  const [maxPrice, setMaxPrice] = useState();
+  const { showSet } = useLightbox();
+  const catalog = useCatalog();
+  const filters = useListingFilters();
+  const lead = useLeadForm();
+  const [activeId, setActiveId] = useState(null);
+  const cardRefs = useRef({});
+  // surveyed plots get their size from the boundary so size sorting works
+  const lands = useMemo(
+    () => catalog.lands.map((l) => ({ ...l, size: l.size ?? plotArea(l.boundary) })),
+    [catalog.lands]
+  );
+  const { query, minPrice, maxPrice, beds, includeOnRequest, sort } = filters;
+  // memoized so the map only refits when the filtered plots change
+  const results = useMemo(
+    () => filterListings(lands, { query, minPrice, maxPrice, beds, includeOnRequest, sort }),
+    [lands, query, minPrice, maxPrice, beds, includeOnRequest, sort]
+  );
+  const { pageItems, page, pages, total } = paginate(results, filters.page);
+  const onMap = filters.view === "map";
+  const shown = onMap ? results : pageItems;
 
-  const items = DATA.lands.filter((it) => {
-    const q = query.trim().toLowerCase();
-    const matchesQ = !q || it.title.toLowerCase().includes(q) || (it.meta || "").toLowerCase().includes(q);
-    const p = extractPriceNumber(it.price);
-    const matchesMin = minPrice ? (p ? p >= minPrice : false) : true;
-    const matchesMax = maxPrice ? (p ? p <= maxPrice : false) : true;
-    return matchesQ && matchesMin && matchesMax;
-  });
+  function selectPlot(id) {
+    setActiveId(id);
+    cardRefs.current[id]?.scrollIntoView({ block: "nearest", behavior: "smooth" });
+  }
+
+  const cards = shown.map((l) => (
+    <div
+      key={l.id}
+      ref={(el) => (cardRefs.current[l.id] = el)}
+      onClick={onMap ? () => setActiveId(l.id) : undefined}
+      className={`rounded-2xl ${onMap && l.id === activeId ? "ring-2 ring-amber-500 ring-offset-2" : ""}`}
+    >
+      <ImageCard
+        src={l.src}
+        title={l.title}
+        price={l.price}
+        meta={[l.meta, l.boundary && l.size && formatArea(l.size), l.installments?.length && "Installments available"]
+          .filter(Boolean)
+          .join(" • ")}
+        cta="Enquire"
+        to={listingPath("lands", l)}
+        onCta={() => lead.open("enquiry", "lands", l)}
+        listingId={l.id}
+        category="lands"
+        verification={l.verification}
+        onImageClick={() => showSet(...gallerySlides(l, shown))}
+      />
+    </div>
+  ));
 
+  const tab = (v) =>
+    `rounded-lg px-3 py-1.5 text-xs font-semibold ${filters.view === v ? "bg-black text-white" : "text-gray-700"}`;
   return (
     <>
-      <Hero heading="Lands for Sale" sub="Verified plots with proper titles." img={DATA.lands[0]?.src} />
+      <Hero heading="Lands for Sale" sub="Verified plots with proper titles." img={catalog.lands[0]?.src} />
       <Section
         actions={
           <FilterBar
-            query={query} setQuery={setQuery}
-            showPrice minPrice={minPrice} maxPrice={maxPrice}
-            setMinPrice={setMinPrice} setMaxPrice={setMaxPrice}
+            {...filters} showSort showPrice
             placeholder="Search lands..."
           />
         }
       >
-        <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
-          {items.map((l, i) => (
-            <ImageCard
-              key={i}
-              src={l.src}
-              title={l.title}
-              price={l.price}
-              meta={l.meta}
-              cta="Enquire"
-              onImageClick={() => show(l.src, l.title)}
-            />
-          ))}
+        <div className="mb-4 inline-flex rounded-xl border bg-white p-1" role="tablist">
+          <button role="tab" aria-selected={!onMap} onClick={() => filters.setView("list")} className={tab("list")}>List</button>
+          <button role="tab" aria-selected={onMap} onClick={() => filters.setView("map")} className={tab("map")}>Map</button>
         </div>
+        {onMap ? (
+          <div className="grid gap-4 lg:grid-cols-5">
+            <div className="lg:sticky lg:top-20 lg:col-span-3 lg:self-start">
+              <LandMap plots={results} activeId={activeId} onSelect={selectPlot} />
+            </div>
+            <div className="grid max-h-[75vh] gap-4 overflow-y-auto p-1 sm:grid-cols-2 lg:col-span-2">{cards}</div>
+          </div>
+        ) : (
+          <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">{cards}</div>
+        )}
+        <ListingFooter
+          total={total}
+          page={page}
+          pages={onMap ? 1 : pages}
+          onPage={filters.setPage}
+          onClear={filters.clear}
+        />
+        {lead.dialog}
       </Section>
     </>
   );
@@ -698,147 +4808,460 @@ function Lands() {
 
 /* RENTALS */
 function Rentals() {
-  const { show } = useLightbox();
-  const [query, setQuery] = useState("");
-  const [beds, setBeds] = useState();
-
-  const items = DATA.rentals.filter((it) => {
-    const q = query.trim().toLowerCase();
-    const matchesQ = !q || it.title.toLowerCase().includes(q) || (it.meta || "").toLowerCase().includes(q);
-    const matchesBeds = beds ? (it.beds ? it.beds >= beds : false) : true;
-    return matchesQ && matchesBeds;
-  });
+  const { showSet } = useLightbox();
+  const booking = useInspectionBooking();
+  const catalog = useCatalog();
+  const filters = useListingFilters();
+  const { pageItems, page, pages, total } = paginate(filterListings(catalog.rentals, filters), filters.page);
 
   return (
     <>
-      <Hero heading="Houses for Rent" sub="Self-contain, apartments, duplexes." img={DATA.rentals[0]?.src} />
+      <Hero heading="Houses for Rent" sub="Self-contain, apartments, duplexes." img={catalog.rentals[0]?.src} />
       <Section
         actions={
           <FilterBar
-            query={query} setQuery={setQuery}
-            showBeds beds={beds} setBeds={setBeds}
+            {...filters} showSort showBeds
             placeholder="Search rentals..."
           />
         }
       >
         <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
-          {items.map((r, i) => (
+          {pageItems.map((r) => (
             <ImageCard
-              key={i}
+              key={r.id}
               src={r.src}
               title={r.title}
               price={r.price}
               meta={r.meta}
               cta="Book Inspection"
-              onImageClick={() => show(r.src, r.title)}
+              to={listingPath("rentals", r)}
+              onCta={() => booking.open(r)}
+              listingId={r.id}
+              category="rentals"
+              onImageClick={() => showSet(...gallerySlides(r, pageItems))}
             />
           ))}
         </div>
+        <ListingFooter total={total} page={page} pages={pages} onPage={filters.setPage} onClear={filters.clear} />
+        {booking.dialog}
       </Section>
     </>
   );
 }
 
-/* AGENT (single) */
+/* AGENTS directory, filtered by coverage area */
 function Agents() {
-  const agentImg = "/assets/AgentProfile.jpg";
+  const agents = useAgents();
+  const [area, setArea] = useState("");
+  const areas = [...new Set(agents.flatMap((a) => a.areas || []))].sort();
+  const shown = agents.filter((a) => !area || a.areas?.includes(area));
   return (
     <>
-      <Hero heading="Your Verified Agent" sub="Work with one trusted point of contact." img={agentImg} dark />
-      <Section>
-        <div className="max-w-3xl">
-          <Card>
-            <div className="flex flex-col items-start gap-4 md:flex-row">
-              <img
-                src={agentImg}
-                alt="Agent"
-                className="h-28 w-28 rounded-xl object-cover"
-              />
-              <div className="flex-1">
-                <div className="text-lg font-semibold">Oko Isu Ogbonna Kinglaw</div>
-                <div className="text-sm text-gray-600">Benin City • 4.9★ • RC 1647808</div>
-                <p className="mt-2 text-sm text-gray-700">
-                  Specialist in land verification, sales, rentals, materials supply, drawings, and full construction.
-                </p>
-                <div className="mt-3 flex flex-wrap gap-2">
-                  <a href="tel:+2348022340940" className="rounded-xl bg-black px-3 py-2 text-xs font-semibold text-white">Call</a>
-                  <a href="https://wa.me/2348092382323" target="_blank" rel="noreferrer" className="rounded-xl border px-3 py-2 text-xs font-semibold">WhatsApp</a>
-                  <a href="mailto:kinglawparadisebuildersltd@gmail.com" className="rounded-xl border px-3 py-2 text-xs font-semibold">Email</a>
-                  <a href="https://www.facebook.com/share/1Azkcv81sm/" target="_blank" rel="noreferrer" className="rounded-xl border px-3 py-2 text-xs font-semibold">Facebook</a>
-                  <a href="https://www.tiktok.com/@kinglaw.paradise.b?_t=ZM-8yvlrqaLH0S&_r=1" target="_blank" rel="noreferrer" className="rounded-xl border px-3 py-2 text-xs font-semibold">Tiktok</a>
-                  <a href="https://x.com/KinglawLtd?s=09" target="_blank" rel="noreferrer" className="rounded-xl border px-3 py-2 text-xs font-semibold">X</a>
-                </div>
-              </div>
-            </div>
-          </Card>
+      <Hero heading="Our Verified Agents" sub="Find the agent who covers your part of Benin City." img="/assets/AgentProfile.jpg" dark />
+      <Section
+        actions={
+          areas.length > 0 && (
+            <select value={area} onChange={(e) => setArea(e.target.value)} className="rounded-xl border bg-white px-3 py-2 text-sm" aria-label="Area">
+              <option value="">All areas</option>
+              {areas.map((a) => <option key={a} value={a}>{a}</option>)}
+            </select>
+          )
+        }
+      >
+        <div className="grid gap-4 md:grid-cols-2">
+          {shown.map((a) => <AgentCard key={a.id} agent={a} />)}
         </div>
+        {area && !shown.length && <p className="text-sm text-gray-500">No agent covers {area} yet.</p>}
       </Section>
     </>
   );
 }
 
+/* AGENT profile: bio, contact channels and the listings they handle */
+function AgentProfile() {
+  const { id } = useParams();
+  const agents = useAgents();
+  const catalog = useCatalog();
+  const { showSet } = useLightbox();
+  const agent = agents.find((a) => a.id === id);
+  if (!agent) return <NotFound />;
+  const listings = AGENT_CATEGORIES.flatMap((category) =>
+    catalog[category].filter((it) => agentById(agents, it.agentId) === agent).map((item) => ({ category, item }))
+  );
+  return (
+    <Section
+      title={agent.name}
+      subtitle={agent.role}
+      actions={<Link to="/agents" className="rounded-xl border px-3 py-2 text-xs font-semibold">← All agents</Link>}
+    >
+      <div className="grid gap-6 md:grid-cols-[220px_1fr]">
+        <img src={agent.photo || "/assets/logo.jpg"} alt={agent.name} className="aspect-square w-full rounded-2xl object-cover" />
+        <div>
+          <RatingSummary type="agent" id={agent.id} />
+          {agent.bio && <p className="mt-2 text-sm text-gray-700">{agent.bio}</p>}
+          <dl className="mt-3 space-y-1 text-sm">
+            {agent.areas?.length > 0 && (
+              <div>
+                <dt className="inline font-semibold">Covers: </dt>
+                <dd className="inline text-gray-700">{agent.areas.join(", ")}</dd>
+              </div>
+            )}
+            {agent.languages?.length > 0 && (
+              <div>
+                <dt className="inline font-semibold">Speaks: </dt>
+                <dd className="inline text-gray-700">{agent.languages.join(", ")}</dd>
+              </div>
+            )}
+          </dl>
+          <div className="mt-4">
+            <AgentContacts agent={agent} socials />
+          </div>
+        </div>
+      </div>
+      <h3 className="mb-3 mt-8 text-lg font-bold">Listings ({listings.length})</h3>
+      <div className="grid gap-4 sm:grid-cols-2 md:grid-cols-3">
+        {listings.map(({ category, item }) => (
+          <ImageCard
+            key={item.id}
+            src={item.src}
+            title={item.title}
+            meta={item.meta}
+            price={item.price}
+            to={listingPath(category, item)}
+            cta="View Details"
+            listingId={item.id}
+            category={category}
+            onImageClick={() => showSet(...gallerySlides(item))}
+          />
+        ))}
+      </div>
+      <h3 className="mb-3 mt-8 text-lg font-bold">Client reviews</h3>
+      <ReviewList type="agent" id={agent.id} />
+    </Section>
+  );
+}
+
 /* MATERIALS */
 function Materials() {
-  const { show } = useLightbox();
-  const [query, setQuery] = useState("");
-
-  const items = DATA.materials.filter((it) => {
-    const q = query.trim().toLowerCase();
-    return !q || it.title.toLowerCase().includes(q);
-  });
+  const { showSet } = useLightbox();
+  const cart = useCart();
+  const catalog = useCatalog();
+  const filters = useListingFilters();
+  const { pageItems, page, pages, total } = paginate(filterListings(catalog.materials, filters), filters.page);
 
   return (
     <>
       <Hero heading="Building Materials" sub="Quality materials • Fast delivery" img="/assets/materials/wood.jpg" />
       <Section
         actions={
-          <FilterBar query={query} setQuery={setQuery} placeholder="Search materials..." />
+          <div className="flex flex-wrap items-center justify-end gap-2">
+            <Link to="/materials/estimator" className="rounded-xl border bg-white px-3 py-2 text-xs font-semibold">
+              Estimate quantities
+            </Link>
+            <FilterBar {...filters} placeholder="Search materials..." />
+          </div>
         }
       >
         <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
-          {items.map((it, i) => (
+          {pageItems.map((it) => (
             <ImageCard
-              key={i}
+              key={it.id}
               src={it.src}
               title={it.title}
               price={it.price}
+              unit={it.unit}
               cta="Add to Cart"
-              onImageClick={() => show(it.src, it.title)}
+              to={listingPath("materials", it)}
+              onCta={() => cart.add(it.id)}
+              onImageClick={() => showSet(...gallerySlides(it, pageItems))}
             />
           ))}
         </div>
+        <ListingFooter total={total} page={page} pages={pages} onPage={filters.setPage} onClear={filters.clear} />
       </Section>
     </>
   );
 }
 
+/* MATERIALS ESTIMATOR */
+function Estimator() {
+  const catalog = useCatalog();
+  const cart = useCart();
+  const signInFirst = useSignInFirst();
+  const [params] = useSearchParams();
+  const fromPlan = catalog.plans.find((p) => p.id === params.get("plan") && p.spec);
+  const [input, setInput] = useState(() => ({
+    planId: fromPlan?.id || "",
+    buildingType: "bungalow",
+    floors: 1,
+    floorArea: 120,
+    wallLength: "",
+    ...fromPlan?.spec,
+  }));
+  const [quoting, setQuoting] = useState(false);
+  const plans = catalog.plans.filter((p) => p.spec);
+  const valid = input.floorArea > 0 && input.floors >= 1;
+  const estimate = valid
+    ? estimateMaterials({ ...input, floorArea: Number(input.floorArea), floors: Number(input.floors), wallLength: Number(input.wallLength) || 0 })
+    : null;
+  const lines = (estimate?.lines || []).map((l) => ({
+    ...l,
+    item: catalog.materials.find((m) => m.tags?.includes(l.tag)),
+  }));
+  const priced = lines.filter((l) => l.item && priceValue(l.item) !== undefined);
+  const totalKobo = priced.reduce((sum, l) => sum + l.item.price.amountKobo * l.qty, 0);
+
+  // editing any dimension turns the plan into custom dimensions
+  const set = (k) => (e) => setInput((v) => ({ ...v, planId: "", [k]: e.target.value }));
+  function pickPlan(e) {
+    const plan = plans.find((p) => p.id === e.target.value);
+    setInput((v) => ({ ...v, planId: e.target.value, ...plan?.spec, wallLength: plan?.spec.wallLength || "" }));
+  }
+
+  function addAllToCart() {
+    lines.filter((l) => l.item).forEach((l) => cart.add(l.item.id, l.qty));
+  }
+
+  const boqText = lines
+    .map((l) => `${l.qty} × ${l.item ? `${l.item.title} (${unitLabel(l.item.unit, l.qty)})` : l.label}`)
+    .join("\n");
+  const fieldCls = "mt-1 w-full rounded-xl border px-3 py-2 text-sm";
+  return (
+    <Section
+      title="Materials Estimator"
+      subtitle="Rough bill of quantities for a block building, with wastage allowance. Confirm with your engineer before buying."
+      actions={<Link to="/materials" className="rounded-xl border px-3 py-2 text-xs font-semibold">← Building Materials</Link>}
+    >
+      <div className="grid gap-6 lg:grid-cols-3">
+        <Card>
+          <div className="space-y-3">
+            <div>
+              <label className="text-sm font-medium">Start from a plan <span className="font-normal text-gray-500">(optional)</span></label>
+              <select value={input.planId} onChange={pickPlan} className={fieldCls}>
+                <option value="">Custom dimensions</option>
+                {plans.map((p) => <option key={p.id} value={p.id}>{p.title} • {p.ref}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="text-sm font-medium">Building type</label>
+              <select value={input.buildingType} onChange={set("buildingType")} className={fieldCls}>
+                {Object.entries(BUILDING_TYPES).map(([k, t]) => <option key={k} value={k}>{t.label}</option>)}
+              </select>
+            </div>
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label className="text-sm font-medium">Floor area (m²)</label>
+                <input type="number" min={1} value={input.floorArea} onChange={set("floorArea")} className={fieldCls} />
+              </div>
+              <div>
+                <label className="text-sm font-medium">Floors</label>
+                <input type="number" min={1} max={10} value={input.floors} onChange={set("floors")} className={fieldCls} />
+              </div>
+            </div>
+            <div>
+              <label className="text-sm font-medium">Wall length per floor (m) <span className="font-normal text-gray-500">(optional)</span></label>
+              <input type="number" min={0} value={input.wallLength || ""} onChange={set("wallLength")} className={fieldCls} />
+              <FieldHint hint={estimate && !Number(input.wallLength) ? `Estimated at ${Math.round(estimate.walls)} m from the floor area.` : undefined} />
+            </div>
+          </div>
+        </Card>
+        <div className="lg:col-span-2">
+          {!estimate ? (
+            <p className="text-sm text-gray-600">Enter the floor area and number of floors.</p>
+          ) : (
+            <>
+              <div className="overflow-x-auto rounded-2xl border bg-white">
+                <table className="w-full text-left text-sm">
+                  <thead className="bg-gray-50 text-xs text-gray-600">
+                    <tr>
+                      <th className="p-3">Item</th>
+                      <th className="p-3 text-right">Quantity</th>
+                      <th className="p-3 text-right">Wastage</th>
+                      <th className="p-3 text-right">To order</th>
+                      <th className="p-3 text-right">Est. cost</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {lines.map((l) => (
+                      <tr key={l.key} className="border-t">
+                        <td className="p-3">
+                          {l.item ? (
+                            <Link to={listingPath("materials", l.item)} className="font-medium hover:underline">{l.item.title}</Link>
+                          ) : (
+                            <span className="font-medium">{l.label}</span>
+                          )}
+                          {!l.item && <div className="text-xs text-gray-500">Not in our catalogue yet</div>}
+                        </td>
+                        <td className="p-3 text-right">{Math.round(l.base * 10) / 10}</td>
+                        <td className="p-3 text-right text-gray-600">+{Math.round(l.wastage * 100)}%</td>
+                        <td className="p-3 text-right font-semibold">
+                          {l.item ? `${l.qty} ${unitLabel(l.item.unit, l.qty)}` : l.qty}
+                        </td>
+                        <td className="p-3 text-right">
+                          {!l.item ? "—" : priceValue(l.item) === undefined ? "On request" : formatMoney(l.item.price.amountKobo * l.qty)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                  {priced.length > 0 && (
+                    <tfoot>
+                      <tr className="border-t font-semibold">
+                        <td className="p-3" colSpan={4}>
+                          Estimated total{priced.length < lines.length && " (priced items only)"}
+                        </td>
+                        <td className="p-3 text-right">{formatMoney(totalKobo)}</td>
+                      </tr>
+                    </tfoot>
+                  )}
+                </table>
+              </div>
+              <p className="mt-2 text-xs text-gray-500">
+                Based on {Math.round(estimate.wallArea)} m² of blockwork and {Math.round(estimate.concrete * 10) / 10} m³ of 1:2:4 concrete.
+                Roofing sheets, doors, windows, plumbing and electrical are not included.
+              </p>
+              <div className="mt-4 flex flex-wrap gap-2">
+                <button onClick={addAllToCart} className="rounded-xl bg-black px-4 py-2 text-sm font-semibold text-white">
+                  Add all to cart
+                </button>
+                <button onClick={() => signInFirst(() => setQuoting(true))} className="rounded-xl border px-4 py-2 text-sm font-semibold">
+                  Request a quote for this list
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+      {quoting && (
+        <QuoteDialog service={serviceById("materials-supply")} defaults={{ items: boqText }} onClose={() => setQuoting(false)} />
+      )}
+    </Section>
+  );
+}
+
+/* CHECKOUT */
+function Checkout() {
+  const cart = useCart();
+  const [error, setError] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [pending, setPending] = useState(false);
+  const [order, setOrder] = useState(null);
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    const form = new FormData(e.currentTarget);
+    setError("");
+    setFieldErrors({});
+    setPending(true);
+    try {
+      const data = await api("/orders", {
+        method: "POST",
+        body: {
+          address: form.get("address"),
+          phone: form.get("phone"),
+          notes: form.get("notes"),
+          items: cart.items.map((it) => ({ listingId: it.id, title: it.title, unit: it.unit, qty: it.qty })),
+        },
+      });
+      cart.clear();
+      setOrder(data.order);
+    } catch (err) {
+      setError(err.message);
+      setFieldErrors(err.fields || {});
+    } finally {
+      setPending(false);
+    }
+  }
+
+  if (order) {
+    return (
+      <Section title="Order placed" subtitle={`Ref: ${order.ref}`}>
+        <p className="text-sm text-gray-600">
+          Thank you! Our agent will call {order.phone} to confirm prices and delivery.
+        </p>
+        <div className="mt-4 flex gap-2">
+          <Link to="/dashboard" className="rounded-xl bg-black px-4 py-2 text-sm font-semibold text-white">Track order</Link>
+          <Link to="/materials" className="rounded-xl border px-4 py-2 text-sm font-semibold">Continue shopping</Link>
+        </div>
+      </Section>
+    );
+  }
+
+  if (!cart.items.length) {
+    return (
+      <Section title="Checkout">
+        <p className="text-sm text-gray-600">Your cart is empty.</p>
+        <div className="mt-4">
+          <Link to="/materials" className="rounded-xl bg-black px-4 py-2 text-sm font-semibold text-white">Shop materials</Link>
+        </div>
+      </Section>
+    );
+  }
+
+  return (
+    <Section title="Checkout" subtitle="Tell us where to deliver your materials.">
+      <div className="grid gap-6 md:grid-cols-2">
+        <form onSubmit={handleSubmit} className="space-y-3 rounded-2xl border bg-white p-5">
+          <div>
+            <label className="text-sm font-medium">Delivery address</label>
+            <textarea name="address" required rows={3} className="mt-1 w-full rounded-xl border px-3 py-2 text-sm" />
+            <FieldHint error={fieldErrors.address} />
+          </div>
+          <div>
+            <label className="text-sm font-medium">Phone number</label>
+            <input name="phone" type="tel" required placeholder="0803 000 0000" className="mt-1 w-full rounded-xl border px-3 py-2 text-sm" />
+            <FieldHint error={fieldErrors.phone} hint="We call this number to confirm delivery." />
+          </div>
+          <div>
+            <label className="text-sm font-medium">Notes (optional)</label>
+            <input name="notes" className="mt-1 w-full rounded-xl border px-3 py-2 text-sm" />
+          </div>
+          <FormError message={error} />
+          <button disabled={pending} className="w-full rounded-xl bg-black px-4 py-2 text-sm font-semibold text-white disabled:opacity-60">
+            {pending ? "Placing order..." : "Place order"}
+          </button>
+        </form>
+        <Card>
+          <div className="text-sm font-semibold">Order summary</div>
+          <ul className="mt-3 space-y-2 text-sm">
+            {cart.items.map((it) => (
+              <li key={it.id} className="flex justify-between gap-2">
+                <span>{it.title}</span>
+                <span className="text-gray-600">{it.qty} {unitLabel(it.unit, it.qty)}</span>
+              </li>
+            ))}
+          </ul>
+        </Card>
+      </div>
+    </Section>
+  );
+}
+
 /* ARTIFACTS */
 function Artifacts() {
-  const { show } = useLightbox();
-  const [query, setQuery] = useState("");
-
-  const items = DATA.artifacts.filter((it) => {
-    const q = query.trim().toLowerCase();
-    return !q || it.title.toLowerCase().includes(q);
-  });
+  const { showSet } = useLightbox();
+  const catalog = useCatalog();
+  const filters = useListingFilters();
+  const { pageItems, page, pages, total } = paginate(filterListings(catalog.artifacts, filters), filters.page);
 
   return (
     <>
-      <Hero heading="Building Artifacts" sub="Snapshots from our works and branding." img={DATA.artifacts[0]?.src} />
+      <Hero heading="Building Artifacts" sub="Snapshots from our works and branding." img={catalog.artifacts[0]?.src} />
       <Section
-        actions={<FilterBar query={query} setQuery={setQuery} placeholder="Search artifacts..." />}
+        actions={<FilterBar {...filters} placeholder="Search artifacts..." />}
       >
         <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
-          {items.map((g, i) => (
+          {pageItems.map((g) => (
             <ImageCard
-              key={i}
+              key={g.id}
               src={g.src}
               title={g.title}
               cta="View"
-              onImageClick={() => show(g.src, g.title)}
+              to={listingPath("artifacts", g)}
+              onImageClick={() => showSet(...gallerySlides(g, pageItems))}
             />
           ))}
         </div>
+        <ListingFooter total={total} page={page} pages={pages} onPage={filters.setPage} onClear={filters.clear} />
       </Section>
     </>
   );
@@ -846,14 +5269,8 @@ function Artifacts() {
 
 /* SERVICES */
 function Services() {
-  const svcs = [
-    "Land Verification",
-    "Survey & Beaconing",
-    "Architectural Drawings",
-    "3D Designs & Renders",
-    "Renovations",
-    "General Construction",
-  ];
+  const signInFirst = useSignInFirst();
+  const [active, setActive] = useState(null);
   return (
     <>
       <Hero
@@ -863,20 +5280,30 @@ function Services() {
       />
       <Section>
         <div className="grid gap-4 md:grid-cols-2 lg:grid-cols-3">
-          {svcs.map((svc, i) => (
-            <Card key={i}>
-              <div className="text-lg font-semibold">{svc}</div>
+          {SERVICES.map((svc) => (
+            <Card key={svc.id}>
+              <div className="text-lg font-semibold">{svc.name}</div>
+              <RatingSummary type="service" id={svc.id} />
               <p className="mt-1 text-sm text-gray-600">
                 Professional service delivered by vetted experts with transparent pricing.
               </p>
               <div className="mt-3">
-                <button className="rounded-xl bg-black px-3 py-2 text-xs font-semibold text-white">
+                <button
+                  onClick={() => signInFirst(() => setActive(svc))}
+                  className="rounded-xl bg-black px-3 py-2 text-xs font-semibold text-white"
+                >
                   Request Quote
                 </button>
+                {svc.id === "land-verification" && (
+                  <Link to="/lands" className="ml-2 rounded-xl border px-3 py-2 text-xs font-semibold">
+                    Verify a listed plot
+                  </Link>
+                )}
               </div>
             </Card>
           ))}
         </div>
+        {active && <QuoteDialog service={active} onClose={() => setActive(null)} />}
       </Section>
     </>
   );
@@ -884,30 +5311,34 @@ function Services() {
 
 /* PLANS */
 function Plans() {
-  const { show } = useLightbox();
-  const [query, setQuery] = useState("");
-  const items = DATA.plans.filter((it) => {
-    const q = query.trim().toLowerCase();
-    return !q || it.title.toLowerCase().includes(q);
-  });
+  const { showSet } = useLightbox();
+  const catalog = useCatalog();
+  const filters = useListingFilters();
+  const { pageItems, page, pages, total } = paginate(filterListings(catalog.plans, filters), filters.page);
 
   return (
     <>
-      <Hero heading="Building Drawing Plans" sub="Ready-made and custom plans." img={DATA.plans[0]?.src} />
+      <Hero heading="Building Drawing Plans" sub="Ready-made and custom plans." img={catalog.plans[0]?.src} />
       <Section
-        actions={<FilterBar query={query} setQuery={setQuery} placeholder="Search plans..." />}
+        actions={<FilterBar {...filters} placeholder="Search plans..." />}
       >
         <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
-          {items.map((p, i) => (
+          {pageItems.map((p) => (
             <ImageCard
-              key={i}
+              key={p.id}
               src={p.src}
               title={p.title}
-              cta="Request PDF"
-              onImageClick={() => show(p.src, p.title)}
+              meta={planFacts(p).join(" • ")}
+              price={p.price}
+              cta={CATEGORIES.plans.cta}
+              to={listingPath("plans", p)}
+              listingId={p.id}
+              category="plans"
+              onImageClick={() => showSet(...gallerySlides(p, pageItems))}
             />
           ))}
         </div>
+        <ListingFooter total={total} page={page} pages={pages} onPage={filters.setPage} onClear={filters.clear} />
       </Section>
     </>
   );
@@ -915,182 +5346,1735 @@ function Plans() {
 
 /* DESIGNS */
 function Designs() {
-  const { show } = useLightbox();
-  const [query, setQuery] = useState("");
-  const items = DATA.designs.filter((it) => {
-    const q = query.trim().toLowerCase();
-    return !q || it.title.toLowerCase().includes(q);
-  });
+  const { showSet } = useLightbox();
+  const catalog = useCatalog();
+  const filters = useListingFilters();
+  const { pageItems, page, pages, total } = paginate(filterListings(catalog.designs, filters), filters.page);
+  const brief = useDesignBrief();
+
+  return (
+    <>
+      <Hero heading="Building Designs" sub="Modern, contemporary and classic." img={catalog.designs[0]?.src} />
+      <Section
+        actions={<FilterBar {...filters} placeholder="Search designs..." />}
+      >
+        <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
+          {pageItems.map((d) => (
+            <ImageCard
+              key={d.id}
+              src={d.src}
+              title={d.title}
+              cta={CATEGORIES.designs.cta}
+              to={listingPath("designs", d)}
+              onCta={() => brief.open(d)}
+              listingId={d.id}
+              category="designs"
+              onImageClick={() => showSet(...gallerySlides(d, pageItems))}
+            />
+          ))}
+        </div>
+        <ListingFooter total={total} page={page} pages={pages} onPage={filters.setPage} onClear={filters.clear} />
+        {brief.dialog}
+      </Section>
+    </>
+  );
+}
+
+/* CONSTRUCTION */
+function Construction() {
+  const { showSet } = useLightbox();
+  const catalog = useCatalog();
+  const filters = useListingFilters();
+  const lead = useLeadForm();
+  const { pageItems, page, pages, total } = paginate(filterListings(catalog.construction, filters), filters.page);
+
+  return (
+    <>
+      <Hero heading="Construction" sub="From foundation to finishing." img={catalog.construction[0]?.src} />
+      <Section
+        actions={<FilterBar {...filters} placeholder="Search projects..." />}
+      >
+        <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
+          {pageItems.map((p) => (
+            <ImageCard
+              key={p.id}
+              src={p.src}
+              title={p.title}
+              cta="Request Site Visit"
+              to={listingPath("construction", p)}
+              onCta={() => lead.open("site-visit", "construction", p)}
+              onImageClick={() => showSet(...gallerySlides(p, pageItems))}
+            />
+          ))}
+        </div>
+        <ListingFooter total={total} page={page} pages={pages} onPage={filters.setPage} onClear={filters.clear} />
+        {lead.dialog}
+      </Section>
+      <Section title="From our clients" subtitle="Reviews from clients whose builds we have handed over.">
+        <div className="mb-4">
+          <RatingSummary type="service" id="general-construction" />
+        </div>
+        <ReviewList type="project" />
+      </Section>
+    </>
+  );
+}
+
+/* ====================== AUTH PAGES ====================== */
+function Login() {
+  const { login } = useAuth();
+  const location = useLocation();
+  const from = location.state?.from?.pathname || "/dashboard";
+  const [error, setError] = useState("");
+  const [pending, setPending] = useState(false);
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    const form = new FormData(e.currentTarget);
+    setError("");
+    setPending(true);
+    try {
+      await login(form.get("email"), form.get("password"));
+    } catch (err) {
+      setError(err.message);
+      setPending(false);
+    }
+  }
+
+  return (
+    <Section title="Sign in" subtitle="Access your dashboard, saved listings and orders.">
+      <form
+        onSubmit={handleSubmit}
+        className="mx-auto max-w-md space-y-3 rounded-2xl border bg-white p-5"
+      >
+        <FormError message={error} />
+        <div>
+          <label className="text-sm font-medium">Email</label>
+          <input name="email" type="email" required className="mt-1 w-full rounded-xl border px-3 py-2 text-sm" />
+        </div>
+        <div>
+          <label className="text-sm font-medium">Password</label>
+          <input name="password" type="password" required className="mt-1 w-full rounded-xl border px-3 py-2 text-sm" />
+        </div>
+        <button disabled={pending} className="w-full rounded-xl bg-black px-4 py-2 text-sm font-semibold text-white disabled:opacity-60">
+          {pending ? "Signing in..." : "Sign in"}
+        </button>
+        <div className="text-center text-xs text-gray-600">
+          No account? <Link to="/auth/register" className="font-semibold underline">Create one</Link>
+        </div>
+      </form>
+      <AuthRedirect to={from} />
+    </Section>
+  );
+}
+
+function AuthRedirect({ to }) {
+  const { user } = useAuth();
+  if (!user) return null;
+  return <Navigate to={to} replace />;
+}
+
+function Register() {
+  const { register } = useAuth();
+  const [error, setError] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [pending, setPending] = useState(false);
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    const form = new FormData(e.currentTarget);
+    setError("");
+    setFieldErrors({});
+    setPending(true);
+    try {
+      await register({
+        firstName: form.get("first"),
+        lastName: form.get("last"),
+        email: form.get("email"),
+        password: form.get("password"),
+      });
+    } catch (err) {
+      setError(err.message);
+      setFieldErrors(err.fields || {});
+      setPending(false);
+    }
+  }
+  return (
+    <Section title="Create account" subtitle="Save favourites, request quotes, and track orders.">
+      <form
+        onSubmit={handleSubmit}
+        className="mx-auto max-w-md space-y-3 rounded-2xl border bg-white p-5"
+      >
+        <img src="public/assets/logo.jpg" alt="KPB" className="mx-auto h-14 w-14 object-contain" />
+        <div className="grid gap-3 sm:grid-cols-2">
+          <div>
+            <label className="text-sm font-medium">First name</label>
+            <input name="first" required className="mt-1 w-full rounded-xl border px-3 py-2 text-sm" />
+          </div>
+          <div>
+            <label className="text-sm font-medium">Last name</label>
+            <input name="last" required className="mt-1 w-full rounded-xl border px-3 py-2 text-sm" />
+          </div>
+        </div>
+        <div>
+          <label className="text-sm font-medium">Email</label>
+          <input name="email" type="email" required className="mt-1 w-full rounded-xl border px-3 py-2 text-sm" />
+          <FieldHint error={fieldErrors.email} />
+        </div>
+        <div>
+          <label className="text-sm font-medium">Password</label>
+          <input name="password" type="password" required minLength={8} className="mt-1 w-full rounded-xl border px-3 py-2 text-sm" />
+          <FieldHint error={fieldErrors.password} hint="At least 8 characters." />
+        </div>
+        <FormError message={error} />
+        <button disabled={pending} className="w-full rounded-xl bg-black px-4 py-2 text-sm font-semibold text-white disabled:opacity-60">
+          {pending ? "Creating account..." : "Create account"}
+        </button>
+        <div className="text-center text-xs text-gray-600">
+          Already have an account? <Link to="/auth/login" className="font-semibold underline">Sign in</Link>
+        </div>
+      </form>
+      <AuthRedirect to="/dashboard" />
+    </Section>
+  );
+}
+
+/* ====================== ADMIN (STAFF) ====================== */
+const ADMIN_SECTIONS = [
+  { to: "/admin", label: "Listings" },
+  { to: "/admin/leads", label: "Leads" },
+  { to: "/admin/projects", label: "Projects" },
+  { to: "/admin/tenancies", label: "Tenancies" },
+  { to: "/admin/plan-sales", label: "Plan sales" },
+  { to: "/admin/agents", label: "Agents" },
+  { to: "/admin/reviews", label: "Reviews" },
+  { to: "/admin/enquiries", label: "Enquiries" },
+  { to: "/admin/messages", label: "Messages" },
+];
+
+function AdminNav() {
+  const { pathname } = useLocation();
+  return (
+    <nav className="mb-6 flex flex-wrap gap-2 border-b pb-3">
+      {ADMIN_SECTIONS.map((s) => (
+        <Link
+          key={s.to}
+          to={s.to}
+          className={`rounded-xl px-3 py-2 text-sm font-semibold ${pathname === s.to ? "bg-black text-white" : "border bg-white"}`}
+        >
+          {s.label}
+        </Link>
+      ))}
+    </nav>
+  );
+}
+
+/* Extra editor fields per category on top of title/meta/desc/tags/image */
+const TITLE_DOCUMENTS = ["C of O", "Survey & Deed", "Governor's Consent", "Gazette", "Excision", "Registered Conveyance"];
+
+const LISTING_EDITOR_FIELDS = {
+  properties: ["agent", "price", "beds", "baths", "size", "title", "details", "installments"],
+  lands: ["agent", "price", "size", "title", "details", "location", "installments"],
+  rentals: ["agent", "price", "beds", "baths", "details"],
+  materials: ["price", "unit"],
+  plans: ["price", "beds", "drawing", "spec"],
+};
+
+function Admin() {
+  const [category, setCategory] = useState("properties");
+  const [statusFilter, setStatusFilter] = useState("");
+  const [editing, setEditing] = useState(null); // listing, or {} for a new one
+  const [error, setError] = useState("");
+  const listings = useApi(`/admin/listings?category=${category}`);
+  const { reload: reloadCatalog } = useContext(CatalogContext);
+  const all = listings.data?.listings || [];
+  const shown = all.filter((l) => !statusFilter || l.status === statusFilter);
+
+  function refresh() {
+    listings.reload();
+    reloadCatalog();
+  }
+
+  async function run(action) {
+    setError("");
+    try {
+      await action();
+      refresh();
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  const setStatus = (l, status) =>
+    run(() => api(`/admin/listings/${l.id}`, { method: "PATCH", body: { status } }));
+
+  // swaps with the neighbour in the full category order (all statuses)
+  function move(l, dir) {
+    const ids = all.map((x) => x.id);
+    const i = ids.indexOf(l.id);
+    const j = i + dir;
+    if (j < 0 || j >= ids.length) return;
+    [ids[i], ids[j]] = [ids[j], ids[i]];
+    run(() => api("/admin/listings/reorder", { method: "POST", body: { category, ids } }));
+  }
+
+  const btn = "rounded-lg border px-2 py-1 text-xs font-semibold";
+  return (
+    <Section
+      title="Content Admin"
+      subtitle="Create, edit, publish and order the listings shown on the site."
+      actions={
+        <button onClick={() => setEditing({})} className="rounded-xl bg-black px-4 py-2 text-sm font-semibold text-white">
+          New listing
+        </button>
+      }
+    >
+      <AdminNav />
+      <div className="mb-4 flex flex-wrap items-center gap-2">
+        {Object.entries(CATEGORIES).map(([key, c]) => (
+          <button
+            key={key}
+            onClick={() => setCategory(key)}
+            className={`rounded-xl px-3 py-2 text-sm font-medium ${key === category ? "bg-black text-white" : "border bg-white"}`}
+          >
+            {c.label}
+          </button>
+        ))}
+        <select
+          value={statusFilter}
+          onChange={(e) => setStatusFilter(e.target.value)}
+          className="ml-auto rounded-xl border px-3 py-2 text-sm"
+          aria-label="Status"
+        >
+          <option value="">All statuses</option>
+          <option value="published">Published</option>
+          <option value="draft">Drafts</option>
+          <option value="let">Let (tenanted)</option>
+          <option value="archived">Archived</option>
+        </select>
+      </div>
+      <FormError message={error} />
+      <ApiState state={listings} isEmpty={() => !shown.length} empty="No listings here yet.">
+        <div className="overflow-hidden rounded-2xl border bg-white">
+          {shown.map((l) => (
+            <div key={l.id} className="flex items-center gap-3 border-b p-3 last:border-b-0">
+              <ImageTile src={l.src} alt={l.title} className="h-12 w-16 shrink-0" />
+              <div className="min-w-0 flex-1">
+                <div className="truncate text-sm font-semibold">{l.title}</div>
+                <div className="text-xs text-gray-500">
+                  {l.ref}
+                  {l.price && ` • ${formatPrice(l.price, l.unit)}`}
+                </div>
+              </div>
+              <StatusBadge status={l.status} />
+              <div className="flex flex-wrap justify-end gap-1">
+                <button onClick={() => move(l, -1)} className={btn} aria-label="Move up">↑</button>
+                <button onClick={() => move(l, 1)} className={btn} aria-label="Move down">↓</button>
+                <button onClick={() => setEditing(l)} className={btn}>Edit</button>
+                {l.status === "draft" && <button onClick={() => setStatus(l, "published")} className={btn}>Publish</button>}
+                {l.status === "published" && <button onClick={() => setStatus(l, "draft")} className={btn}>Unpublish</button>}
+                {l.status !== "archived" ? (
+                  <button onClick={() => setStatus(l, "archived")} className={`${btn} text-red-600`}>Archive</button>
+                ) : (
+                  <button onClick={() => setStatus(l, "draft")} className={btn}>Restore</button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      </ApiState>
+      {editing && (
+        <ListingEditor
+          category={category}
+          listing={editing.id ? editing : null}
+          onClose={() => setEditing(null)}
+          onSaved={() => {
+            setEditing(null);
+            refresh();
+          }}
+        />
+      )}
+    </Section>
+  );
+}
+
+function AdminProjects() {
+  const projects = useApi("/projects");
+  const [creating, setCreating] = useState(false);
+  return (
+    <Section
+      title="Construction Projects"
+      subtitle="Post stage updates with photos and keep payment milestones for each client build."
+      actions={
+        <button onClick={() => setCreating(true)} className="rounded-xl bg-black px-4 py-2 text-sm font-semibold text-white">
+          New project
+        </button>
+      }
+    >
+      <AdminNav />
+      <ProjectList state={projects} />
+      {creating && (
+        <NewProjectDialog
+          onClose={() => setCreating(false)}
+          onDone={() => {
+            setCreating(false);
+            projects.reload();
+          }}
+        />
+      )}
+    </Section>
+  );
+}
+
+function AdminPlanSales() {
+  const purchases = useApi("/plan-purchases");
+  return (
+    <Section title="Plan Sales" subtitle="Confirm payment for plan orders; the buyer's download unlocks straight away.">
+      <AdminNav />
+      <PlanPurchaseList state={purchases} />
+    </Section>
+  );
+}
+
+function AdminTenancies() {
+  const tenancies = useApi("/tenancies");
+  const { reload: reloadCatalog } = useContext(CatalogContext);
+  const [creating, setCreating] = useState(false);
+  const [filter, setFilter] = useState("active");
+  const refresh = () => {
+    tenancies.reload();
+    reloadCatalog();
+  };
+  const shown = {
+    ...tenancies,
+    data: tenancies.data && { tenancies: tenancies.data.tenancies.filter((t) => !filter || t.status === filter) },
+  };
+  return (
+    <Section
+      title="Tenancies"
+      subtitle="Tenants, leases and rent ledgers for the flats we manage. Let flats leave the Rentals page until the tenancy ends."
+      actions={
+        <button onClick={() => setCreating(true)} className="rounded-xl bg-black px-4 py-2 text-sm font-semibold text-white">
+          New tenancy
+        </button>
+      }
+    >
+      <AdminNav />
+      <select value={filter} onChange={(e) => setFilter(e.target.value)} className="mb-4 rounded-xl border px-3 py-2 text-sm" aria-label="Status">
+        <option value="active">Active</option>
+        <option value="ended">Ended</option>
+        <option value="">All</option>
+      </select>
+      <TenancyList state={shown} onChange={refresh} />
+      {creating && (
+        <NewTenancyDialog
+          onClose={() => setCreating(false)}
+          onDone={() => {
+            setCreating(false);
+            refresh();
+          }}
+        />
+      )}
+    </Section>
+  );
+}
+
+function AdminAgents() {
+  const agents = useApi("/admin/agents");
+  const { reload: reloadCatalog } = useContext(CatalogContext);
+  const [editing, setEditing] = useState(null); // agent, or {} for a new one
+  const refresh = () => {
+    setEditing(null);
+    agents.reload();
+    reloadCatalog();
+  };
+  return (
+    <Section
+      title="Agents"
+      subtitle="The public agent directory. Listings with no agent, or an inactive one, go to the primary agent."
+      actions={
+        <button onClick={() => setEditing({})} className="rounded-xl bg-black px-4 py-2 text-sm font-semibold text-white">
+          New agent
+        </button>
+      }
+    >
+      <AdminNav />
+      <ApiState state={agents} isEmpty={(d) => !d?.agents.length} empty="No agents yet.">
+        <div className="grid gap-4 md:grid-cols-2">
+          {agents.data?.agents.map((a) => (
+            <Card key={a.id}>
+              <div className="flex items-start gap-3">
+                <img src={a.photo || "/assets/logo.jpg"} alt={a.name} className="h-14 w-14 rounded-xl object-cover" />
+                <div className="min-w-0 flex-1">
+                  <div className="flex flex-wrap items-center gap-2">
+                    <span className="font-semibold">{a.name}</span>
+                    {a.primary && <Badge>Primary</Badge>}
+                    {!a.active && <StatusBadge status="inactive" />}
+                  </div>
+                  <div className="text-xs text-gray-600">{a.phone}{a.email ? ` • ${a.email}` : ""}</div>
+                  <div className="text-xs text-gray-600">
+                    {a.listings} listing{a.listings === 1 ? "" : "s"}
+                    {a.areas.length > 0 && ` • ${a.areas.join(", ")}`}
+                  </div>
+                </div>
+                <button onClick={() => setEditing(a)} className="rounded-xl border px-3 py-1 text-xs font-semibold">
+                  Edit
+                </button>
+              </div>
+            </Card>
+          ))}
+        </div>
+      </ApiState>
+      {editing && <AgentEditor agent={editing.id ? editing : null} onClose={() => setEditing(null)} onSaved={refresh} />}
+    </Section>
+  );
+}
+
+const LEAD_CSV_COLUMNS = [
+  ["Ref", (l) => l.ref],
+  ["Received", (l) => l.createdAt],
+  ["Source", (l) => LEAD_SOURCES[l.source.kind]],
+  ["Source ref", (l) => l.source.ref],
+  ["Page", (l) => l.page],
+  ["Listing", (l) => l.listingRef && `${l.listingRef} ${l.listingTitle}`],
+  ["Name", (l) => l.name],
+  ["Phone", (l) => l.phone],
+  ["Email", (l) => l.email],
+  ["Message", (l) => l.message],
+  ["Account", (l) => (l.userId ? "yes" : "no")],
+  ["Agent", (l, agents) => agents.find((a) => a.id === l.agentId)?.name],
+  ["Status", (l) => l.status],
+  ["Follow up", (l) => l.followUp],
+  ["Notes", (l) => l.notes.map((n) => `${n.at.slice(0, 10)} ${n.byName}: ${n.text}`).join("\n")],
+];
+
+/* Quotes where needed, and defuses text a spreadsheet would run as a formula
+   (guests write the names and messages) */
+function csvCell(v) {
+  let text = String(v ?? "");
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function leadsCsv(leads, agents) {
+  const rows = [LEAD_CSV_COLUMNS.map(([label]) => label)];
+  leads.forEach((l) => rows.push(LEAD_CSV_COLUMNS.map(([, get]) => get(l, agents))));
+  return rows.map((r) => r.map(csvCell).join(",")).join("\r\n");
+}
+
+function AdminLeads() {
+  const [status, setStatus] = useState("");
+  const [agentId, setAgentId] = useState("");
+  const [dueOnly, setDueOnly] = useState(false);
+  const query = new URLSearchParams(Object.entries({ status, agentId }).filter(([, v]) => v)).toString();
+  const leads = useApi(`/admin/leads${query ? `?${query}` : ""}`);
+  const agents = useAgents();
+  const today = todayIso();
+  const list = (leads.data?.leads || []).filter((l) => !dueOnly || (l.followUp && l.followUp <= today));
+  const shown = { ...leads, data: leads.data && { leads: list } };
+  return (
+    <Section
+      title="Leads"
+      subtitle="Every enquiry, site visit, quote, inspection and render request in one inbox."
+      actions={
+        <button
+          onClick={() => downloadFile(`leads-${today}.csv`, leadsCsv(list, agents), "text/csv")}
+          disabled={!list.length}
+          className="rounded-xl border bg-white px-4 py-2 text-sm font-semibold disabled:opacity-40"
+        >
+          Export CSV
+        </button>
+      }
+    >
+      <AdminNav />
+      <div className="mb-4 flex flex-wrap items-center gap-3">
+        <select value={status} onChange={(e) => setStatus(e.target.value)} className="rounded-xl border px-3 py-2 text-sm" aria-label="Status">
+          <option value="">All statuses</option>
+          {LEAD_STATUSES.map((st) => <option key={st} value={st}>{st}</option>)}
+        </select>
+        <select value={agentId} onChange={(e) => setAgentId(e.target.value)} className="rounded-xl border px-3 py-2 text-sm" aria-label="Agent">
+          <option value="">All agents</option>
+          <option value="none">Unassigned</option>
+          {agents.map((a) => <option key={a.id} value={a.id}>{a.name}</option>)}
+        </select>
+        <label className="flex items-center gap-2 text-sm">
+          <input type="checkbox" checked={dueOnly} onChange={(e) => setDueOnly(e.target.checked)} />
+          Follow-ups due
+        </label>
+      </div>
+      <ApiState state={shown} isEmpty={(d) => !d?.leads.length} empty="No leads match.">
+        <div className="grid gap-4">
+          {list.map((l) => <LeadCard key={l.id} lead={l} onChange={leads.reload} />)}
+        </div>
+      </ApiState>
+    </Section>
+  );
+}
+
+function LeadCard({ lead: l, onChange }) {
+  const agents = useAgents();
+  const catalog = useCatalog();
+  const [error, setError] = useState("");
+  const found = l.listingId && findListing(catalog, l.listingId);
+  const overdue = l.followUp && l.followUp <= todayIso() && !["won", "lost"].includes(l.status);
+
+  async function send(path, method, body) {
+    setError("");
+    try {
+      await api(`/admin/leads/${l.id}${path}`, { method, body });
+      onChange();
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  function addNote() {
+    const text = window.prompt(`Note on ${l.ref}`);
+    if (text?.trim()) send("/notes", "POST", { text });
+  }
+
+  const input = "rounded-xl border px-2 py-1 text-xs";
+  return (
+    <Card>
+      <div className="flex flex-wrap items-start justify-between gap-2">
+        <div>
+          <div className="text-sm font-semibold">
+            {l.name || "Unknown"} <span className="font-normal text-gray-500">• {l.ref}</span>
+          </div>
+          <div className="text-xs text-gray-600">
+            {l.phone && <a href={`tel:${l.phone}`} className="hover:underline">{l.phone}</a>}
+            {l.email && <> • <a href={`mailto:${l.email}`} className="hover:underline">{l.email}</a></>}
+            {l.userId && " • has an account"}
+          </div>
+          <div className="mt-1 text-xs text-gray-500">
+            {LEAD_SOURCES[l.source.kind]}
+            {l.source.ref && ` ${l.source.ref}`} • {formatDate(l.createdAt)}
+            {l.page && ` • from ${l.page}`}
+          </div>
+          {l.listingId && (
+            <div className="text-xs">
+              {found ? (
+                <Link to={listingPath(found.category, found.item)} className="hover:underline">{l.listingTitle}</Link>
+              ) : (
+                l.listingTitle
+              )}{" "}
+              <span className="text-gray-500">({l.listingRef})</span>
+            </div>
+          )}
+        </div>
+        <StatusBadge status={l.status} />
+      </div>
+      {l.message && <p className="mt-2 whitespace-pre-line text-sm text-gray-700">{l.message}</p>}
+      <div className="mt-3 flex flex-wrap items-center gap-2">
+        <select value={l.status} onChange={(e) => send("", "PATCH", { status: e.target.value })} className={input} aria-label="Status">
+          {LEAD_STATUSES.map((st) => <option key={st} value={st}>{st}</option>)}
+        </select>
+        <select value={l.agentId || ""} onChange={(e) => send("", "PATCH", { agentId: e.target.value })} className={input} aria-label="Agent">
+          <option value="">Unassigned</option>
+          {agents.map((a) => <option key={a.id} value={a.id}>{a.name}</option>)}
+        </select>
+        <label className={`flex items-center gap-1 text-xs ${overdue ? "font-semibold text-red-600" : "text-gray-600"}`}>
+          Follow up
+          <input type="date" value={l.followUp || ""} onChange={(e) => send("", "PATCH", { followUp: e.target.value })} className={input} />
+        </label>
+        <button onClick={addNote} className="rounded-xl border px-3 py-1 text-xs font-semibold">Add note</button>
+      </div>
+      {l.notes.length > 0 && (
+        <ul className="mt-3 space-y-1 border-t pt-2 text-xs text-gray-700">
+          {l.notes.map((n) => (
+            <li key={n.id}>
+              <span className="text-gray-500">{formatDate(n.at)} • {n.byName}:</span> {n.text}
+            </li>
+          ))}
+        </ul>
+      )}
+      <FormError message={error} />
+    </Card>
+  );
+}
+
+/* Contact-button clicks per listing, busiest first */
+/* The WhatsApp / email openers behind every ContactLink, one per category */
+function AdminContactTemplates() {
+  const state = useApi("/admin/contact-templates");
+  const { reload: reloadCatalog } = useContext(CatalogContext);
+  const [error, setError] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [pending, setPending] = useState(false);
+  const [saved, setSaved] = useState(false);
+
+  async function save(e) {
+    e.preventDefault();
+    const templates = Object.fromEntries(new FormData(e.currentTarget));
+    setError("");
+    setFieldErrors({});
+    setSaved(false);
+    setPending(true);
+    try {
+      await api("/admin/contact-templates", { method: "PUT", body: { templates } });
+      state.reload();
+      reloadCatalog();
+      setSaved(true);
+    } catch (err) {
+      setError(err.message);
+      setFieldErrors(err.fields || {});
+    } finally {
+      setPending(false);
+    }
+  }
+
+  return (
+    <Section title="Messages" subtitle="What the WhatsApp and Email buttons say when a client taps them.">
+      <AdminNav />
+      <ApiState state={state} isEmpty={(d) => !d} empty="">
+        {state.data && (
+          <form key={JSON.stringify(state.data.templates)} onSubmit={save} className="max-w-3xl space-y-4">
+            <p className="text-xs text-gray-600">
+              Placeholders: {state.data.placeholders.map((p) => `{${p}}`).join(" ")}. Clear a box to go back to the default.
+            </p>
+            {Object.keys(state.data.defaults).map((key) => (
+              <div key={key}>
+                <label htmlFor={`template-${key}`} className="text-sm font-medium">
+                  {key === "general" ? "Agent pages and everything else" : CATEGORIES[key]?.label || key}
+                </label>
+                <textarea
+                  id={`template-${key}`}
+                  name={key}
+                  rows={2}
+                  maxLength={600}
+                  defaultValue={state.data.templates[key]}
+                  placeholder={state.data.defaults[key]}
+                  className="mt-1 w-full rounded-xl border px-3 py-2 text-sm"
+                />
+                <FieldHint error={fieldErrors[key]} />
+              </div>
+            ))}
+            <FormError message={error} />
+            <div className="flex items-center gap-3">
+              <button disabled={pending} className="rounded-xl bg-black px-4 py-2 text-sm font-semibold text-white disabled:opacity-50">
+                {pending ? "Saving..." : "Save messages"}
+              </button>
+              {saved && <span className="text-xs text-green-700">Saved</span>}
+            </div>
+          </form>
+        )}
+      </ApiState>
+    </Section>
+  );
+}
 
+function AdminEnquiries() {
+  const [days, setDays] = useState(30);
+  const report = useApi(`/admin/enquiries?days=${days}`);
+  const catalog = useCatalog();
+  const agents = useAgents();
   return (
-    <>
-      <Hero heading="Building Designs" sub="Modern, contemporary and classic." img={DATA.designs[0]?.src} />
-      <Section
-        actions={<FilterBar query={query} setQuery={setQuery} placeholder="Search designs..." />}
-      >
-        <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
-          {items.map((d, i) => (
-            <ImageCard
-              key={i}
-              src={d.src}
-              title={d.title}
-              cta="Request Renders"
-              onImageClick={() => show(d.src, d.title)}
-            />
-          ))}
+    <Section title="Enquiries" subtitle="Every Call, WhatsApp and Email click on the site, counted per listing.">
+      <AdminNav />
+      <div className="mb-4 flex flex-wrap items-center gap-3">
+        <select value={days} onChange={(e) => setDays(Number(e.target.value))} className="rounded-xl border px-3 py-2 text-sm" aria-label="Period">
+          <option value={7}>Last 7 days</option>
+          <option value={30}>Last 30 days</option>
+          <option value={90}>Last 90 days</option>
+          <option value={365}>Last 12 months</option>
+        </select>
+        {report.data && <span className="text-sm text-gray-600">{report.data.total} clicks</span>}
+      </div>
+      <ApiState state={report} isEmpty={(d) => !d?.listings.length} empty="No contact clicks in this period.">
+        <div className="overflow-x-auto rounded-2xl border bg-white">
+          <table className="w-full min-w-[640px] text-left text-sm">
+            <thead className="text-xs text-gray-500">
+              <tr>
+                <th className="p-3 font-medium">Listing</th>
+                <th className="p-3 font-medium">Agent</th>
+                <th className="p-3 text-right font-medium">WhatsApp</th>
+                <th className="p-3 text-right font-medium">Call</th>
+                <th className="p-3 text-right font-medium">Email</th>
+                <th className="p-3 text-right font-medium">Total</th>
+                <th className="p-3 font-medium">Last click</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.data?.listings.map((r) => {
+                const found = r.listingId && findListing(catalog, r.listingId);
+                return (
+                  <tr key={r.listingId || "general"} className="border-t">
+                    <td className="p-3">
+                      {found ? (
+                        <Link to={listingPath(found.category, found.item)} className="font-medium hover:underline">{r.title}</Link>
+                      ) : (
+                        <span className="font-medium">{r.title || "General (no listing)"}</span>
+                      )}
+                      {r.ref && <div className="text-xs text-gray-500">{r.ref} • {CATEGORIES[r.category]?.label}</div>}
+                    </td>
+                    <td className="p-3 text-xs text-gray-600">
+                      {Object.keys(r.agents).map((id) => agents.find((a) => a.id === id)?.name || id).join(", ")}
+                    </td>
+                    <td className="p-3 text-right">{r.channels.whatsapp}</td>
+                    <td className="p-3 text-right">{r.channels.call}</td>
+                    <td className="p-3 text-right">{r.channels.email}</td>
+                    <td className="p-3 text-right font-semibold">{r.total}</td>
+                    <td className="p-3 text-xs text-gray-600">{formatDate(r.last)}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
         </div>
-      </Section>
-    </>
+      </ApiState>
+    </Section>
   );
 }
 
-/* CONSTRUCTION */
-function Construction() {
-  const { show } = useLightbox();
-  const [query, setQuery] = useState("");
-  const items = DATA.construction.filter((it) => {
-    const q = query.trim().toLowerCase();
-    return !q || it.title.toLowerCase().includes(q);
-  });
+function AdminReviews() {
+  const [filter, setFilter] = useState("");
+  const reviews = useApi(`/admin/reviews${filter ? `?status=${filter}` : ""}`);
+  const { reload: reloadCatalog } = useContext(CatalogContext);
+  const [error, setError] = useState("");
+
+  async function send(r, path, body) {
+    setError("");
+    try {
+      await api(`/reviews/${r.id}/${path}`, { method: "POST", body });
+      reviews.reload();
+      reloadCatalog();
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  function reply(r) {
+    const text = window.prompt(`Reply to ${r.author} (leave empty to remove the reply)`, r.reply?.text || "");
+    if (text !== null) send(r, "reply", { text });
+  }
 
+  const btn = "rounded-xl border px-3 py-1 text-xs font-semibold";
   return (
-    <>
-      <Hero heading="Construction" sub="From foundation to finishing." img={DATA.construction[0]?.src} />
-      <Section
-        actions={<FilterBar query={query} setQuery={setQuery} placeholder="Search projects..." />}
-      >
-        <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
-          {items.map((p, i) => (
-            <ImageCard
-              key={i}
-              src={p.src}
-              title={p.title}
-              cta="Request Site Visit"
-              onImageClick={() => show(p.src, p.title)}
-            />
+    <Section title="Reviews" subtitle="Reviews go live when posted. Hide anything abusive or off-topic, and reply in public.">
+      <AdminNav />
+      <select value={filter} onChange={(e) => setFilter(e.target.value)} className="mb-4 rounded-xl border px-3 py-2 text-sm" aria-label="Status">
+        <option value="">All</option>
+        <option value="published">Published</option>
+        <option value="hidden">Hidden</option>
+      </select>
+      <FormError message={error} />
+      <ApiState state={reviews} isEmpty={(d) => !d?.reviews.length} empty="No reviews yet.">
+        <div className="grid gap-4 md:grid-cols-2">
+          {reviews.data?.reviews.map((r) => (
+            <ReviewCard key={r.id} review={r}>
+              <div className="mt-3 flex flex-wrap items-center gap-2 border-t pt-3">
+                <span className="text-xs text-gray-500">
+                  {r.ref} • {r.subject.type}: {r.subject.label} • {r.source.ref}
+                </span>
+                <StatusBadge status={r.status} />
+                <button onClick={() => send(r, "status", { status: r.status === "hidden" ? "published" : "hidden" })} className={btn}>
+                  {r.status === "hidden" ? "Publish" : "Hide"}
+                </button>
+                <button onClick={() => reply(r)} className={btn}>
+                  {r.reply ? "Edit reply" : "Reply"}
+                </button>
+              </div>
+            </ReviewCard>
           ))}
         </div>
-      </Section>
-    </>
+      </ApiState>
+    </Section>
   );
 }
 
-/* ====================== AUTH PAGES ====================== */
-function Login() {
-  const { login } = useAuth();
-  const location = useLocation();
-  const from = location.state?.from?.pathname || "/dashboard";
-
-  function handleSubmit(e) {
-    e.preventDefault();
-    const form = new FormData(e.currentTarget);
-    login({ email: form.get("email") });
-  }
-
+function AgentEditor({ agent, onClose, onSaved }) {
+  const [photo, setPhoto] = useState(agent?.photo ? [{ id: "current", url: agent.photo, name: "Photo", type: "image/*" }] : []);
+  const { error, fieldErrors, pending, handleSubmit } = useFormSubmit((form) => {
+    const body = {
+      name: form.get("name"),
+      role: form.get("role"),
+      photo: photo[0]?.url || "",
+      bio: form.get("bio"),
+      areas: form.get("areas"),
+      languages: form.get("languages"),
+      phone: form.get("phone"),
+      whatsapp: form.get("whatsapp") || form.get("phone"),
+      email: form.get("email"),
+      socials: Object.fromEntries(Object.keys(AGENT_SOCIALS).map((k) => [k, form.get(k)])),
+      active: form.get("active") === "on",
+      primary: form.get("primary") === "on",
+    };
+    return agent ? api(`/admin/agents/${agent.id}`, { method: "PATCH", body }) : api("/admin/agents", { method: "POST", body });
+  }, onSaved);
   return (
-    <Section title="Sign in" subtitle="Access your dashboard, saved listings and orders.">
-      <form
-        onSubmit={handleSubmit}
-        className="mx-auto max-w-md space-y-3 rounded-2xl border bg-white p-5"
-      >
-      
-        <div>
-          <label className="text-sm font-medium">Email</label>
-          <input name="email" type="email" required className="mt-1 w-full rounded-xl border px-3 py-2 text-sm" />
+    <Modal title={agent ? `Edit ${agent.name}` : "New agent"} onClose={onClose}>
+      <form onSubmit={handleSubmit} className="space-y-3">
+        <div className="grid grid-cols-2 gap-3">
+          <FormField field={{ name: "name", label: "Full name", required: true, defaultValue: agent?.name }} error={fieldErrors.name} />
+          <FormField field={{ name: "role", label: "Role line", defaultValue: agent?.role, placeholder: "Rentals Agent" }} error={fieldErrors.role} />
+          <FormField field={{ name: "phone", label: "Phone", type: "tel", required: true, defaultValue: agent?.phone }} error={fieldErrors.phone} />
+          <FormField field={{ name: "whatsapp", label: "WhatsApp", type: "tel", defaultValue: agent?.whatsapp, hint: "Leave blank to use the phone number." }} error={fieldErrors.whatsapp} />
         </div>
+        <FormField field={{ name: "email", label: "Email", type: "email", defaultValue: agent?.email }} error={fieldErrors.email} />
+        <FileUploadField label="Photo" max={1} value={photo} onChange={setPhoto} />
         <div>
-          <label className="text-sm font-medium">Password</label>
-          <input name="password" type="password" required className="mt-1 w-full rounded-xl border px-3 py-2 text-sm" />
+          <label className="text-sm font-medium">Bio</label>
+          <textarea name="bio" rows={3} defaultValue={agent?.bio} className="mt-1 w-full rounded-xl border px-3 py-2 text-sm" />
         </div>
-        <button className="w-full rounded-xl bg-black px-4 py-2 text-sm font-semibold text-white">Sign in</button>
-        <div className="text-center text-xs text-gray-600">
-          No account? <Link to="/auth/register" className="font-semibold underline">Create one</Link>
+        <FormField field={{ name: "areas", label: "Coverage areas", defaultValue: agent?.areas?.join(", "), placeholder: "GRA, Ugbowo, Sapele Road" }} error={fieldErrors.areas} />
+        <FormField field={{ name: "languages", label: "Languages", defaultValue: agent?.languages?.join(", "), placeholder: "English, Pidgin" }} error={fieldErrors.languages} />
+        <fieldset className="space-y-2 rounded-xl border p-3">
+          <legend className="px-1 text-sm font-medium">Social links</legend>
+          {Object.entries(AGENT_SOCIALS).map(([k, label]) => (
+            <input key={k} name={k} type="url" defaultValue={agent?.socials?.[k]} placeholder={`${label} (https://...)`} aria-label={label} className="w-full rounded-xl border px-3 py-2 text-sm" />
+          ))}
+          <FieldHint error={fieldErrors.socials} />
+        </fieldset>
+        <div className="flex flex-wrap gap-4 text-sm">
+          <label className="flex items-center gap-2">
+            <input name="active" type="checkbox" defaultChecked={agent ? agent.active : true} />
+            Listed in the directory
+          </label>
+          <label className="flex items-center gap-2">
+            <input name="primary" type="checkbox" defaultChecked={agent?.primary} />
+            Primary agent
+          </label>
         </div>
+        <FieldHint error={fieldErrors.active || fieldErrors.primary} />
+        <FormError message={error} />
+        <button disabled={pending} className="w-full rounded-xl bg-black px-4 py-2 text-sm font-semibold text-white disabled:opacity-60">
+          {pending ? "Saving..." : "Save agent"}
+        </button>
       </form>
-      <AuthRedirect to={from} />
-    </Section>
+    </Modal>
   );
 }
 
-function AuthRedirect({ to }) {
-  const { user } = useAuth();
-  if (!user) return null;
-  return <Navigate to={to} replace />;
-}
+function ListingEditor({ category, listing, onClose, onSaved }) {
+  const extra = LISTING_EDITOR_FIELDS[category] || [];
+  const agents = useAgents();
+  const [images, setImages] = useState(() =>
+    listing ? listingPhotos(listing).map((url, i) => ({ id: `current-${i}`, url, name: `Photo ${i + 1}`, type: "image/*" })) : []
+  );
+  const [onRequestPrice, setOnRequestPrice] = useState(listing?.price ? listing.price.onRequest : true);
+  const [plans, setPlans] = useState(listing?.installments || []);
+  const setPlan = (i, k, v) => setPlans((ps) => ps.map((p, j) => (j === i ? { ...p, [k]: v } : p)));
+  const [sheets, setSheets] = useState(listing?.sheets || []);
+  const [sheetsBusy, setSheetsBusy] = useState(false);
+  const [error, setError] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [pending, setPending] = useState(false);
 
-function Register() {
-  const { login } = useAuth();
-  function handleSubmit(e) {
+  async function handleSubmit(e) {
     e.preventDefault();
     const form = new FormData(e.currentTarget);
-    login({ email: form.get("email") });
+    const body = {
+      title: form.get("title"),
+      meta: form.get("meta"),
+      desc: form.get("desc"),
+      tags: form.get("tags"),
+      status: form.get("status"),
+    };
+    // a plan's cover is its watermarked preview, set by the server
+    if (!extra.includes("drawing")) {
+      body.src = images[0]?.url || "";
+      body.images = images.slice(1).map((f) => f.url);
+    }
+    if (extra.includes("agent")) body.agentId = form.get("agentId");
+    if (extra.includes("beds")) body.beds = form.get("beds");
+    if (extra.includes("baths")) body.baths = form.get("baths");
+    if (extra.includes("size")) body.size = form.get("size");
+    if (extra.includes("title")) body.titleDocument = form.get("titleDocument");
+    if (extra.includes("details")) {
+      body.location = form.get("location");
+      body.amenities = form.get("amenities");
+    }
+    if (extra.includes("unit")) body.unit = form.get("unit");
+    if (extra.includes("installments")) body.installments = plans;
+    if (extra.includes("drawing")) {
+      body.floors = form.get("floors");
+      body.plotSize = form.get("plotSize");
+      body.sheets = sheets.map(({ title, file }) => ({ title, file }));
+    }
+    if (extra.includes("spec")) {
+      body.spec = form.get("floorArea")
+        ? {
+            buildingType: form.get("buildingType"),
+            floorArea: form.get("floorArea"),
+            floors: form.get("floors") || 1,
+            wallLength: form.get("wallLength"),
+          }
+        : null;
+    }
+    if (extra.includes("location")) {
+      const [lat, lng] = [form.get("lat"), form.get("lng")];
+      body.coords = lat && lng ? { lat, lng } : null;
+      try {
+        body.boundary = form.get("boundary").trim() ? JSON.parse(form.get("boundary")) : null;
+      } catch {
+        return setFieldErrors({ boundary: "This is not valid JSON" });
+      }
+    }
+    if (extra.includes("price")) {
+      body.price = {
+        onRequest: onRequestPrice,
+        amountKobo: onRequestPrice ? null : Math.round(Number(form.get("amount")) * 100),
+        negotiable: form.get("negotiable") === "on",
+        period: form.get("period"),
+      };
+    }
+    setError("");
+    setFieldErrors({});
+    setPending(true);
+    try {
+      if (listing) await api(`/admin/listings/${listing.id}`, { method: "PATCH", body });
+      else await api("/admin/listings", { method: "POST", body: { ...body, category } });
+      onSaved();
+    } catch (err) {
+      setError(err.message);
+      setFieldErrors(err.fields || {});
+      setPending(false);
+    }
+  }
+
+  async function addSheets(e) {
+    const files = Array.from(e.target.files || []).slice(0, 12 - sheets.length);
+    e.target.value = "";
+    setSheetsBusy(true);
+    setFieldErrors((f) => ({ ...f, sheets: undefined }));
+    try {
+      const added = [];
+      for (const f of files) {
+        if (f.type !== "image/jpeg") throw new Error(`${f.name} is not a JPG`);
+        const up = await uploadFile(f);
+        added.push({ title: f.name.replace(/\.[^.]+$/, ""), file: up.id });
+      }
+      setSheets((list) => [...list, ...added]);
+    } catch (err) {
+      setFieldErrors((f) => ({ ...f, sheets: err.message }));
+    }
+    setSheetsBusy(false);
   }
+
+  const input = "mt-1 w-full rounded-xl border px-3 py-2 text-sm";
   return (
-    <Section title="Create account" subtitle="Save favourites, request quotes, and track orders.">
-      <form
-        onSubmit={handleSubmit}
-        className="mx-auto max-w-md space-y-3 rounded-2xl border bg-white p-5"
-      >
-        <img src="public/assets/logo.jpg" alt="KPB" className="mx-auto h-14 w-14 object-contain" />
-        <div className="grid gap-3 sm:grid-cols-2">
-          <div>
-            <label className="text-sm font-medium">First name</label>
-            <input name="first" required className="mt-1 w-full rounded-xl border px-3 py-2 text-sm" />
-          </div>
-          <div>
-            <label className="text-sm font-medium">Last name</label>
-            <input name="last" required className="mt-1 w-full rounded-xl border px-3 py-2 text-sm" />
-          </div>
+    <Modal title={listing ? `Edit ${listing.ref}` : `New ${CATEGORIES[category].label} listing`} onClose={onClose}>
+      <form onSubmit={handleSubmit} className="space-y-3">
+        <div>
+          <label className="text-sm font-medium">Title</label>
+          <input name="title" required defaultValue={listing?.title} className={input} />
+          <FieldHint error={fieldErrors.title} />
         </div>
         <div>
-          <label className="text-sm font-medium">Email</label>
-          <input name="email" type="email" required className="mt-1 w-full rounded-xl border px-3 py-2 text-sm" />
+          <label className="text-sm font-medium">Summary line</label>
+          <input name="meta" defaultValue={listing?.meta} placeholder="4 Beds • 3 Baths • 450 m²" className={input} />
         </div>
         <div>
-          <label className="text-sm font-medium">Password</label>
-          <input name="password" type="password" required className="mt-1 w-full rounded-xl border px-3 py-2 text-sm" />
+          <label className="text-sm font-medium">Description</label>
+          <textarea name="desc" rows={3} defaultValue={listing?.desc} className={input} />
         </div>
-        <button className="w-full rounded-xl bg-black px-4 py-2 text-sm font-semibold text-white">Create account</button>
-        <div className="text-center text-xs text-gray-600">
-          Already have an account? <Link to="/auth/login" className="font-semibold underline">Sign in</Link>
+        <div>
+          <label className="text-sm font-medium">Search tags</label>
+          <input name="tags" defaultValue={listing?.tags?.join(", ")} placeholder="duplex, gra, c of o" className={input} />
+        </div>
+        {!extra.includes("drawing") && (
+          <>
+            <FileUploadField
+              label="Photos"
+              max={8}
+              value={images}
+              onChange={setImages}
+              hint={fieldErrors.src ? undefined : "The first photo is the cover; the rest open in the gallery."}
+            />
+            <FieldHint error={fieldErrors.src} />
+          </>
+        )}
+        {extra.includes("agent") && (
+          <div>
+            <label className="text-sm font-medium">Agent</label>
+            <select name="agentId" defaultValue={agents.some((a) => a.id === listing?.agentId) ? listing.agentId : ""} className={input}>
+              <option value="">Primary agent ({agentById(agents)?.name})</option>
+              {agents.map((a) => <option key={a.id} value={a.id}>{a.name}</option>)}
+            </select>
+            <FieldHint error={fieldErrors.agentId} hint="Every call, WhatsApp and inspection for this listing goes to this agent." />
+          </div>
+        )}
+        <div className="grid gap-3 sm:grid-cols-2">
+          {extra.includes("beds") && (
+            <div>
+              <label className="text-sm font-medium">Bedrooms</label>
+              <input name="beds" type="number" min={0} defaultValue={listing?.beds} className={input} />
+            </div>
+          )}
+          {extra.includes("baths") && (
+            <div>
+              <label className="text-sm font-medium">Bathrooms</label>
+              <input name="baths" type="number" min={0} defaultValue={listing?.baths} className={input} />
+            </div>
+          )}
+          {extra.includes("title") && (
+            <div>
+              <label className="text-sm font-medium">Title documents</label>
+              <input name="titleDocument" list="title-documents" defaultValue={listing?.titleDocument} placeholder="C of O" className={input} />
+              <datalist id="title-documents">
+                {TITLE_DOCUMENTS.map((t) => <option key={t} value={t} />)}
+              </datalist>
+            </div>
+          )}
+          {extra.includes("size") && (
+            <div>
+              <label className="text-sm font-medium">Size (m²)</label>
+              <input name="size" type="number" min={0} defaultValue={listing?.size} className={input} />
+            </div>
+          )}
+          {extra.includes("details") && (
+            <div>
+              <label className="text-sm font-medium">Area / address</label>
+              <input name="location" defaultValue={listing?.location} placeholder="GRA, Benin City" className={input} />
+            </div>
+          )}
+          {extra.includes("unit") && (
+            <div>
+              <label className="text-sm font-medium">Sold per</label>
+              <select name="unit" defaultValue={listing?.unit || "bag"} className={input}>
+                {Object.keys(UNITS).map((u) => <option key={u} value={u}>{u}</option>)}
+              </select>
+            </div>
+          )}
         </div>
+        {extra.includes("details") && (
+          <div>
+            <label className="text-sm font-medium">Amenities</label>
+            <input name="amenities" defaultValue={listing?.amenities?.join(", ")} placeholder="Parking, Borehole, Fenced compound" className={input} />
+          </div>
+        )}
+        {extra.includes("installments") && (
+          <fieldset className="space-y-2 rounded-xl border p-3">
+            <legend className="px-1 text-sm font-medium">Installment plans</legend>
+            {plans.map((p, i) => (
+              <div key={i} className="grid grid-cols-[1fr_1fr_1fr_auto] items-center gap-2">
+                <input type="number" min={0} max={99} value={p.depositPct} onChange={(e) => setPlan(i, "depositPct", e.target.value)} placeholder="Deposit %" aria-label="Deposit %" className={input} />
+                <input type="number" min={1} max={60} value={p.months} onChange={(e) => setPlan(i, "months", e.target.value)} placeholder="Months" aria-label="Months" className={input} />
+                <input type="number" min={0} max={100} value={p.markupPct} onChange={(e) => setPlan(i, "markupPct", e.target.value)} placeholder="Markup %" aria-label="Markup %" className={input} />
+                <button type="button" onClick={() => setPlans(plans.filter((_, j) => j !== i))} className="text-xs text-red-600" aria-label="Remove plan">
+                  ×
+                </button>
+              </div>
+            ))}
+            {plans.length < 4 && (
+              <button type="button" onClick={() => setPlans([...plans, { depositPct: 30, months: 6, markupPct: 5 }])} className="text-xs font-semibold underline">
+                + Add plan
+              </button>
+            )}
+            <FieldHint error={fieldErrors.installments} hint="Deposit %, tenor in months and markup % on the balance." />
+          </fieldset>
+        )}
+        {extra.includes("drawing") && (
+          <fieldset className="space-y-2 rounded-xl border p-3">
+            <legend className="px-1 text-sm font-medium">Drawing</legend>
+            <div className="grid grid-cols-2 gap-3">
+              <input name="floors" type="number" min={1} max={10} defaultValue={listing?.floors || listing?.spec?.floors || 1} placeholder="Floors" aria-label="Floors" className={input} />
+              <input name="plotSize" defaultValue={listing?.plotSize} placeholder="Plot size needed, e.g. 15 × 30 m" aria-label="Plot size" className={input} />
+            </div>
+            <div className="text-sm font-medium">Sheets (private until bought)</div>
+            {sheets.map((sh, i) => (
+              <div key={sh.file} className="flex items-center gap-2">
+                <span className="w-5 text-xs text-gray-500">{i + 1}.</span>
+                <input
+                  value={sh.title}
+                  onChange={(e) => setSheets(sheets.map((x, j) => (j === i ? { ...x, title: e.target.value } : x)))}
+                  aria-label={`Sheet ${i + 1} title`}
+                  className={input}
+                />
+                <button type="button" onClick={() => setSheets(sheets.filter((_, j) => j !== i))} className="text-xs text-red-600" aria-label="Remove sheet">
+                  ×
+                </button>
+              </div>
+            ))}
+            {sheets.length < 12 && (
+              <label className="inline-block cursor-pointer text-xs font-semibold underline">
+                {sheetsBusy ? "Uploading..." : "+ Add sheets (JPG)"}
+                <input type="file" accept="image/jpeg" multiple disabled={sheetsBusy} onChange={addSheets} className="hidden" />
+              </label>
+            )}
+            <FieldHint
+              error={fieldErrors.sheets}
+              hint="Sheet 1 becomes the public preview: scaled down and watermarked. Buyers get every sheet at full size as one PDF."
+            />
+          </fieldset>
+        )}
+        {extra.includes("spec") && (
+          <fieldset className="space-y-2 rounded-xl border p-3">
+            <legend className="px-1 text-sm font-medium">Dimensions (for the materials estimator)</legend>
+            <div className="grid grid-cols-2 gap-3">
+              <select name="buildingType" defaultValue={listing?.spec?.buildingType || "bungalow"} className={input}>
+                {Object.entries(BUILDING_TYPES).map(([k, t]) => <option key={k} value={k}>{t.label}</option>)}
+              </select>
+              <input name="floorArea" type="number" min={1} defaultValue={listing?.spec?.floorArea} placeholder="Floor area (m²)" className={input} />
+              <input name="wallLength" type="number" min={0} defaultValue={listing?.spec?.wallLength || ""} placeholder="Wall length / floor (m)" className={input} />
+            </div>
+            <FieldHint error={fieldErrors.spec} />
+          </fieldset>
+        )}
+        {extra.includes("location") && (
+          <fieldset className="space-y-2 rounded-xl border p-3">
+            <legend className="px-1 text-sm font-medium">Location</legend>
+            <div className="grid grid-cols-2 gap-3">
+              <input name="lat" type="number" step="any" defaultValue={listing?.coords?.lat} placeholder="Latitude" className={input} />
+              <input name="lng" type="number" step="any" defaultValue={listing?.coords?.lng} placeholder="Longitude" className={input} />
+            </div>
+            <textarea
+              name="boundary"
+              rows={3}
+              defaultValue={listing?.boundary ? JSON.stringify(listing.boundary) : ""}
+              placeholder='Survey boundary, GeoJSON: {"type":"Polygon","coordinates":[[[lng,lat],...]]}'
+              className={`${input} font-mono text-xs`}
+            />
+            <FieldHint error={fieldErrors.boundary || fieldErrors.coords} hint="The plot area is computed from the boundary." />
+          </fieldset>
+        )}
+        {extra.includes("price") && (
+          <fieldset className="space-y-2 rounded-xl border p-3">
+            <legend className="px-1 text-sm font-medium">Price</legend>
+            <label className="flex items-center gap-2 text-sm">
+              <input type="checkbox" checked={onRequestPrice} onChange={(e) => setOnRequestPrice(e.target.checked)} />
+              Price on request
+            </label>
+            {!onRequestPrice && (
+              <input
+                name="amount"
+                type="number"
+                min={1}
+                step="0.01"
+                required
+                defaultValue={listing?.price?.amountKobo ? listing.price.amountKobo / 100 : ""}
+                placeholder="Amount in ₦"
+                className={input}
+              />
+            )}
+            <div className="flex flex-wrap items-center gap-3">
+              <select name="period" defaultValue={listing?.price?.period || "outright"} className="rounded-xl border px-3 py-2 text-sm">
+                <option value="outright">Outright</option>
+                <option value="per-year">Per year</option>
+                <option value="per-plot">Per plot</option>
+                <option value="per-unit">Per unit (bag, ton...)</option>
+              </select>
+              <label className="flex items-center gap-2 text-sm">
+                <input name="negotiable" type="checkbox" defaultChecked={listing?.price?.negotiable} />
+                Negotiable
+              </label>
+            </div>
+            <FieldHint error={fieldErrors.price} />
+          </fieldset>
+        )}
+        <div>
+          <label className="text-sm font-medium">Status</label>
+          <select name="status" defaultValue={listing?.status || "draft"} className={input}>
+            <option value="draft">Draft</option>
+            <option value="published">Published</option>
+            {listing && <option value="archived">Archived</option>}
+          </select>
+        </div>
+        <FormError message={error} />
+        <button disabled={pending} className="w-full rounded-xl bg-black px-4 py-2 text-sm font-semibold text-white disabled:opacity-60">
+          {pending ? "Saving..." : "Save listing"}
+        </button>
       </form>
-    </Section>
+    </Modal>
   );
 }
 
 /* ====================== DASHBOARD & 404 ====================== */
 function Dashboard() {
   const { user } = useAuth();
+  const orders = useApi("/orders");
+  const orderCount = orders.data?.orders.length || 0;
+  const favourites = useFavourites();
+  const bookings = useApi("/bookings");
+  const quotes = useApi("/quotes");
+  const verifications = useApi("/verifications");
+  const projects = useApi("/projects");
+  const installments = useApi("/installments");
+  const tenancies = useApi("/tenancies");
+  const planPurchases = useApi("/plan-purchases");
+  const briefs = useApi("/design-briefs");
+  const reviewable = useApi("/reviews/eligible");
+  const { reload: reloadCatalog } = useContext(CatalogContext);
+  const upcoming = (bookings.data?.bookings || []).filter((b) => ["booked", "confirmed"].includes(b.status));
   return (
     <Section title="My Dashboard" subtitle={`Signed in as ${user?.email || "user"}`}>
       <div className="grid gap-4 md:grid-cols-3">
         <Card>
           <div className="text-sm font-semibold">Saved Listings</div>
-          <p className="mt-1 text-xs text-gray-600">0 saved • Explore properties to add favourites.</p>
+          <p className="mt-1 text-xs text-gray-600">{favourites.items.length} saved • Explore properties to add favourites.</p>
           <div className="mt-3">
             <Link to="/properties" className="rounded-xl bg-black px-3 py-2 text-xs font-semibold text-white">Browse</Link>
           </div>
         </Card>
         <Card>
           <div className="text-sm font-semibold">Orders (Materials)</div>
-          <p className="mt-1 text-xs text-gray-600">Track your material purchases and deliveries.</p>
+          <p className="mt-1 text-xs text-gray-600">
+            {orderCount} {orderCount === 1 ? "order" : "orders"} • Track your material purchases and deliveries.
+          </p>
           <div className="mt-3">
             <Link to="/materials" className="rounded-xl border px-3 py-2 text-xs font-semibold">Go to shop</Link>
           </div>
         </Card>
         <Card>
           <div className="text-sm font-semibold">Requests & Quotes</div>
-          <p className="mt-1 text-xs text-gray-600">Manage inspection bookings and service quotes.</p>
+          <p className="mt-1 text-xs text-gray-600">
+            {upcoming.length} upcoming {upcoming.length === 1 ? "inspection" : "inspections"} • Manage inspection bookings and service quotes.
+          </p>
           <div className="mt-3">
             <Link to="/services" className="rounded-xl border px-3 py-2 text-xs font-semibold">View services</Link>
           </div>
         </Card>
       </div>
+
+      {reviewable.data?.eligible.length > 0 && (
+        <DashboardPanel title="Rate Your Experience">
+          <ReviewPrompts state={reviewable} />
+        </DashboardPanel>
+      )}
+
+      <DashboardPanel title={user?.role === "staff" ? "Construction Projects (all clients)" : "My Construction Projects"}>
+        <ProjectList state={projects} />
+      </DashboardPanel>
+
+      <DashboardPanel title={user?.role === "staff" ? "Installment Plans (all clients)" : "My Installment Plans"}>
+        <InstallmentList state={installments} />
+      </DashboardPanel>
+
+      <DashboardPanel title={user?.role === "staff" ? "Design Briefs (all clients)" : "My Design Briefs"}>
+        <DesignBriefList state={briefs} />
+      </DashboardPanel>
+
+      <DashboardPanel title={user?.role === "staff" ? "Plan Orders (all clients)" : "My Plans"}>
+        <PlanPurchaseList state={planPurchases} />
+      </DashboardPanel>
+
+      {user?.role !== "staff" && tenancies.data?.tenancies.length > 0 && (
+        <DashboardPanel title="My Tenancy">
+          <TenancyList state={tenancies} />
+        </DashboardPanel>
+      )}
+
+      <DashboardPanel title="Saved Listings">
+        <SavedListings />
+      </DashboardPanel>
+
+      <DashboardPanel title="Requests & Quotes — Inspections">
+        <BookingList state={bookings} />
+      </DashboardPanel>
+
+      <DashboardPanel title={user?.role === "staff" ? "Service Quotes (all clients)" : "Requests & Quotes — Services"}>
+        <QuoteList state={quotes} />
+      </DashboardPanel>
+
+      <DashboardPanel title={user?.role === "staff" ? "Land Verification Cases (all clients)" : "Land Verification"}>
+        <VerificationList state={verifications} onVerified={reloadCatalog} />
+      </DashboardPanel>
+
+      <DashboardPanel title="Material Orders">
+        <OrderList state={orders} />
+      </DashboardPanel>
     </Section>
   );
 }
 
+const DashboardPanel = ({ title, children }) => (
+  <div className="mt-8">
+    <h3 className="mb-3 text-lg font-bold">{title}</h3>
+    {children}
+  </div>
+);
+
+/* Shows loading / error / empty states for a useApi() result */
+function ApiState({ state, empty, isEmpty, children }) {
+  if (state.loading && !state.data) return <p className="text-sm text-gray-500">Loading...</p>;
+  if (state.error) return <FormError message={state.error.message} />;
+  if (isEmpty(state.data)) return <p className="text-sm text-gray-600">{empty}</p>;
+  return children;
+}
+
+function SavedListings() {
+  const { items, error, toggle } = useFavourites();
+  const catalog = useCatalog();
+  const saved = items
+    .map((f) => ({ ...f, found: findListing(catalog, f.listingId) }))
+    .filter((f) => f.found);
+  return (
+    <>
+      <FormError message={error} />
+      {saved.length === 0 ? (
+        <p className="text-sm text-gray-600">Nothing saved yet. Tap “Save” on a listing to keep it here.</p>
+      ) : (
+        <div className="mt-2 grid gap-4 sm:grid-cols-2 lg:grid-cols-4">
+          {saved.map(({ listingId, found: { category, item } }) => (
+            <Card key={listingId}>
+              <ImageTile src={item.src} alt={item.title} className="h-28" />
+              <div className="mt-2 text-sm font-semibold">
+                <Link to={listingPath(category, item)} className="hover:underline">{item.title}</Link>
+              </div>
+              <div className="text-xs text-gray-500">{CATEGORIES[category].label} • {item.ref}</div>
+              <div className="mt-3 flex gap-2">
+                <button
+                  onClick={() => toggle(listingId, category)}
+                  className="rounded-xl border px-3 py-1 text-xs font-semibold text-red-600"
+                >
+                  Remove
+                </button>
+                <ShareButton
+                  url={`${window.location.origin}${listingPath(category, item)}`}
+                  title={item.title}
+                  className="px-3 py-1 text-xs"
+                />
+              </div>
+            </Card>
+          ))}
+        </div>
+      )}
+    </>
+  );
+}
+
+function BookingList({ state }) {
+  const { user } = useAuth();
+  const catalog = useCatalog();
+  const agents = useAgents();
+  const [error, setError] = useState("");
+  const [moving, setMoving] = useState(null);
+
+  async function setStatus(b, status) {
+    if (status === "cancelled" && !window.confirm(`Cancel inspection ${b.ref}?`)) return;
+    setError("");
+    try {
+      await api(`/bookings/${b.id}/status`, { method: "POST", body: { status } });
+      state.reload();
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  return (
+    <ApiState
+      state={state}
+      isEmpty={(d) => !d?.bookings.length}
+      empty="No inspections booked. Use “Book Inspection” on a property or rental."
+    >
+      <FormError message={error} />
+      <div className="mt-2 grid gap-4 md:grid-cols-2">
+        {state.data?.bookings.map((b) => {
+          const found = findListing(catalog, b.listingId);
+          const active = ["booked", "confirmed"].includes(b.status);
+          return (
+            <Card key={b.id}>
+              <div className="flex items-center justify-between gap-2">
+                <div className="text-sm font-semibold">{b.ref}</div>
+                <StatusBadge status={b.status} />
+              </div>
+              <div className="mt-1 text-sm">
+                {found ? (
+                  <Link to={listingPath(found.category, found.item)} className="hover:underline">{b.listingTitle}</Link>
+                ) : (
+                  b.listingTitle
+                )}
+              </div>
+              <div className="mt-1 text-sm text-gray-700">{slotDateTime(b.start)}</div>
+              {b.notes && <div className="mt-1 text-xs text-gray-500">{b.notes}</div>}
+              <div className="mt-3 flex flex-wrap gap-2">
+                {active && (
+                  <>
+                    <button onClick={() => setMoving(b)} className="rounded-xl border px-3 py-1 text-xs font-semibold">
+                      Reschedule
+                    </button>
+                    <button onClick={() => downloadIcs(b, agentById(agents, b.agentId))} className="rounded-xl border px-3 py-1 text-xs font-semibold">
+                      Add to calendar
+                    </button>
+                    <button onClick={() => setStatus(b, "cancelled")} className="rounded-xl border px-3 py-1 text-xs font-semibold text-red-600">
+                      Cancel
+                    </button>
+                  </>
+                )}
+                {user.role === "staff" && b.status === "booked" && (
+                  <button onClick={() => setStatus(b, "confirmed")} className="rounded-xl border px-3 py-1 text-xs font-semibold">
+                    Mark confirmed
+                  </button>
+                )}
+                {user.role === "staff" && b.status === "confirmed" && (
+                  <button onClick={() => setStatus(b, "completed")} className="rounded-xl border px-3 py-1 text-xs font-semibold">
+                    Mark completed
+                  </button>
+                )}
+              </div>
+            </Card>
+          );
+        })}
+      </div>
+      {moving && (
+        <BookingDialog booking={moving} onClose={() => setMoving(null)} onDone={() => state.reload()} />
+      )}
+    </ApiState>
+  );
+}
+
+function QuoteList({ state }) {
+  const { user } = useAuth();
+  const staff = user.role === "staff";
+  const [error, setError] = useState("");
+
+  async function setStatus(q, status, extra = {}) {
+    setError("");
+    try {
+      await api(`/quotes/${q.id}/status`, { method: "POST", body: { status, ...extra } });
+      state.reload();
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  function price(q) {
+    const amount = window.prompt(`Quoted amount in ₦ for ${q.ref}`);
+    if (amount) setStatus(q, "priced", { amount: Number(amount.replace(/[^\d.]/g, "")) });
+  }
+
+  const btn = "rounded-xl border px-3 py-1 text-xs font-semibold";
+  return (
+    <ApiState
+      state={state}
+      isEmpty={(d) => !d?.quotes.length}
+      empty="No quote requests yet. Pick a service to request one."
+    >
+      <FormError message={error} />
+      <div className="mt-2 grid gap-4 md:grid-cols-2">
+        {state.data?.quotes.map((q) => {
+          const svc = serviceById(q.service);
+          return (
+            <Card key={q.id}>
+              <div className="flex items-center justify-between gap-2">
+                <div className="text-sm font-semibold">
+                  {svc?.name || q.service} <span className="font-normal text-gray-500">• {q.ref}</span>
+                </div>
+                <StatusBadge status={q.status} />
+              </div>
+              {staff && <div className="text-xs text-gray-500">{q.customer} • {q.phone}</div>}
+              <dl className="mt-2 grid grid-cols-2 gap-x-3 gap-y-1 text-xs">
+                {Object.entries(q.details).map(([k, v]) => (
+                  <React.Fragment key={k}>
+                    <dt className="text-gray-500">{svc?.fields.find((f) => f.name === k)?.label || k}</dt>
+                    <dd className="text-gray-800">{v}</dd>
+                  </React.Fragment>
+                ))}
+              </dl>
+              {q.attachments.length > 0 && (
+                <div className="mt-2 flex flex-wrap gap-2">
+                  {q.attachments.map((a) => (
+                    <a key={a.id} href={uploadUrl(a.id)} target="_blank" rel="noreferrer" className="text-xs underline">
+                      {a.name}
+                    </a>
+                  ))}
+                </div>
+              )}
+              {q.price && <div className="mt-2 text-lg font-bold">{formatMoney(q.price.amountKobo)}</div>}
+              <div className="mt-2 text-[11px] text-gray-500">
+                {q.history.map((h) => `${h.status} ${formatDate(h.at, false)}`).join(" → ")}
+              </div>
+              <div className="mt-3 flex flex-wrap gap-2">
+                {staff && q.status === "submitted" && (
+                  <button onClick={() => setStatus(q, "reviewed")} className={btn}>Mark reviewed</button>
+                )}
+                {staff && q.status === "reviewed" && (
+                  <button onClick={() => price(q)} className={btn}>Send price</button>
+                )}
+                {staff && ["submitted", "reviewed"].includes(q.status) && (
+                  <button onClick={() => setStatus(q, "declined")} className={`${btn} text-red-600`}>Decline</button>
+                )}
+                {!staff && q.status === "priced" && (
+                  <>
+                    <button onClick={() => setStatus(q, "accepted")} className="rounded-xl bg-black px-3 py-1 text-xs font-semibold text-white">
+                      Accept quote
+                    </button>
+                    <button onClick={() => setStatus(q, "declined")} className={`${btn} text-red-600`}>Decline</button>
+                  </>
+                )}
+              </div>
+            </Card>
+          );
+        })}
+      </div>
+    </ApiState>
+  );
+}
+
+function VerificationList({ state, onVerified }) {
+  const { user } = useAuth();
+  const staff = user.role === "staff";
+  const [error, setError] = useState("");
+
+  async function post(v, path, body) {
+    setError("");
+    try {
+      await api(`/verifications/${v.id}/${path}`, { method: "POST", body });
+      state.reload();
+      if (body.status === "verified") onVerified?.();
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  function record(v, check, outcome) {
+    const note = window.prompt(`Notes for "${check.label}" (${outcome})`, v.checks[check.id]?.note || "");
+    if (note !== null) post(v, "checks", { check: check.id, outcome, note });
+  }
+
+  const btn = "rounded-xl border px-3 py-1 text-xs font-semibold";
+  const docLabel = (id) => VERIFICATION_DOCUMENTS.find((d) => d.id === id)?.label || id;
+  return (
+    <ApiState
+      state={state}
+      isEmpty={(d) => !d?.verifications.length}
+      empty="No verification cases yet. Open one from any land listing."
+    >
+      <FormError message={error} />
+      <div className="mt-2 grid gap-4 md:grid-cols-2">
+        {state.data?.verifications.map((v) => {
+          const open = ["open", "in-review"].includes(v.status);
+          const allPassed = VERIFICATION_CHECKS.every((c) => v.checks[c.id]?.outcome === "passed");
+          return (
+            <Card key={v.id}>
+              <div className="flex items-center justify-between gap-2">
+                <div className="text-sm font-semibold">
+                  {v.plot.ref} <span className="font-normal text-gray-500">• {v.ref}</span>
+                </div>
+                <StatusBadge status={v.status} />
+              </div>
+              <div className="text-xs text-gray-500">
+                {v.plot.title}{v.plot.meta ? ` • ${v.plot.meta}` : ""}
+                {staff && ` • ${v.customer} • ${v.phone}`}
+              </div>
+              <div className="mt-2 flex flex-wrap gap-x-3 gap-y-1">
+                {Object.entries(v.documents).flatMap(([kind, files]) =>
+                  files.map((a, i) => (
+                    <a key={a.id} href={uploadUrl(a.id)} target="_blank" rel="noreferrer" className="text-xs underline">
+                      {docLabel(kind)}{files.length > 1 ? ` ${i + 1}` : ""}
+                    </a>
+                  ))
+                )}
+              </div>
+              <ul className="mt-3 space-y-2">
+                {VERIFICATION_CHECKS.map((c) => {
+                  const result = v.checks[c.id];
+                  return (
+                    <li key={c.id} className="rounded-xl border p-2 text-xs">
+                      <div className="flex items-center justify-between gap-2">
+                        <span className="font-medium">{c.label}</span>
+                        {result ? <StatusBadge status={result.outcome} /> : <span className="text-gray-400">Not checked</span>}
+                      </div>
+                      {result?.note && <p className="mt-1 text-gray-600">{result.note}</p>}
+                      {staff && open && (
+                        <div className="mt-2 flex gap-1">
+                          {["passed", "failed", "inconclusive"].map((o) => (
+                            <button key={o} onClick={() => record(v, c, o)} className="rounded-lg border px-2 py-0.5 text-[11px] capitalize">
+                              {o}
+                            </button>
+                          ))}
+                        </div>
+                      )}
+                    </li>
+                  );
+                })}
+              </ul>
+              <div className="mt-2 text-[11px] text-gray-500">
+                {v.history.map((h) => `${h.status} ${formatDate(h.at, false)}`).join(" → ")}
+              </div>
+              {staff && open && (
+                <div className="mt-3 flex flex-wrap gap-2">
+                  {v.status === "in-review" && (
+                    <button
+                      disabled={!allPassed}
+                      onClick={() => post(v, "status", { status: "verified" })}
+                      className={`${btn} disabled:opacity-40`}
+                      title={allPassed ? "" : "Every check must pass first"}
+                    >
+                      Mark verified
+                    </button>
+                  )}
+                  <button onClick={() => post(v, "status", { status: "failed" })} className={`${btn} text-red-600`}>Mark failed</button>
+                </div>
+              )}
+            </Card>
+          );
+        })}
+      </div>
+    </ApiState>
+  );
+}
+
+const NEXT_ORDER_STATUS = {
+  placed: ["confirmed", "cancelled"],
+  confirmed: ["dispatched", "cancelled"],
+  dispatched: ["delivered"],
+};
+
+function OrderList({ state }) {
+  const { user } = useAuth();
+  const [error, setError] = useState("");
+
+  async function move(order, status) {
+    setError("");
+    try {
+      await api(`/orders/${order.id}/status`, { method: "POST", body: { status } });
+      state.reload();
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  return (
+    <ApiState
+      state={state}
+      isEmpty={(d) => !d?.orders.length}
+      empty="No orders yet. Add materials to your cart to place one."
+    >
+      <FormError message={error} />
+      <div className="mt-2 grid gap-4 md:grid-cols-2">
+        {state.data?.orders.map((o) => (
+          <Card key={o.id}>
+            <div className="flex items-center justify-between gap-2">
+              <div className="text-sm font-semibold">{o.ref}</div>
+              <StatusBadge status={o.status} />
+            </div>
+            <ul className="mt-2 text-sm text-gray-700">
+              {o.items.map((it) => (
+                <li key={it.listingId}>
+                  {it.qty} {unitLabel(it.unit, it.qty)} — {it.title}
+                </li>
+              ))}
+            </ul>
+            <div className="mt-2 text-xs text-gray-500">Deliver to: {o.address} • {o.phone}</div>
+            <ol className="mt-3 space-y-1 border-l pl-3 text-xs text-gray-600">
+              {o.history.map((h, i) => (
+                <li key={i}>
+                  <span className="font-semibold capitalize">{h.status}</span> • {formatDate(h.at)}
+                  {h.note && ` — ${h.note}`}
+                </li>
+              ))}
+            </ol>
+            <div className="mt-3 flex flex-wrap gap-2">
+              {(NEXT_ORDER_STATUS[o.status] || [])
+                .filter((st) => user.role === "staff" || (st === "cancelled" && o.status === "placed"))
+                .map((st) => (
+                  <button
+                    key={st}
+                    onClick={() => move(o, st)}
+                    className="rounded-xl border px-3 py-1 text-xs font-semibold capitalize"
+                  >
+                    {st === "cancelled" ? "Cancel order" : `Mark ${st}`}
+                  </button>
+                ))}
+            </div>
+          </Card>
+        ))}
+      </div>
+    </ApiState>
+  );
+}
+
 function NotFound() {
   return (
     <Section title="Page not found">
@@ -1106,39 +7090,150 @@ function NotFound() {
 export default function App() {
   return (
     <AuthProvider>
-      <LightboxProvider>
-        <BrowserRouter>
-          <Layout>
-            <Routes>
-              <Route index element={<Home />} />
-              <Route path="properties" element={<Properties />} />
-              <Route path="properties/:id" element={<PropertyDetail />} />
-              <Route path="lands-for-sale" element={<Lands />} />
-              <Route path="houses-for-rent" element={<Rentals />} />
-              <Route path="agents" element={<Agents />} />
-              <Route path="materials" element={<Materials />} />
-              <Route path="artifacts" element={<Artifacts />} />
-              <Route path="services" element={<Services />} />
-              <Route path="plans" element={<Plans />} />
-              <Route path="designs" element={<Designs />} />
-              <Route path="construction" element={<Construction />} />
-              <Route path="auth">
-                <Route path="login" element={<Login />} />
-                <Route path="register" element={<Register />} />
-              </Route>
-              <Route
-                path="dashboard"
-                element={
-                  <ProtectedRoute>
-                    <Dashboard />
-                  </ProtectedRoute>
-                }
-              />
-              <Route path="*" element={<NotFound />} />
-            </Routes>
-          </Layout>
-        </BrowserRouter>
-      </LightboxProvider>
+      <CatalogProvider>
+        <LightboxProvider>
+          <CartProvider>
+            <FavouritesProvider>
+              <NotificationsProvider>
+                <CompareProvider>
+                  <BrowserRouter>
+                    <Layout>
+                      <CatalogGate>
+                        <Routes>
+                          <Route index element={<Home />} />
+                          <Route path="search" element={<SearchPage />} />
+                          <Route path="compare" element={<Compare />} />
+                          <Route path="properties" element={<Properties />} />
+                          <Route path="properties/:id" element={<PropertyDetail />} />
+                          <Route path="lands-for-sale" element={<Lands />} />
+                          <Route path="lands-for-sale/:id" element={<ListingDetail category="lands" />} />
+                          <Route path="houses-for-rent" element={<Rentals />} />
+                          <Route path="houses-for-rent/:id" element={<ListingDetail category="rentals" />} />
+                          <Route path="agents" element={<Agents />} />
+                          <Route path="agents/:id" element={<AgentProfile />} />
+                          <Route path="materials" element={<Materials />} />
+                          <Route path="materials/estimator" element={<Estimator />} />
+                          <Route path="materials/:id" element={<ListingDetail category="materials" />} />
+                          <Route
+                            path="checkout"
+                            element={
+                              <ProtectedRoute>
+                                <Checkout />
+                              </ProtectedRoute>
+                            }
+                          />
+                          <Route path="artifacts" element={<Artifacts />} />
+                          <Route path="artifacts/:id" element={<ListingDetail category="artifacts" />} />
+                          <Route path="services" element={<Services />} />
+                          <Route path="plans" element={<Plans />} />
+                          <Route path="plans/:id" element={<ListingDetail category="plans" />} />
+                          <Route path="designs" element={<Designs />} />
+                          <Route path="designs/:id" element={<ListingDetail category="designs" />} />
+                          <Route path="construction" element={<Construction />} />
+                          <Route path="construction/:id" element={<ListingDetail category="construction" />} />
+                          <Route path="auth">
+                            <Route path="login" element={<Login />} />
+                            <Route path="register" element={<Register />} />
+                          </Route>
+                          <Route
+                            path="dashboard"
+                            element={
+                              <ProtectedRoute>
+                                <Dashboard />
+                              </ProtectedRoute>
+                            }
+                          />
+                          <Route
+                            path="notifications"
+                            element={
+                              <ProtectedRoute>
+                                <Notifications />
+                              </ProtectedRoute>
+                            }
+                          />
+                          <Route
+                            path="admin"
+                            element={
+                              <StaffRoute>
+                                <Admin />
+                              </StaffRoute>
+                            }
+                          />
+                          <Route
+                            path="admin/projects"
+                            element={
+                              <StaffRoute>
+                                <AdminProjects />
+                              </StaffRoute>
+                            }
+                          />
+                          <Route
+                            path="admin/plan-sales"
+                            element={
+                              <StaffRoute>
+                                <AdminPlanSales />
+                              </StaffRoute>
+                            }
+                          />
+                          <Route
+                            path="admin/agents"
+                            element={
+                              <StaffRoute>
+                                <AdminAgents />
+                              </StaffRoute>
+                            }
+                          />
+                          <Route
+                            path="admin/reviews"
+                            element={
+                              <StaffRoute>
+                                <AdminReviews />
+                              </StaffRoute>
+                            }
+                          />
+                          <Route
+                            path="admin/enquiries"
+                            element={
+                              <StaffRoute>
+                                <AdminEnquiries />
+                              </StaffRoute>
+                            }
+                          />
+                          <Route
+                            path="admin/leads"
+                            element={
+                              <StaffRoute>
+                                <AdminLeads />
+                              </StaffRoute>
+                            }
+                          />
+                          <Route
+                            path="admin/messages"
+                            element={
+                              <StaffRoute>
+                                <AdminContactTemplates />
+                              </StaffRoute>
+                            }
+                          />
+                          <Route
+                            path="admin/tenancies"
+                            element={
+                              <StaffRoute>
+                                <AdminTenancies />
+                              </StaffRoute>
+                            }
+                          />
+                          <Route path="*" element={<NotFound />} />
+                        </Routes>
+                      </CatalogGate>
+                    </Layout>
+                  </BrowserRouter>
+                </CompareProvider>
+              </NotificationsProvider>
+            </FavouritesProvider>
+          </CartProvider>
+        </LightboxProvider>
+      </CatalogProvider>
     </AuthProvider>
   );
 }
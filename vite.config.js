@@ -1,7 +1,15 @@
-
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// `npm run api` serves the backend; override with KPB_API_URL
+const apiTarget = process.env.KPB_API_URL || 'http://localhost:8787'
+
 export default defineConfig({
   plugins: [react()],
+  server: {
+    proxy: { '/api': apiTarget },
+  },
+  preview: {
+    proxy: { '/api': apiTarget },
+  },
 })